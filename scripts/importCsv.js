@@ -0,0 +1,195 @@
+/**
+ * One-time importer for legacy flat-file storage
+ *
+ * Copies existing data into the SQLite database:
+ *   - storage/email_log.csv          → emails + attachments
+ *   - storage/referrals.csv          → referrals (form labels mapped onto the canonical schema)
+ *   - storage/processing_ledger.json → processing_stages
+ *   - storage/monitor_runs.json      → monitor_runs
+ *
+ * Safe to run more than once: emails are matched on Message-ID and referrals
+ * already imported for a Message-ID are skipped. Legacy referrals with no
+ * Message-ID are matched on their sender and contents instead.
+ *
+ * Usage:
+ *   npm run import:csv
+ *   node scripts/importCsv.js [storageDir]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../src/config/env.js';
+import { getDb, closeDb } from '../src/db/database.js';
+import { saveEmail, saveReferral, saveProcessingStage, saveMonitorRun } from '../src/db/repository.js';
+import { getLedgerKey } from '../src/utils/processingLedger.js';
+import { parseCSVRecords } from '../src/utils/csvParser.js';
+import { normalizeReferral } from '../src/utils/referralNormalizer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const STORAGE_DIR = path.resolve(process.argv[2] || path.join(__dirname, '../storage'));
+
+// Columns of referrals.csv that are not AI-extracted fields
+const REFERRAL_BASE_FIELDS = ['messageId', 'threadId', 'from', 'account', 'folder'];
+
+// Extracted fields that were arrays before csv-writer joined them with commas
+const REFERRAL_ARRAY_FIELDS = ['reasonForReferral', 'selectedProcedures'];
+
+/**
+ * Reads a CSV file from the storage directory
+ * @param {string} filename
+ * @returns {Array<Object>|null} - Records, or null when the file does not exist
+ */
+function readCSV(filename) {
+    const filepath = path.join(STORAGE_DIR, filename);
+    if (!fs.existsSync(filepath)) {
+        console.log(`⏭️  ${filename} not found, skipping`);
+        return null;
+    }
+
+    return parseCSVRecords(fs.readFileSync(filepath, 'utf8')).records;
+}
+
+/**
+ * Reads a JSON file from the storage directory
+ * @param {string} filename
+ * @returns {*|null}
+ */
+function readJSON(filename) {
+    const filepath = path.join(STORAGE_DIR, filename);
+    if (!fs.existsSync(filepath)) {
+        console.log(`⏭️  ${filename} not found, skipping`);
+        return null;
+    }
+
+    return JSON.parse(fs.readFileSync(filepath, 'utf8'));
+}
+
+function importEmails() {
+    const records = readCSV('email_log.csv');
+    if (!records) return;
+
+    const db = getDb();
+    let imported = 0;
+
+    for (const record of records) {
+        const emailData = {
+            date: record.date,
+            from: record.from,
+            subject: record.subject,
+            threadId: record.threadId,
+            messageId: record.messageId,
+            body: record.body,
+            account: record.account,
+            folder: record.folder,
+        };
+
+        const attachments = (record.attachments || '')
+            .split('|')
+            .filter(Boolean)
+            .map(filename => ({ filename }));
+
+        const messageKey = getLedgerKey(emailData);
+        const exists = db.prepare('SELECT 1 FROM emails WHERE message_id = ?').get(messageKey);
+
+        if (!exists) {
+            saveEmail(emailData, { messageKey, attachments });
+            imported++;
+        }
+    }
+
+    console.log(`✅ Imported ${imported} of ${records.length} email(s) from email_log.csv`);
+}
+
+function importReferrals() {
+    const records = readCSV('referrals.csv');
+    if (!records) return;
+
+    const db = getDb();
+    let imported = 0;
+
+    records.forEach((record, index) => {
+        const extractedData = {};
+        for (const [field, value] of Object.entries(record)) {
+            if (REFERRAL_BASE_FIELDS.includes(field)) continue;
+
+            if (field === 'extras') {
+                extractedData.extras = value ? JSON.parse(value) : {};
+            } else if (value === '') {
+                extractedData[field] = null;
+            } else if (REFERRAL_ARRAY_FIELDS.includes(field)) {
+                extractedData[field] = value.split(',').map(v => v.trim()).map(v => (/^\d+$/.test(v) ? Number(v) : v));
+            } else {
+                extractedData[field] = value;
+            }
+        }
+
+        const data = normalizeReferral({ data: extractedData }).data;
+
+        const exists = record.messageId
+            ? db.prepare('SELECT 1 FROM referrals WHERE message_id = ?').get(record.messageId)
+            : db.prepare(`SELECT 1 FROM referrals WHERE message_id = '' AND from_address IS ? AND extracted_data = ?`)
+                .get(record.from || null, JSON.stringify(data));
+        if (exists) {
+            // Row 1 is the header
+            console.log(`⏭️  referrals.csv row ${index + 2} already imported (${record.messageId || 'no Message-ID, same sender and contents'}), skipping`);
+            return;
+        }
+
+        saveReferral({
+            messageId: record.messageId,
+            threadId: record.threadId,
+            from: record.from,
+            account: record.account,
+            folder: record.folder,
+            extractedData: data,
+        });
+        imported++;
+    });
+
+    console.log(`✅ Imported ${imported} of ${records.length} referral(s) from referrals.csv`);
+}
+
+function importLedger() {
+    const ledger = readJSON('processing_ledger.json');
+    if (!ledger) return;
+
+    let imported = 0;
+    for (const [messageId, entry] of Object.entries(ledger)) {
+        for (const [stageKey, record] of Object.entries(entry.stages || {})) {
+            saveProcessingStage(messageId, stageKey, record.stage, record.key, record.result, record.completedAt);
+            imported++;
+        }
+    }
+
+    console.log(`✅ Imported ${imported} ledger stage(s) from processing_ledger.json`);
+}
+
+function importRuns() {
+    const runs = readJSON('monitor_runs.json');
+    if (!runs) return;
+
+    for (const run of runs) {
+        saveMonitorRun(run, config.MONITOR_RUN_HISTORY_LIMIT);
+    }
+
+    console.log(`✅ Imported ${runs.length} monitor run(s) from monitor_runs.json`);
+}
+
+try {
+    console.log(`📂 Importing legacy storage from ${STORAGE_DIR}`);
+
+    importEmails();
+    importReferrals();
+    importLedger();
+    importRuns();
+
+    console.log('🎉 Import completed');
+} catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    closeDb();
+}
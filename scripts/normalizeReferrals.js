@@ -0,0 +1,140 @@
+/**
+ * Normalizes stored referrals onto the canonical referral schema
+ *
+ * Rewrites every referral and review queue item so form labels are mapped through
+ * the current synonym map (src/config/referralSchema.js plus referralSynonyms.json)
+ * and unmapped fields sit in the extras bag. Field names in field sources,
+ * conflicts, confidence scores, review issues and the edit history are renamed to match.
+ *
+ * Safe to run more than once; re-run it after adding synonyms to move matching
+ * labels out of extras.
+ *
+ * Usage:
+ *   npm run normalize:referrals
+ */
+
+import { getDb, closeDb } from '../src/db/database.js';
+import { normalizeReferral } from '../src/utils/referralNormalizer.js';
+
+/**
+ * Parses a JSON column, returning null for empty values
+ * @param {string|null} value
+ * @returns {*}
+ */
+function parseJson(value) {
+    return value ? JSON.parse(value) : null;
+}
+
+/**
+ * Serializes a value for a JSON column, keeping nulls as NULL
+ * @param {*} value
+ * @returns {string|null}
+ */
+function toJson(value) {
+    return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+/**
+ * Renames a field using a normalizeReferral() rename map
+ * @param {string|null} field
+ * @param {Object} renames
+ * @returns {string|null}
+ */
+function renameField(field, renames) {
+    return field && renames[field] ? renames[field] : field;
+}
+
+function normalizeReferrals(db) {
+    const rows = db.prepare('SELECT * FROM referrals').all();
+    const update = db.prepare(`
+        UPDATE referrals SET extracted_data = ?, corrected_data = ?, field_sources = ?, conflicts = ? WHERE id = ?
+    `);
+    const renameEdit = db.prepare('UPDATE referral_edits SET field = ? WHERE id = ?');
+    let changed = 0;
+
+    for (const row of rows) {
+        const original = normalizeReferral({
+            data: parseJson(row.extracted_data),
+            fieldSources: parseJson(row.field_sources),
+            conflicts: parseJson(row.conflicts),
+        });
+        const corrected = row.corrected_data ? normalizeReferral({ data: parseJson(row.corrected_data) }) : null;
+
+        const values = [
+            toJson(original.data),
+            corrected ? toJson(corrected.data) : null,
+            toJson(original.fieldSources),
+            toJson(original.conflicts),
+        ];
+
+        if (values[0] !== row.extracted_data || values[1] !== row.corrected_data
+            || values[2] !== row.field_sources || values[3] !== row.conflicts) {
+            update.run(...values, row.id);
+            changed++;
+        }
+
+        const renames = { ...original.renames, ...(corrected ? corrected.renames : {}) };
+        for (const edit of db.prepare('SELECT id, field FROM referral_edits WHERE referral_id = ?').all(row.id)) {
+            const field = renameField(edit.field, renames);
+            if (field !== edit.field) {
+                renameEdit.run(field, edit.id);
+            }
+        }
+    }
+
+    console.log(`✅ Normalized ${changed} of ${rows.length} referral(s)`);
+}
+
+function normalizeReviews(db) {
+    const rows = db.prepare('SELECT * FROM referral_reviews').all();
+    const update = db.prepare(`
+        UPDATE referral_reviews SET extracted_data = ?, corrected_data = ?, field_confidence = ?, field_sources = ?,
+            conflicts = ?, issues = ?
+        WHERE id = ?
+    `);
+    let changed = 0;
+
+    for (const row of rows) {
+        const original = normalizeReferral({
+            data: parseJson(row.extracted_data),
+            fieldConfidence: parseJson(row.field_confidence),
+            fieldSources: parseJson(row.field_sources),
+            conflicts: parseJson(row.conflicts),
+        });
+        const corrected = row.corrected_data ? normalizeReferral({ data: parseJson(row.corrected_data) }) : null;
+        const issues = (parseJson(row.issues) || []).map(issue => ({ ...issue, field: renameField(issue.field, original.renames) }));
+
+        const values = [
+            toJson(original.data),
+            corrected ? toJson(corrected.data) : null,
+            toJson(original.fieldConfidence),
+            toJson(original.fieldSources),
+            toJson(original.conflicts),
+            toJson(issues),
+        ];
+        const current = [row.extracted_data, row.corrected_data, row.field_confidence, row.field_sources, row.conflicts, row.issues];
+
+        if (values.some((value, index) => value !== current[index])) {
+            update.run(...values, row.id);
+            changed++;
+        }
+    }
+
+    console.log(`✅ Normalized ${changed} of ${rows.length} review queue item(s)`);
+}
+
+try {
+    const db = getDb();
+
+    db.transaction(() => {
+        normalizeReferrals(db);
+        normalizeReviews(db);
+    })();
+
+    console.log('🎉 Normalization completed');
+} catch (error) {
+    console.error('❌ Normalization failed:', error.message);
+    process.exitCode = 1;
+} finally {
+    closeDb();
+}
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Appointment types
+ * Each type has a length, a buffer kept free after it (turnover), the weekdays it
+ * can be booked on (null: any day the doctor works) and keywords used to recognise
+ * it in referral procedures.
+ *
+ * Defaults cover the clinic's usual appointments. Types are read from the JSON file
+ * at APPOINTMENT_TYPES_PATH (default: appointmentTypes.json in the project root),
+ * see appointmentTypes.example.json; entries there override or add to the defaults.
+ * Emails that don't say what they need get DEFAULT_APPOINTMENT_TYPE.
+ */
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DEFAULT_TYPES = {
+    consultation: {
+        label: 'Consultation',
+        durationMinutes: 30,
+        bufferMinutes: 0,
+        days: null,
+        keywords: ['consultation', 'check-up', 'checkup', 'examination', 'second opinion'],
+    },
+    extraction: {
+        label: 'Extraction',
+        durationMinutes: 60,
+        bufferMinutes: 15,
+        days: null,
+        keywords: ['extraction', 'wisdom tooth', 'wisdom teeth'],
+    },
+    implant_surgery: {
+        label: 'Implant surgery',
+        durationMinutes: 120,
+        bufferMinutes: 15,
+        days: null,
+        keywords: ['implant', 'bone graft'],
+    },
+};
+
+const APPOINTMENT_TYPES_PATH = config.APPOINTMENT_TYPES_PATH || path.join(__dirname, '../../appointmentTypes.json');
+
+let types = null;
+
+/**
+ * Checks one type entry from the JSON file
+ *
+ * @param {string} id - Type id, e.g. "implant_surgery"
+ * @param {Object} raw - { label?, durationMinutes, bufferMinutes?, days?, keywords? }
+ * @returns {Object} - { id, label, durationMinutes, bufferMinutes, days, keywords }
+ */
+function normalizeType(id, raw) {
+    if (!Number.isInteger(raw?.durationMinutes) || raw.durationMinutes <= 0) {
+        throw new Error(`Appointment type "${id}" needs durationMinutes as a whole number of minutes`);
+    }
+
+    const bufferMinutes = raw.bufferMinutes ?? 0;
+    if (!Number.isInteger(bufferMinutes) || bufferMinutes < 0) {
+        throw new Error(`Appointment type "${id}" has an invalid bufferMinutes`);
+    }
+
+    const days = raw.days && raw.days.length > 0 ? raw.days : null;
+    const unknownDays = (days || []).filter(day => !WEEKDAYS.includes(day));
+    if (unknownDays.length > 0) {
+        throw new Error(`Appointment type "${id}" has unknown day(s) ${unknownDays.join(', ')} (expected full weekday names)`);
+    }
+
+    return {
+        id,
+        label: raw.label || id,
+        durationMinutes: raw.durationMinutes,
+        bufferMinutes,
+        days,
+        keywords: Array.isArray(raw.keywords) ? raw.keywords.map(keyword => String(keyword).toLowerCase()) : [],
+    };
+}
+
+/**
+ * Returns all appointment types (loaded once, then cached)
+ * @returns {Object} - Type id → type
+ */
+function getTypes() {
+    if (types) {
+        return types;
+    }
+
+    const table = Object.fromEntries(Object.entries(DEFAULT_TYPES).map(([id, raw]) => [id, normalizeType(id, raw)]));
+
+    if (fs.existsSync(APPOINTMENT_TYPES_PATH)) {
+        const custom = JSON.parse(fs.readFileSync(APPOINTMENT_TYPES_PATH, 'utf8'));
+
+        for (const [id, raw] of Object.entries(custom)) {
+            table[id] = normalizeType(id, raw);
+        }
+
+        console.log(`📋 Loaded appointment types from ${path.basename(APPOINTMENT_TYPES_PATH)}`);
+    }
+
+    if (!table[config.DEFAULT_APPOINTMENT_TYPE]) {
+        throw new Error(`DEFAULT_APPOINTMENT_TYPE "${config.DEFAULT_APPOINTMENT_TYPE}" is not a configured appointment type`);
+    }
+
+    types = table;
+    return types;
+}
+
+/**
+ * Lists all appointment types
+ * @returns {Array<Object>}
+ */
+export function getAppointmentTypes() {
+    return Object.values(getTypes());
+}
+
+/**
+ * Gets the type used when an email or referral doesn't say
+ * @returns {Object}
+ */
+export function getDefaultAppointmentType() {
+    return getTypes()[config.DEFAULT_APPOINTMENT_TYPE];
+}
+
+/**
+ * Finds an appointment type by id or label (case-insensitive)
+ *
+ * @param {string} [name] - e.g. "implant_surgery" or "Implant surgery"
+ * @returns {Object|null}
+ */
+export function findAppointmentType(name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    if (!wanted) {
+        return null;
+    }
+
+    return getAppointmentTypes().find(type => type.id === wanted || type.label.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Works out the appointment type from free text, e.g. referral procedures
+ * The longest appointment whose keywords appear wins, so "implant and extraction" books the implant.
+ *
+ * @param {Array<string>} texts - Text to search (procedure names, reasons, notes)
+ * @returns {Object|null} - Matching type, or null when no keyword matches
+ */
+export function inferAppointmentType(texts) {
+    const haystack = texts.filter(Boolean).join(' ').toLowerCase();
+    if (!haystack) {
+        return null;
+    }
+
+    return getAppointmentTypes()
+        .filter(type => type.keywords.some(keyword => haystack.includes(keyword)))
+        .sort((a, b) => b.durationMinutes - a.durationMinutes)[0] || null;
+}
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Doctors configuration
+ * Each doctor has a name (matching the doctor column of availability.csv), an
+ * optional specialty, the Google Calendar their appointments are checked and
+ * booked against, and optional aliases patients may use ("Dr Mehta", "Priya").
+ *
+ * Loaded from the JSON file at DOCTORS_CONFIG_PATH (default: doctors.json in the
+ * project root), see doctors.example.json. When that file does not exist, a single
+ * doctor is built from DOCTOR_NAME / GOOGLE_CALENDAR_ID.
+ */
+
+const DOCTORS_CONFIG_PATH = config.DOCTORS_CONFIG_PATH || path.join(__dirname, '../../doctors.json');
+
+let doctors = null;
+
+/**
+ * Lower-cases a name and drops titles and punctuation, so "Dr. Mehta" matches "dr mehta"
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeName(value) {
+    return String(value || '')
+        .toLowerCase()
+        .replace(/\bdr\b\.?/g, '')
+        .replace(/[^a-z0-9 ]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalizes one doctor entry, applying defaults from env config
+ *
+ * @param {Object} raw - Doctor entry from the JSON file
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {Object} - { name, specialty, calendarId, aliases }
+ */
+function normalizeDoctor(raw, index) {
+    if (!raw || typeof raw.name !== 'string' || raw.name.trim() === '') {
+        throw new Error(`Doctor #${index + 1} needs a "name"`);
+    }
+
+    return {
+        name: raw.name.trim(),
+        specialty: raw.specialty ? String(raw.specialty).trim() : null,
+        calendarId: raw.calendarId || config.GOOGLE_CALENDAR_ID || 'primary',
+        aliases: Array.isArray(raw.aliases) ? raw.aliases.map(String) : [],
+    };
+}
+
+/**
+ * Returns all configured doctors (loaded once, then cached)
+ * @returns {Array<Object>}
+ */
+export function getDoctors() {
+    if (doctors) {
+        return doctors;
+    }
+
+    if (!fs.existsSync(DOCTORS_CONFIG_PATH)) {
+        doctors = [normalizeDoctor({ name: config.DOCTOR_NAME || 'Dr Rishabh' }, 0)];
+        return doctors;
+    }
+
+    const content = JSON.parse(fs.readFileSync(DOCTORS_CONFIG_PATH, 'utf8'));
+    const entries = Array.isArray(content) ? content : content.doctors || [];
+
+    const loaded = entries.map(normalizeDoctor);
+    if (loaded.length === 0) {
+        throw new Error(`No doctors configured in ${path.basename(DOCTORS_CONFIG_PATH)}`);
+    }
+
+    const names = new Set();
+    for (const doctor of loaded) {
+        if (names.has(doctor.name.toLowerCase())) {
+            throw new Error(`Duplicate doctor "${doctor.name}"`);
+        }
+        names.add(doctor.name.toLowerCase());
+    }
+
+    doctors = loaded;
+
+    console.log(`🩺 Loaded ${doctors.length} doctor(s) from ${path.basename(DOCTORS_CONFIG_PATH)}`);
+    return doctors;
+}
+
+/**
+ * Finds a doctor by name or alias, ignoring case, titles and punctuation
+ *
+ * @param {string} [name] - Doctor name as written by the sender or the triage
+ * @returns {Object|null}
+ */
+export function findDoctor(name) {
+    const wanted = normalizeName(name);
+    if (!wanted) {
+        return null;
+    }
+
+    return getDoctors().find(doctor =>
+        [doctor.name, ...doctor.aliases].some(candidate => normalizeName(candidate) === wanted)
+    ) || null;
+}
+
+/**
+ * Finds the doctors practising a specialty (case-insensitive)
+ *
+ * @param {string} [specialty] - e.g. "Orthodontics"
+ * @returns {Array<Object>}
+ */
+export function findDoctorsBySpecialty(specialty) {
+    const wanted = String(specialty || '').trim().toLowerCase();
+    if (!wanted) {
+        return [];
+    }
+
+    return getDoctors().filter(doctor => doctor.specialty && doctor.specialty.toLowerCase() === wanted);
+}
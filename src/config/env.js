@@ -9,18 +9,80 @@ export const config = {
     EMAIL_USER: process.env.EMAIL_USER || "rushabh.s@buzzinga.design",
     EMAIL_APP_PASSWORD: process.env.EMAIL_APP_PASSWORD || "gvbljkcdcxbjpxxg",
 
+    // Multiple accounts / folders (see mailboxes.example.json); falls back to EMAIL_USER on INBOX
+    MAILBOXES_CONFIG_PATH: process.env.MAILBOXES_CONFIG_PATH,
+
     // IMAP Configuration
     IMAP_HOST: process.env.IMAP_HOST || 'imap.gmail.com',
     IMAP_PORT: parseInt(process.env.IMAP_PORT) || 993,
 
+    // Inbox Watcher Configuration (IMAP IDLE)
+    IMAP_WATCHER_ENABLED: process.env.IMAP_WATCHER_ENABLED !== 'false',
+    IMAP_RECONNECT_BASE_MS: parseInt(process.env.IMAP_RECONNECT_BASE_MS) || 5000,
+    IMAP_RECONNECT_MAX_MS: parseInt(process.env.IMAP_RECONNECT_MAX_MS) || 5 * 60 * 1000,
+    IMAP_MAX_IDLE_MS: parseInt(process.env.IMAP_MAX_IDLE_MS) || 25 * 60 * 1000,
+
+    // Polling Scheduler Configuration (cron takes precedence over interval, 0 disables)
+    MONITOR_SCHEDULE_CRON: process.env.MONITOR_SCHEDULE_CRON || '',
+    MONITOR_SCHEDULE_INTERVAL_MS: parseInt(process.env.MONITOR_SCHEDULE_INTERVAL_MS) || 0,
+    MONITOR_RUN_HISTORY_LIMIT: parseInt(process.env.MONITOR_RUN_HISTORY_LIMIT) || 200,
+
     // SMTP Configuration
     SMTP_HOST: process.env.SMTP_HOST || 'smtp.gmail.com',
     SMTP_PORT: parseInt(process.env.SMTP_PORT) || 465,
 
+    // Storage Configuration
+    STORAGE_DIR: process.env.STORAGE_DIR, // attachments, availability and CSV files; defaults to storage/
+    DATABASE_PATH: process.env.DATABASE_PATH, // defaults to <STORAGE_DIR>/monitor.db
+    CSV_EXPORT_ENABLED: process.env.CSV_EXPORT_ENABLED === 'true',
+
     // AI Configuration
     ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
+    LLM_PROVIDER: process.env.LLM_PROVIDER || 'anthropic', // 'anthropic' or 'stub' (scripted answers, no network)
+    LLM_MODEL: process.env.LLM_MODEL || 'claude-sonnet-4-20250514',
+    LLM_TASKS_CONFIG_PATH: process.env.LLM_TASKS_CONFIG_PATH, // per-task overrides, see llmTasks.example.json
+    LLM_STUB_FIXTURES_DIR: process.env.LLM_STUB_FIXTURES_DIR, // defaults to fixtures/llm
+
+    // Email Triage (emails below this referral likelihood skip referral extraction)
+    TRIAGE_REFERRAL_THRESHOLD: parseFloat(process.env.TRIAGE_REFERRAL_THRESHOLD) || 0.5,
+
+    // AI Output Policy (emails breaking these limits are held for manual review instead of acted on)
+    TRIAGE_MAX_SLOTS: parseInt(process.env.TRIAGE_MAX_SLOTS) || 4,
+    REFERRAL_MAX_FIELD_LENGTH: parseInt(process.env.REFERRAL_MAX_FIELD_LENGTH) || 500,
     MAX_AI_ATTACHMENT_SIZE_MB: parseInt(process.env.MAX_AI_ATTACHMENT_SIZE_MB) || 2,
 
+    // AI Response Cache (identical model calls are answered from the database)
+    AI_CACHE_ENABLED: process.env.AI_CACHE_ENABLED !== 'false',
+    AI_CACHE_TTL_HOURS: parseInt(process.env.AI_CACHE_TTL_HOURS) || 30 * 24,
+
+    // External Call Resilience (Anthropic, Google Calendar, SMTP)
+    RETRY_MAX_ATTEMPTS: parseInt(process.env.RETRY_MAX_ATTEMPTS) || 3,
+    RETRY_BASE_DELAY_MS: parseInt(process.env.RETRY_BASE_DELAY_MS) || 1000,
+    RETRY_MAX_DELAY_MS: parseInt(process.env.RETRY_MAX_DELAY_MS) || 15000,
+    CIRCUIT_FAILURE_THRESHOLD: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5,
+    CIRCUIT_RESET_MS: parseInt(process.env.CIRCUIT_RESET_MS) || 60 * 1000,
+
+    // Dead Letters (failed messages stop being retried automatically after this many attempts)
+    DEAD_LETTER_MAX_ATTEMPTS: parseInt(process.env.DEAD_LETTER_MAX_ATTEMPTS) || 3,
+
+    // AI Usage and Budget (cost per model call; 0 budget = no limit)
+    LLM_PRICING_PATH: process.env.LLM_PRICING_PATH,
+    AI_MONTHLY_BUDGET_USD: parseFloat(process.env.AI_MONTHLY_BUDGET_USD) || 0,
+
+    // Attachment Preprocessing (oversized images are downsampled, oversized PDFs split into pages)
+    ATTACHMENT_MAX_IMAGE_DIMENSION: parseInt(process.env.ATTACHMENT_MAX_IMAGE_DIMENSION) || 1568,
+    ATTACHMENT_MAX_PDF_PAGES: parseInt(process.env.ATTACHMENT_MAX_PDF_PAGES) || 10,
+
+    // Referral Schema (extra label → canonical field synonyms, see referralSynonyms.example.json)
+    REFERRAL_SYNONYMS_PATH: process.env.REFERRAL_SYNONYMS_PATH,
+
+    // Referral Validation (digit count allowed in phone numbers, including country code)
+    REFERRAL_PHONE_MIN_DIGITS: parseInt(process.env.REFERRAL_PHONE_MIN_DIGITS) || 8,
+    REFERRAL_PHONE_MAX_DIGITS: parseInt(process.env.REFERRAL_PHONE_MAX_DIGITS) || 15,
+
+    // Referral Review Queue (extractions with any field below this confidence wait for a human)
+    REFERRAL_REVIEW_CONFIDENCE_THRESHOLD: parseFloat(process.env.REFERRAL_REVIEW_CONFIDENCE_THRESHOLD) || 0.8,
+
     // Google Calendar OAuth2 Configuration
     GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID,
     GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET,
@@ -28,5 +90,22 @@ export const config = {
     GOOGLE_CALENDAR_ID: process.env.GOOGLE_CALENDAR_ID || 'primary',
 
     // Doctor Configuration
-    DOCTOR_NAME: process.env.DOCTOR_NAME || 'Dr Rishabh'
+    DOCTOR_NAME: process.env.DOCTOR_NAME || 'Dr Rishabh',
+    DOCTORS_CONFIG_PATH: process.env.DOCTORS_CONFIG_PATH, // several doctors, see doctors.example.json
+
+    // Booking Horizon (slots are offered and booked this many days ahead, starting today)
+    BOOKING_HORIZON_DAYS: parseInt(process.env.BOOKING_HORIZON_DAYS) || 21,
+    AVAILABILITY_REPLY_DAYS: parseInt(process.env.AVAILABILITY_REPLY_DAYS) || 7,
+
+    // Appointment Types (lengths and buffers, see appointmentTypes.example.json)
+    APPOINTMENT_TYPES_PATH: process.env.APPOINTMENT_TYPES_PATH,
+    DEFAULT_APPOINTMENT_TYPE: process.env.DEFAULT_APPOINTMENT_TYPE || 'consultation',
+    SLOT_INTERVAL_MINUTES: parseInt(process.env.SLOT_INTERVAL_MINUTES) || 30,
+
+    // Clinic Timezone (slots, bookings and replies use clinic time whatever the server's TZ)
+    CLINIC_TIMEZONE: process.env.CLINIC_TIMEZONE || 'Asia/Kolkata',
+    SHOW_SENDER_LOCAL_TIME: process.env.SHOW_SENDER_LOCAL_TIME === 'true',
+
+    // Holidays (an .ics calendar whose events close the clinic; leave and extra sessions are in storage/availability_exceptions.csv)
+    HOLIDAY_CALENDAR_PATH: process.env.HOLIDAY_CALENDAR_PATH,
 }
@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * LLM price table
+ * Turns the tokens of a model call into cost, in USD per million tokens.
+ *
+ * Defaults cover the models this project ships with. Prices are read from the
+ * JSON file at LLM_PRICING_PATH (default: llmPricing.json in the project root),
+ * see llmPricing.example.json; entries there override or add to the defaults.
+ * Calls to a model with no price are recorded without a cost.
+ */
+
+const DEFAULT_PRICES = {
+    'claude-sonnet-4-20250514': { inputPerMTok: 3, outputPerMTok: 15 },
+    'claude-haiku-4-5': { inputPerMTok: 1, outputPerMTok: 5 },
+    stub: { inputPerMTok: 0, outputPerMTok: 0 },
+};
+
+const LLM_PRICING_PATH = config.LLM_PRICING_PATH || path.join(__dirname, '../../llmPricing.json');
+
+let prices = null;
+
+/**
+ * Checks one model entry from the JSON file
+ *
+ * @param {string} model - Model name
+ * @param {Object} raw - { inputPerMTok, outputPerMTok }
+ * @returns {Object} - { inputPerMTok, outputPerMTok }
+ */
+function normalizePrice(model, raw) {
+    for (const key of ['inputPerMTok', 'outputPerMTok']) {
+        if (typeof raw?.[key] !== 'number' || raw[key] < 0) {
+            throw new Error(`LLM price for "${model}" needs ${key} as a number of USD per million tokens`);
+        }
+    }
+    return { inputPerMTok: raw.inputPerMTok, outputPerMTok: raw.outputPerMTok };
+}
+
+/**
+ * Returns the price table (loaded once, then cached)
+ * @returns {Object} - Model name → { inputPerMTok, outputPerMTok }
+ */
+function getPrices() {
+    if (prices) {
+        return prices;
+    }
+
+    const table = { ...DEFAULT_PRICES };
+
+    if (fs.existsSync(LLM_PRICING_PATH)) {
+        const custom = JSON.parse(fs.readFileSync(LLM_PRICING_PATH, 'utf8'));
+
+        for (const [model, raw] of Object.entries(custom)) {
+            table[model] = normalizePrice(model, raw);
+        }
+
+        console.log(`📋 Loaded LLM prices from ${path.basename(LLM_PRICING_PATH)}`);
+    }
+
+    prices = table;
+    return prices;
+}
+
+/**
+ * Works out the cost of one model call
+ *
+ * @param {string} model - Model that answered
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @returns {number|null} - Cost in USD, or null when the model has no price
+ */
+export function getCallCost(model, inputTokens, outputTokens) {
+    const price = getPrices()[model];
+    if (!price) {
+        return null;
+    }
+    return (inputTokens * price.inputPerMTok + outputTokens * price.outputPerMTok) / 1_000_000;
+}
@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * LLM task settings
+ * Every AI call belongs to a task, and each task has its own model, temperature
+ * and max tokens so cheap classification calls and heavy document extraction
+ * can be tuned independently.
+ *
+ * Defaults use LLM_MODEL for every task. Per-task overrides are read from the
+ * JSON file at LLM_TASKS_CONFIG_PATH (default: llmTasks.json in the project root),
+ * see llmTasks.example.json.
+ */
+
+export const LLM_TASKS = {
+    TRIAGE: 'triage',
+    PAGE_SCREENING: 'pageScreening',
+    DOCUMENT_EXTRACTION: 'documentExtraction',
+};
+
+// temperature null leaves the provider's default in place
+const DEFAULT_SETTINGS = {
+    triage: { temperature: 0, maxTokens: 1024 },
+    pageScreening: { temperature: null, maxTokens: 10 },
+    documentExtraction: { temperature: 0.3, maxTokens: 2000 },
+};
+
+const LLM_TASKS_CONFIG_PATH = config.LLM_TASKS_CONFIG_PATH || path.join(__dirname, '../../llmTasks.json');
+
+let taskSettings = null;
+
+/**
+ * Checks one task entry from the JSON file
+ *
+ * @param {string} task - Task name
+ * @param {Object} raw - { model?, temperature?, maxTokens? }
+ * @returns {Object} - The entry, limited to known keys
+ */
+function normalizeTaskSettings(task, raw) {
+    const settings = {};
+
+    if (raw.model !== undefined) {
+        if (typeof raw.model !== 'string' || raw.model.trim() === '') {
+            throw new Error(`LLM task "${task}" has an invalid model`);
+        }
+        settings.model = raw.model;
+    }
+
+    if (raw.temperature !== undefined) {
+        if (raw.temperature !== null && (typeof raw.temperature !== 'number' || raw.temperature < 0 || raw.temperature > 1)) {
+            throw new Error(`LLM task "${task}" temperature must be a number from 0 to 1`);
+        }
+        settings.temperature = raw.temperature;
+    }
+
+    if (raw.maxTokens !== undefined) {
+        if (!Number.isInteger(raw.maxTokens) || raw.maxTokens < 1) {
+            throw new Error(`LLM task "${task}" maxTokens must be a positive integer`);
+        }
+        settings.maxTokens = raw.maxTokens;
+    }
+
+    return settings;
+}
+
+/**
+ * Returns settings for every task (loaded once, then cached)
+ * @returns {Object} - Task name → { model, temperature, maxTokens }
+ */
+function getAllTaskSettings() {
+    if (taskSettings) {
+        return taskSettings;
+    }
+
+    const settings = {};
+    for (const [task, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+        settings[task] = { model: config.LLM_MODEL, ...defaults };
+    }
+
+    if (fs.existsSync(LLM_TASKS_CONFIG_PATH)) {
+        const custom = JSON.parse(fs.readFileSync(LLM_TASKS_CONFIG_PATH, 'utf8'));
+
+        for (const [task, raw] of Object.entries(custom)) {
+            if (!settings[task]) {
+                throw new Error(`Unknown LLM task "${task}" in ${path.basename(LLM_TASKS_CONFIG_PATH)}`);
+            }
+            settings[task] = { ...settings[task], ...normalizeTaskSettings(task, raw) };
+        }
+
+        console.log(`📋 Loaded LLM task settings from ${path.basename(LLM_TASKS_CONFIG_PATH)}`);
+    }
+
+    taskSettings = settings;
+    return taskSettings;
+}
+
+/**
+ * Returns the model settings for one task
+ *
+ * @param {string} task - One of LLM_TASKS
+ * @returns {Object} - { model, temperature, maxTokens }
+ */
+export function getTaskSettings(task) {
+    const settings = getAllTaskSettings()[task];
+    if (!settings) {
+        throw new Error(`Unknown LLM task "${task}"`);
+    }
+    return settings;
+}
@@ -0,0 +1,144 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Mailbox accounts configuration
+ * Each account has its own credentials, reply-from address and a list of folders
+ * (Gmail labels are IMAP folders) to watch. Each folder runs one pipeline:
+ *   auto        - classify with AI and route to referral or appointment handling
+ *   referral    - always run the referral pipeline
+ *   appointment - always run the appointment pipeline
+ *
+ * Loaded from the JSON file at MAILBOXES_CONFIG_PATH (default: mailboxes.json in the
+ * project root). When that file does not exist, a single account is built from
+ * EMAIL_USER / EMAIL_APP_PASSWORD watching INBOX.
+ */
+
+export const PIPELINES = ['auto', 'referral', 'appointment'];
+
+const MAILBOXES_CONFIG_PATH = config.MAILBOXES_CONFIG_PATH || path.join(__dirname, '../../mailboxes.json');
+
+let accounts = null;
+
+/**
+ * Normalizes one account entry, applying defaults from env config
+ *
+ * @param {Object} raw - Account entry from the JSON file
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {Object} - Normalized account
+ */
+function normalizeAccount(raw, index) {
+    const id = raw.id || raw.user;
+    if (!id) {
+        throw new Error(`Mailbox account #${index + 1} needs an "id" or "user"`);
+    }
+
+    // Passwords can be referenced by env variable name to keep secrets out of the file
+    const password = raw.passwordEnv ? process.env[raw.passwordEnv] : raw.password;
+
+    if (!raw.user || !password) {
+        throw new Error(`Mailbox account "${id}" is missing credentials (user and password or passwordEnv)`);
+    }
+
+    const pipeline = raw.pipeline || 'auto';
+    if (!PIPELINES.includes(pipeline)) {
+        throw new Error(`Mailbox account "${id}" has unknown pipeline "${pipeline}" (expected ${PIPELINES.join(', ')})`);
+    }
+
+    const folders = (raw.folders && raw.folders.length > 0 ? raw.folders : ['INBOX']).map(folder => {
+        const entry = typeof folder === 'string' ? { path: folder } : folder;
+        const folderPipeline = entry.pipeline || pipeline;
+
+        if (!PIPELINES.includes(folderPipeline)) {
+            throw new Error(`Folder "${entry.path}" of account "${id}" has unknown pipeline "${folderPipeline}"`);
+        }
+
+        return { path: entry.path, pipeline: folderPipeline };
+    });
+
+    return {
+        id,
+        user: raw.user,
+        password,
+        imapHost: raw.imapHost || config.IMAP_HOST,
+        imapPort: parseInt(raw.imapPort) || config.IMAP_PORT,
+        smtpHost: raw.smtpHost || config.SMTP_HOST,
+        smtpPort: parseInt(raw.smtpPort) || config.SMTP_PORT,
+        sentFolder: raw.sentFolder || '[Gmail]/Sent Mail',
+        replyFrom: raw.replyFrom || raw.user,
+        pipeline,
+        folders,
+    };
+}
+
+/**
+ * Builds the single default account from EMAIL_USER / EMAIL_APP_PASSWORD
+ * @returns {Array<Object>}
+ */
+function defaultAccounts() {
+    if (!config.EMAIL_USER || !config.EMAIL_APP_PASSWORD) {
+        return [];
+    }
+
+    return [normalizeAccount({
+        id: 'default',
+        user: config.EMAIL_USER,
+        password: config.EMAIL_APP_PASSWORD,
+        folders: ['INBOX'],
+    }, 0)];
+}
+
+/**
+ * Returns all configured mailbox accounts (loaded once, then cached)
+ * @returns {Array<Object>}
+ */
+export function getMailboxAccounts() {
+    if (accounts) {
+        return accounts;
+    }
+
+    if (!fs.existsSync(MAILBOXES_CONFIG_PATH)) {
+        accounts = defaultAccounts();
+        return accounts;
+    }
+
+    const content = JSON.parse(fs.readFileSync(MAILBOXES_CONFIG_PATH, 'utf8'));
+    const entries = Array.isArray(content) ? content : content.accounts || [];
+
+    const loaded = entries.map(normalizeAccount);
+
+    const ids = new Set();
+    for (const account of loaded) {
+        if (ids.has(account.id)) {
+            throw new Error(`Duplicate mailbox account id "${account.id}"`);
+        }
+        ids.add(account.id);
+    }
+
+    accounts = loaded;
+
+    console.log(`📬 Loaded ${accounts.length} mailbox account(s) from ${path.basename(MAILBOXES_CONFIG_PATH)}`);
+    return accounts;
+}
+
+/**
+ * Finds a mailbox account by id
+ * Falls back to the first configured account when no id is given
+ *
+ * @param {string} [accountId] - Account id
+ * @returns {Object|null}
+ */
+export function getMailboxAccount(accountId) {
+    const all = getMailboxAccounts();
+
+    if (!accountId) {
+        return all[0] || null;
+    }
+
+    return all.find(account => account.id === accountId) || null;
+}
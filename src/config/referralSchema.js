@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Canonical referral schema
+ * Every referring practice labels its form differently ("Patient Name",
+ * "Name of Patient", "patientName"...). Extracted labels are mapped onto these
+ * fields through a synonym list; anything unmapped is kept under "extras".
+ *
+ * Synonyms are matched case-insensitively ignoring spaces and punctuation.
+ * Practice-specific labels can be added in the JSON file at
+ * REFERRAL_SYNONYMS_PATH (default: referralSynonyms.json in the project root),
+ * see referralSynonyms.example.json.
+ */
+
+export const CANONICAL_FIELDS = [
+    'patientName',
+    'patientDateOfBirth',
+    'patientPhone',
+    'referringDentist',
+    'referringPractice',
+    'reasonForReferral',
+    'selectedProcedures',
+    'xraysDate',
+    'notes',
+];
+
+// Fields holding arrays (tooth numbers and procedure names)
+export const ARRAY_FIELDS = ['reasonForReferral', 'selectedProcedures'];
+
+export const EXTRAS_FIELD = 'extras';
+
+// Procedures offered on the referral form (selectedProcedures must be one of these)
+export const KNOWN_PROCEDURES = [
+    'Dental Implants',
+    'Bone Grafting',
+    'Extractions',
+    'Jaw Trauma',
+    'Pathology',
+    'CT Imaging',
+    'Pre-Prosthetic Surgery',
+];
+
+const DEFAULT_SYNONYMS = {
+    patientName: ['Patient', 'Name', 'Patient Name', 'Name of Patient', "Patient's Name", 'Patient Full Name', 'Full Name'],
+    patientDateOfBirth: ['DOB', 'D.O.B.', 'Date of Birth', 'Patient DOB', 'Patient Date of Birth', 'Birth Date'],
+    patientPhone: ['Phone', 'Phone Number', 'Patient Phone', 'Mobile', 'Mobile Number', 'Patient Mobile', 'Telephone', 'Tel',
+        'Contact Number', 'Patient Contact Number'],
+    referringDentist: ['Referring Dentist', 'Dentist', 'Dentist Name', 'Referring Doctor', 'Referring Practitioner', 'Referrer',
+        'Referred By', 'Referring Dentist Name'],
+    referringPractice: ['Practice', 'Practice Name', 'Referring Practice', 'Clinic', 'Clinic Name', 'Surgery'],
+    reasonForReferral: ['Reason for Referral', 'Teeth', 'Tooth', 'Tooth Numbers', 'Teeth Involved'],
+    selectedProcedures: ['Selected Procedures', 'Procedures', 'Procedure', 'Treatment Required', 'Treatment Requested'],
+    xraysDate: ['X-rays Date', 'Xray Date', 'X-ray Date', 'X-rays Enclosed', 'Date of X-rays', 'X-rays Enclosed Date'],
+    notes: ['Notes', 'Comments', 'Additional Notes', 'Clinical Notes', 'Additional Information', 'Remarks', 'Other Comments'],
+};
+
+const REFERRAL_SYNONYMS_PATH = config.REFERRAL_SYNONYMS_PATH || path.join(__dirname, '../../referralSynonyms.json');
+
+let labelMap = null;
+
+/**
+ * Reduces a label to its comparison form: lowercase letters and digits only
+ *
+ * @param {string} label - e.g. "Name of Patient"
+ * @returns {string} - e.g. "nameofpatient"
+ */
+export function normalizeLabel(label) {
+    return String(label).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Returns the label → canonical field map (built once, then cached)
+ * @returns {Map<string, string>}
+ */
+function getLabelMap() {
+    if (labelMap) {
+        return labelMap;
+    }
+
+    const synonyms = { ...DEFAULT_SYNONYMS };
+
+    if (fs.existsSync(REFERRAL_SYNONYMS_PATH)) {
+        const custom = JSON.parse(fs.readFileSync(REFERRAL_SYNONYMS_PATH, 'utf8'));
+
+        for (const [field, labels] of Object.entries(custom)) {
+            if (!CANONICAL_FIELDS.includes(field)) {
+                throw new Error(`Unknown referral field "${field}" in ${path.basename(REFERRAL_SYNONYMS_PATH)}`);
+            }
+            synonyms[field] = [...synonyms[field], ...labels];
+        }
+
+        console.log(`📋 Loaded referral synonyms from ${path.basename(REFERRAL_SYNONYMS_PATH)}`);
+    }
+
+    const map = new Map();
+    for (const [field, labels] of Object.entries(synonyms)) {
+        for (const label of [field, ...labels]) {
+            map.set(normalizeLabel(label), field);
+        }
+    }
+
+    labelMap = map;
+    return labelMap;
+}
+
+/**
+ * Maps an extracted label onto its canonical field
+ *
+ * @param {string} label - Label as extracted from the form
+ * @returns {string|null} - Canonical field name, or null when unmapped
+ */
+export function canonicalFieldName(label) {
+    return getLabelMap().get(normalizeLabel(label)) || null;
+}
@@ -0,0 +1,64 @@
+import { getAiCacheStats, getEmailByMessageId, purgeAiCacheForMessage } from '../db/repository.js';
+
+export async function getAiCache(req, res) {
+    try {
+        const tasks = getAiCacheStats();
+        const totals = tasks.reduce((sum, task) => ({
+            hits: sum.hits + task.hits,
+            misses: sum.misses + task.misses,
+            entries: sum.entries + task.entries
+        }), { hits: 0, misses: 0, entries: 0 });
+
+        return res.status(200).json({
+            success: true,
+            data: { ...totals, tasks },
+            message: 'AI cache stats fetched successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error in ai-cache controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+export async function purgeEmailAiCache(req, res) {
+    try {
+        const { messageId } = req.params;
+
+        // Accept Message-IDs with or without angle brackets
+        const email = getEmailByMessageId(messageId) || getEmailByMessageId(`<${messageId}>`);
+
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                data: {},
+                message: 'Email not found'
+            });
+        }
+
+        const purged = purgeAiCacheForMessage(email.message_id);
+        console.log(`🗑️  Purged ${purged} AI cache entr${purged === 1 ? 'y' : 'ies'} for ${email.message_id}`);
+
+        return res.status(200).json({
+            success: true,
+            data: { messageId: email.message_id, purged },
+            message: 'AI cache purged successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error in purge-ai-cache controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
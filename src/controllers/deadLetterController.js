@@ -0,0 +1,85 @@
+import { listDeadLetters, getDeadLetter, DEAD_LETTER_STATUSES } from '../db/repository.js';
+import { replayDeadLetter } from '../services/deadLetterService.js';
+
+// HTTP status and message for each replay result
+const REPLAY_RESPONSES = {
+    replayed: { status: 200, message: 'Dead letter replayed successfully' },
+    requeued: { status: 202, message: 'No stored message source; queued for the next inbox check' },
+    deferred: { status: 503, message: 'A dependency is still unavailable; try the replay again later' },
+    failed: { status: 500, message: 'Replay failed' },
+};
+
+export async function getDeadLetters(req, res) {
+    try {
+        const status = req.query.status || 'all';
+
+        if (status !== 'all' && !Object.values(DEAD_LETTER_STATUSES).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                data: {},
+                message: `Invalid status, expected one of ${Object.values(DEAD_LETTER_STATUSES).join(', ')}, all`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+        const deadLetters = listDeadLetters({ status: status === 'all' ? undefined : status }, limit);
+
+        return res.status(200).json({
+            success: true,
+            data: { deadLetters },
+            message: `Found ${deadLetters.length} dead letter(s)`
+        });
+
+    } catch (error) {
+        console.error('❌ Error in dead-letters controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+export async function replay(req, res) {
+    try {
+        const deadLetter = getDeadLetter(Number(req.params.id));
+
+        if (!deadLetter) {
+            return res.status(404).json({
+                success: false,
+                data: {},
+                message: 'Dead letter not found'
+            });
+        }
+
+        if (deadLetter.status === DEAD_LETTER_STATUSES.REPLAYED || deadLetter.status === DEAD_LETTER_STATUSES.RESOLVED) {
+            return res.status(409).json({
+                success: false,
+                data: deadLetter,
+                message: `Dead letter already ${deadLetter.status}`
+            });
+        }
+
+        const { result, deadLetter: updated, outcome, error } = await replayDeadLetter(deadLetter);
+        const response = REPLAY_RESPONSES[result];
+
+        return res.status(response.status).json({
+            success: response.status < 300,
+            data: { ...updated, outcome },
+            message: response.message,
+            ...(error ? { error } : {})
+        });
+
+    } catch (error) {
+        console.error('❌ Error in replay-dead-letter controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
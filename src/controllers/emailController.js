@@ -1,12 +1,25 @@
 import { fetchUnseenEmails } from '../services/gmailReader.js';
 import { sendEmail } from '../services/gmailSender.js';
+import { runMonitor } from '../services/monitorRunner.js';
+import { listEmails as listStoredEmails, getEmailDetail, OUTCOMES } from '../db/repository.js';
+import { parseDateParam } from '../utils/queryParams.js';
+
+const CLASSIFICATIONS = ['APPOINTMENT', 'REFERRAL', 'UNKNOWN'];
 
 export async function checkEmails(req, res) {
     try {
         console.log('🔍 Manual email check triggered');
 
-        // Fetch and process unseen emails from service
-        const result = await fetchUnseenEmails();
+        // Fetch and process unseen emails from service (never overlaps another run)
+        const { skipped, activeRun, run, result } = await runMonitor('manual', fetchUnseenEmails);
+
+        if (skipped) {
+            return res.status(409).json({
+                success: false,
+                data: { activeRun },
+                message: 'An email check is already in progress'
+            });
+        }
 
         if (result.success) {
             return res.status(200).json({
@@ -14,7 +27,9 @@ export async function checkEmails(req, res) {
                 data: {
                     count: result.count,
                     errors: result.errors || 0,
-                    emails: result.emails
+                    deferred: result.deferred || 0,
+                    emails: result.emails,
+                    runId: run.id
                 },
                 message: result.message
             });
@@ -41,9 +56,9 @@ export async function checkEmails(req, res) {
 
 export async function sendEmailController(req, res) {
     try {
-        const { to, subject, text, inReplyTo } = req.body;
+        const { to, subject, text, inReplyTo, account } = req.body;
         // Send email via service
-        const result = await sendEmail({ to, subject, text, inReplyTo });
+        const result = await sendEmail({ to, subject, text, inReplyTo, account });
 
         if (result.success) {
             return res.status(200).json({
@@ -54,7 +69,7 @@ export async function sendEmailController(req, res) {
                 message: result.message
             });
         } else {
-            return res.status(500).json({
+            return res.status(result.deferred ? 503 : 500).json({
                 success: false,
                 data: {},
                 message: result.message,
@@ -73,3 +88,113 @@ export async function sendEmailController(req, res) {
         });
     }
 }
+
+
+export async function listEmails(req, res) {
+    try {
+        const { from, to, sender, classification, hasAttachments, outcome, cursor } = req.query;
+        const filters = {};
+
+        if (from) {
+            filters.from = parseDateParam(from, false);
+            if (!filters.from) {
+                return res.status(400).json({ success: false, data: {}, message: 'Invalid "from" date' });
+            }
+        }
+
+        if (to) {
+            filters.to = parseDateParam(to, true);
+            if (!filters.to) {
+                return res.status(400).json({ success: false, data: {}, message: 'Invalid "to" date' });
+            }
+        }
+
+        if (classification) {
+            filters.classification = classification.toUpperCase();
+            if (!CLASSIFICATIONS.includes(filters.classification)) {
+                return res.status(400).json({
+                    success: false,
+                    data: {},
+                    message: `Invalid classification, expected one of ${CLASSIFICATIONS.join(', ')}`
+                });
+            }
+        }
+
+        if (outcome) {
+            if (!Object.values(OUTCOMES).includes(outcome)) {
+                return res.status(400).json({
+                    success: false,
+                    data: {},
+                    message: `Invalid outcome, expected one of ${Object.values(OUTCOMES).join(', ')}`
+                });
+            }
+            filters.outcome = outcome;
+        }
+
+        if (hasAttachments !== undefined) {
+            filters.hasAttachments = hasAttachments === 'true';
+        }
+
+        if (sender) {
+            filters.sender = sender;
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        let page;
+        try {
+            page = listStoredEmails(filters, { limit, cursor });
+        } catch (cursorError) {
+            return res.status(400).json({ success: false, data: {}, message: cursorError.message });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: page,
+            message: `Found ${page.emails.length} email(s)`
+        });
+
+    } catch (error) {
+        console.error('❌ Error in list-emails controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+export async function getEmail(req, res) {
+    try {
+        const { messageId } = req.params;
+
+        // Accept Message-IDs with or without angle brackets
+        const email = getEmailDetail(messageId) || getEmailDetail(`<${messageId}>`);
+
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                data: {},
+                message: 'Email not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: email,
+            message: 'Email fetched successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error in get-email controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
\ No newline at end of file
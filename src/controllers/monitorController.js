@@ -0,0 +1,28 @@
+import { getRunHistory, getActiveRun } from '../services/monitorRunner.js';
+import { getCircuitStates } from '../utils/resilience.js';
+
+export async function getRuns(req, res) {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                activeRun: getActiveRun(),
+                dependencies: getCircuitStates(),
+                runs: getRunHistory(limit)
+            },
+            message: 'Run history fetched successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error in runs controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,139 @@
+import { listReferrals as listStoredReferrals, getReferral as getStoredReferral } from '../db/repository.js';
+import { correctReferral } from '../services/referralService.js';
+import { parseDateParam } from '../utils/queryParams.js';
+import { findInvalidFields } from '../utils/referralFields.js';
+
+export async function listReferrals(req, res) {
+    try {
+        const { patientName, referrer, from, to, cursor } = req.query;
+        const filters = { patientName, referrer };
+
+        if (from) {
+            filters.from = parseDateParam(from, false);
+            if (!filters.from) {
+                return res.status(400).json({ success: false, data: {}, message: 'Invalid "from" date' });
+            }
+        }
+
+        if (to) {
+            filters.to = parseDateParam(to, true);
+            if (!filters.to) {
+                return res.status(400).json({ success: false, data: {}, message: 'Invalid "to" date' });
+            }
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        let page;
+        try {
+            page = listStoredReferrals(filters, { limit, cursor });
+        } catch (cursorError) {
+            return res.status(400).json({ success: false, data: {}, message: cursorError.message });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: page,
+            message: `Found ${page.referrals.length} referral(s)`
+        });
+
+    } catch (error) {
+        console.error('❌ Error in list-referrals controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+export async function getReferral(req, res) {
+    try {
+        const referral = getStoredReferral(Number(req.params.id));
+
+        if (!referral) {
+            return res.status(404).json({
+                success: false,
+                data: {},
+                message: 'Referral not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: referral,
+            message: 'Referral fetched successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error in get-referral controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+export async function updateReferralController(req, res) {
+    try {
+        const { fields, editedBy } = req.body || {};
+
+        if (!editedBy || typeof editedBy !== 'string') {
+            return res.status(400).json({
+                success: false,
+                data: {},
+                message: 'Missing required field: editedBy'
+            });
+        }
+
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+            return res.status(400).json({
+                success: false,
+                data: {},
+                message: 'fields must be an object of field name → corrected value'
+            });
+        }
+
+        const invalidFields = findInvalidFields(fields);
+        if (invalidFields.length > 0) {
+            return res.status(400).json({
+                success: false,
+                data: {},
+                message: `Unknown field or invalid value: ${invalidFields.join(', ')}`
+            });
+        }
+
+        const referral = correctReferral(Number(req.params.id), fields, editedBy.trim());
+
+        if (!referral) {
+            return res.status(404).json({
+                success: false,
+                data: {},
+                message: 'Referral not found'
+            });
+        }
+
+        console.log(`✏️  Referral ${referral.id} corrected by ${editedBy}`);
+
+        return res.status(200).json({
+            success: true,
+            data: referral,
+            message: 'Referral updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error in update-referral controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
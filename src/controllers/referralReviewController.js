@@ -0,0 +1,238 @@
+import { listReferralReviews, getReferralReview, REVIEW_STATUSES } from '../db/repository.js';
+import { approveReferralReview, rejectReferralReview, editReferralReview } from '../services/referralReviewService.js';
+import { findInvalidFields } from '../utils/referralFields.js';
+
+/**
+ * Loads a review that is still pending, sending a 404/409 response when it isn't
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Review, or null when a response was already sent
+ */
+function loadPendingReview(req, res) {
+    const review = getReferralReview(Number(req.params.id));
+
+    if (!review) {
+        res.status(404).json({ success: false, data: {}, message: 'Review not found' });
+        return null;
+    }
+
+    if (review.status !== REVIEW_STATUSES.PENDING) {
+        res.status(409).json({ success: false, data: review, message: `Review already ${review.status}` });
+        return null;
+    }
+
+    return review;
+}
+
+/**
+ * Sends the 409 response for a review another request acted on first
+ *
+ * @param {Object} res - Express response
+ * @param {number} id - referral_reviews.id
+ */
+function sendNoLongerPending(res, id) {
+    const review = getReferralReview(id);
+    return res.status(409).json({ success: false, data: review, message: `Review already ${review.status}` });
+}
+
+/**
+ * Validates an optional corrected-fields object from a request body
+ *
+ * @param {*} fields
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateFields(fields) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+        return 'fields must be an object of field name → corrected value';
+    }
+
+    const invalidFields = findInvalidFields(fields);
+    return invalidFields.length > 0 ? `Unknown field or invalid value: ${invalidFields.join(', ')}` : null;
+}
+
+export async function listReviews(req, res) {
+    try {
+        const status = req.query.status || REVIEW_STATUSES.PENDING;
+
+        if (status !== 'all' && !Object.values(REVIEW_STATUSES).includes(status)) {
+            return res.status(400).json({
+                success: false,
+                data: {},
+                message: `Invalid status, expected one of ${Object.values(REVIEW_STATUSES).join(', ')}, all`
+            });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+        let page;
+        try {
+            page = listReferralReviews({ status: status === 'all' ? undefined : status }, { limit, cursor: req.query.cursor });
+        } catch (cursorError) {
+            return res.status(400).json({ success: false, data: {}, message: cursorError.message });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: page,
+            message: `Found ${page.reviews.length} review(s)`
+        });
+
+    } catch (error) {
+        console.error('❌ Error in list-reviews controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+export async function getReview(req, res) {
+    try {
+        const review = getReferralReview(Number(req.params.id));
+
+        if (!review) {
+            return res.status(404).json({
+                success: false,
+                data: {},
+                message: 'Review not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: review,
+            message: 'Review fetched successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error in get-review controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+export async function editReview(req, res) {
+    try {
+        const { fields } = req.body || {};
+
+        const fieldsError = validateFields(fields);
+        if (fieldsError) {
+            return res.status(400).json({ success: false, data: {}, message: fieldsError });
+        }
+
+        const review = loadPendingReview(req, res);
+        if (!review) return;
+
+        return res.status(200).json({
+            success: true,
+            data: editReferralReview(review, fields),
+            message: 'Review updated successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error in edit-review controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+export async function approveReview(req, res) {
+    try {
+        const { reviewedBy, fields, notes } = req.body || {};
+
+        if (!reviewedBy || typeof reviewedBy !== 'string') {
+            return res.status(400).json({
+                success: false,
+                data: {},
+                message: 'Missing required field: reviewedBy'
+            });
+        }
+
+        if (fields !== undefined) {
+            const fieldsError = validateFields(fields);
+            if (fieldsError) {
+                return res.status(400).json({ success: false, data: {}, message: fieldsError });
+            }
+        }
+
+        let review = loadPendingReview(req, res);
+        if (!review) return;
+
+        if (fields) {
+            review = editReferralReview(review, fields);
+        }
+
+        const approved = await approveReferralReview(review, reviewedBy.trim(), notes);
+        if (!approved) {
+            return sendNoLongerPending(res, review.id);
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: approved,
+            message: `Review approved, referral ${approved.referral_id} stored`
+        });
+
+    } catch (error) {
+        console.error('❌ Error in approve-review controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
+
+export async function rejectReview(req, res) {
+    try {
+        const { reviewedBy, reason } = req.body || {};
+
+        if (!reviewedBy || typeof reviewedBy !== 'string') {
+            return res.status(400).json({
+                success: false,
+                data: {},
+                message: 'Missing required field: reviewedBy'
+            });
+        }
+
+        const review = loadPendingReview(req, res);
+        if (!review) return;
+
+        const rejected = rejectReferralReview(review, reviewedBy.trim(), reason);
+        if (!rejected) {
+            return sendNoLongerPending(res, review.id);
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: rejected,
+            message: 'Review rejected'
+        });
+
+    } catch (error) {
+        console.error('❌ Error in reject-review controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
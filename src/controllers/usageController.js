@@ -0,0 +1,24 @@
+import { getUsageReport } from '../services/aiUsage.js';
+
+export async function getUsage(req, res) {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 30, 366);
+        const months = Math.min(parseInt(req.query.months) || 12, 36);
+
+        return res.status(200).json({
+            success: true,
+            data: getUsageReport({ days, months }),
+            message: 'AI usage fetched successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Error in usage controller:', error.message);
+
+        return res.status(500).json({
+            success: false,
+            data: {},
+            message: 'Internal server error',
+            error: error.message
+        });
+    }
+}
@@ -0,0 +1,333 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Database from 'better-sqlite3';
+import { config } from '../config/env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATABASE_PATH = config.DATABASE_PATH || path.join(config.STORAGE_DIR || path.join(__dirname, '../../storage'), 'monitor.db');
+
+/**
+ * SQLite database connection
+ * Single embedded database that is the system of record for processed emails,
+ * attachments, referrals, appointments, outbound messages, the processing
+ * ledger and monitor run history.
+ *
+ * Schema changes are applied as numbered migrations tracked in PRAGMA user_version.
+ * Never edit a migration that has shipped; append a new one instead.
+ */
+
+const MIGRATIONS = [
+    // 1: initial schema
+    `
+    CREATE TABLE emails (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT NOT NULL UNIQUE,
+        thread_id TEXT,
+        account TEXT,
+        folder TEXT,
+        from_address TEXT,
+        subject TEXT,
+        body TEXT,
+        received_at TEXT,
+        classification TEXT,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX idx_emails_received_at ON emails (received_at);
+    CREATE INDEX idx_emails_thread_id ON emails (thread_id);
+
+    CREATE TABLE attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email_id INTEGER NOT NULL REFERENCES emails (id) ON DELETE CASCADE,
+        filename TEXT NOT NULL,
+        original_filename TEXT,
+        content_type TEXT,
+        size_bytes INTEGER,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX idx_attachments_email_id ON attachments (email_id);
+
+    CREATE TABLE referrals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email_id INTEGER REFERENCES emails (id) ON DELETE SET NULL,
+        message_id TEXT NOT NULL,
+        thread_id TEXT,
+        from_address TEXT,
+        account TEXT,
+        folder TEXT,
+        extracted_data TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX idx_referrals_message_id ON referrals (message_id);
+
+    CREATE TABLE appointments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email_id INTEGER REFERENCES emails (id) ON DELETE SET NULL,
+        message_id TEXT,
+        thread_id TEXT,
+        event_id TEXT,
+        calendar_id TEXT,
+        doctor_name TEXT,
+        patient_name TEXT,
+        patient_email TEXT,
+        start_time TEXT NOT NULL,
+        end_time TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'booked',
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX idx_appointments_patient_email ON appointments (patient_email);
+
+    CREATE TABLE outbound_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email_id INTEGER REFERENCES emails (id) ON DELETE SET NULL,
+        in_reply_to TEXT,
+        account TEXT,
+        from_address TEXT,
+        to_address TEXT NOT NULL,
+        subject TEXT,
+        body TEXT,
+        provider_message_id TEXT,
+        status TEXT NOT NULL,
+        error TEXT,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX idx_outbound_messages_email_id ON outbound_messages (email_id);
+
+    CREATE TABLE processing_stages (
+        message_id TEXT NOT NULL,
+        stage_key TEXT NOT NULL,
+        stage TEXT NOT NULL,
+        sub_key TEXT,
+        result TEXT,
+        completed_at TEXT NOT NULL,
+        PRIMARY KEY (message_id, stage_key)
+    );
+
+    CREATE TABLE monitor_runs (
+        id TEXT PRIMARY KEY,
+        trigger TEXT NOT NULL,
+        started_at TEXT NOT NULL,
+        finished_at TEXT,
+        duration_ms INTEGER,
+        status TEXT NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        errors INTEGER NOT NULL DEFAULT 0,
+        error TEXT
+    );
+    CREATE INDEX idx_monitor_runs_started_at ON monitor_runs (started_at);
+    `,
+
+    // 2: processing outcome per email
+    `
+    ALTER TABLE emails ADD COLUMN outcome TEXT NOT NULL DEFAULT 'pending';
+    CREATE INDEX idx_emails_outcome ON emails (outcome);
+    CREATE INDEX idx_emails_classification ON emails (classification);
+    `,
+
+    // 3: human corrections to AI-extracted referral fields
+    `
+    ALTER TABLE referrals ADD COLUMN corrected_data TEXT;
+    ALTER TABLE referrals ADD COLUMN updated_at TEXT;
+
+    CREATE TABLE referral_edits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        referral_id INTEGER NOT NULL REFERENCES referrals (id) ON DELETE CASCADE,
+        field TEXT NOT NULL,
+        old_value TEXT,
+        new_value TEXT,
+        edited_by TEXT NOT NULL,
+        edited_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX idx_referral_edits_referral_id ON referral_edits (referral_id);
+    `,
+
+    // 4: review queue for low-confidence referral extractions
+    `
+    CREATE TABLE referral_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email_id INTEGER REFERENCES emails (id) ON DELETE SET NULL,
+        message_id TEXT NOT NULL,
+        thread_id TEXT,
+        from_address TEXT,
+        account TEXT,
+        folder TEXT,
+        extracted_data TEXT NOT NULL,
+        field_confidence TEXT,
+        issues TEXT,
+        corrected_data TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        reviewed_by TEXT,
+        reviewed_at TEXT,
+        review_notes TEXT,
+        referral_id INTEGER REFERENCES referrals (id) ON DELETE SET NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        updated_at TEXT
+    );
+    CREATE INDEX idx_referral_reviews_status ON referral_reviews (status);
+    `,
+
+    // 5: per-field source attachment and cross-attachment conflicts
+    `
+    ALTER TABLE referrals ADD COLUMN field_sources TEXT;
+    ALTER TABLE referrals ADD COLUMN conflicts TEXT;
+    ALTER TABLE referral_reviews ADD COLUMN field_sources TEXT;
+    ALTER TABLE referral_reviews ADD COLUMN conflicts TEXT;
+    `,
+
+    // 6: deterministic validation results (automatic fixes and invalid values)
+    `
+    ALTER TABLE referrals ADD COLUMN validation TEXT;
+    ALTER TABLE referral_reviews ADD COLUMN validation TEXT;
+    `,
+
+    // 7: AI response cache, the emails each entry was used for, and hit/miss counts per task
+    `
+    CREATE TABLE ai_cache (
+        cache_key TEXT PRIMARY KEY,
+        task TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        prompt_version TEXT NOT NULL,
+        response TEXT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        last_hit_at TEXT,
+        expires_at TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX idx_ai_cache_expires_at ON ai_cache (expires_at);
+
+    CREATE TABLE ai_cache_messages (
+        cache_key TEXT NOT NULL REFERENCES ai_cache (cache_key) ON DELETE CASCADE,
+        message_id TEXT NOT NULL,
+        PRIMARY KEY (cache_key, message_id)
+    );
+    CREATE INDEX idx_ai_cache_messages_message_id ON ai_cache_messages (message_id);
+
+    CREATE TABLE ai_cache_stats (
+        task TEXT PRIMARY KEY,
+        hits INTEGER NOT NULL DEFAULT 0,
+        misses INTEGER NOT NULL DEFAULT 0
+    );
+    `,
+
+    // 8: tokens, latency and cost of every model call, per email
+    `
+    CREATE TABLE ai_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        message_id TEXT,
+        sender_domain TEXT,
+        task TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        model TEXT NOT NULL,
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        latency_ms INTEGER NOT NULL,
+        cost_usd REAL,
+        created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+    );
+    CREATE INDEX idx_ai_usage_created_at ON ai_usage (created_at);
+    CREATE INDEX idx_ai_usage_message_id ON ai_usage (message_id);
+    `,
+
+    // 9: emails left unseen because a dependency was down
+    `
+    ALTER TABLE monitor_runs ADD COLUMN deferred INTEGER NOT NULL DEFAULT 0;
+    `,
+
+    // 10: messages that failed processing, with the raw source kept for replay
+    `
+    CREATE TABLE dead_letters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        account TEXT NOT NULL,
+        folder TEXT NOT NULL,
+        uid_validity TEXT NOT NULL DEFAULT '',
+        uid INTEGER NOT NULL,
+        message_id TEXT,
+        from_address TEXT,
+        subject TEXT,
+        source BLOB,
+        stage TEXT,
+        error TEXT NOT NULL,
+        stack TEXT,
+        attempts INTEGER NOT NULL DEFAULT 1,
+        status TEXT NOT NULL,
+        first_failed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        last_failed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        replayed_at TEXT,
+        UNIQUE (account, folder, uid_validity, uid)
+    );
+    CREATE INDEX idx_dead_letters_status ON dead_letters (status);
+    `,
+
+    // 11: rescheduled and cancelled appointments, looked up by sender, thread and reply headers
+    `
+    ALTER TABLE appointments ADD COLUMN updated_at TEXT;
+    CREATE INDEX idx_appointments_thread_id ON appointments (thread_id);
+    CREATE INDEX idx_appointments_status_start_time ON appointments (status, start_time);
+    CREATE INDEX idx_outbound_messages_provider_message_id ON outbound_messages (provider_message_id);
+    `,
+
+    // 12: appointment type of each booking and the type a referral asks for
+    `
+    ALTER TABLE appointments ADD COLUMN appointment_type TEXT;
+    ALTER TABLE referrals ADD COLUMN appointment_type TEXT;
+    `,
+
+    // 13: review queue items looked up by email, so each email is queued once
+    `
+    CREATE INDEX idx_referral_reviews_message_id ON referral_reviews (message_id);
+    `,
+];
+
+let db = null;
+
+/**
+ * Applies any migrations newer than the database's user_version
+ * @param {Database} database - Open database
+ */
+function migrate(database) {
+    const currentVersion = database.pragma('user_version', { simple: true });
+
+    for (let version = currentVersion; version < MIGRATIONS.length; version++) {
+        database.transaction(() => {
+            database.exec(MIGRATIONS[version]);
+            database.pragma(`user_version = ${version + 1}`);
+        })();
+        console.log(`🗄️  Applied database migration ${version + 1}`);
+    }
+}
+
+/**
+ * Returns the shared database connection, opening and migrating it on first use
+ * @returns {Database}
+ */
+export function getDb() {
+    if (db) {
+        return db;
+    }
+
+    const dbDir = path.dirname(DATABASE_PATH);
+    if (!fs.existsSync(dbDir)) {
+        fs.mkdirSync(dbDir, { recursive: true });
+    }
+
+    db = new Database(DATABASE_PATH);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    migrate(db);
+
+    return db;
+}
+
+/**
+ * Closes the database connection (used by scripts and on shutdown)
+ */
+export function closeDb() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
@@ -0,0 +1,1396 @@
+import { getDb } from './database.js';
+
+/**
+ * Repository
+ * The only module that talks SQL. Services call these functions instead of
+ * touching the database (or CSV files) directly.
+ */
+
+/**
+ * Final processing outcome recorded on each email
+ */
+export const OUTCOMES = {
+    PENDING: 'pending',
+    REFERRAL_STORED: 'referral_stored',
+    REFERRAL_IN_REVIEW: 'referral_in_review',
+    APPOINTMENT_BOOKED: 'appointment_booked',
+    APPOINTMENT_RESCHEDULED: 'appointment_rescheduled',
+    APPOINTMENT_CANCELLED: 'appointment_cancelled',
+    CLARIFICATION_REQUESTED: 'clarification_requested',
+    AVAILABILITY_SENT: 'availability_sent',
+    REPLY_SENT: 'reply_sent',
+    MANUAL_REVIEW: 'manual_review',
+    DEFERRED: 'deferred',
+    SKIPPED: 'skipped',
+    FAILED: 'failed',
+};
+
+/**
+ * Parses a JSON column, returning null for empty values
+ * @param {string|null} value
+ * @returns {*}
+ */
+function parseJson(value) {
+    return value ? JSON.parse(value) : null;
+}
+
+// ─── Emails ─────────────────────────────────────────────────────────────
+
+/**
+ * Stores a processed email and its attachments
+ * Re-saving the same Message-ID is a no-op and returns the existing row id
+ *
+ * @param {Object} emailData - Processed email data from gmailReader
+ * @param {Object} [options]
+ * @param {string} [options.messageKey] - Ledger key (Message-ID or fallback) used as the unique id
+ * @param {string} [options.fullBody] - Untruncated body text
+ * @param {Array<Object>} [options.attachments] - { filename, originalFilename, contentType, sizeBytes }
+ * @returns {number} - emails.id
+ */
+export function saveEmail(emailData, { messageKey, fullBody, attachments = [] } = {}) {
+    const db = getDb();
+    const messageId = messageKey || emailData.messageId;
+
+    return db.transaction(() => {
+        const existing = db.prepare('SELECT id FROM emails WHERE message_id = ?').get(messageId);
+        if (existing) {
+            return existing.id;
+        }
+
+        const { lastInsertRowid } = db.prepare(`
+            INSERT INTO emails (message_id, thread_id, account, folder, from_address, subject, body, received_at)
+            VALUES (@messageId, @threadId, @account, @folder, @from, @subject, @body, @receivedAt)
+        `).run({
+            messageId,
+            threadId: emailData.threadId || null,
+            account: emailData.account || null,
+            folder: emailData.folder || null,
+            from: emailData.from || null,
+            subject: emailData.subject || null,
+            body: fullBody ?? emailData.body ?? null,
+            receivedAt: emailData.date || null,
+        });
+
+        const insertAttachment = db.prepare(`
+            INSERT INTO attachments (email_id, filename, original_filename, content_type, size_bytes)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+
+        for (const attachment of attachments) {
+            insertAttachment.run(
+                lastInsertRowid,
+                attachment.filename,
+                attachment.originalFilename || null,
+                attachment.contentType || null,
+                attachment.sizeBytes ?? null
+            );
+        }
+
+        return Number(lastInsertRowid);
+    })();
+}
+
+/**
+ * Finds an email row by Message-ID
+ * @param {string} messageId
+ * @returns {Object|null}
+ */
+export function getEmailByMessageId(messageId) {
+    return getDb().prepare('SELECT * FROM emails WHERE message_id = ?').get(messageId) || null;
+}
+
+/**
+ * Records the AI (or folder-assigned) classification of an email
+ *
+ * @param {string} messageId - Message-ID / ledger key
+ * @param {string} classification - 'APPOINTMENT' | 'REFERRAL' | 'UNKNOWN'
+ */
+export function setEmailClassification(messageId, classification) {
+    getDb().prepare('UPDATE emails SET classification = ? WHERE message_id = ?').run(classification, messageId);
+}
+
+/**
+ * Records the final processing outcome of an email
+ *
+ * @param {string} messageId - Message-ID / ledger key
+ * @param {string} outcome - One of OUTCOMES
+ */
+export function setEmailOutcome(messageId, outcome) {
+    getDb().prepare('UPDATE emails SET outcome = ? WHERE message_id = ?').run(outcome, messageId);
+}
+
+/**
+ * Encodes a keyset pagination cursor
+ * @param {Object} row - Last emails row of the page
+ * @returns {string}
+ */
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify([row.received_at || '', row.id])).toString('base64url');
+}
+
+/**
+ * Decodes a keyset pagination cursor
+ * @param {string} cursor
+ * @returns {{ receivedAt: string, id: number }}
+ */
+function decodeCursor(cursor) {
+    try {
+        const [receivedAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return { receivedAt, id };
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+}
+
+/**
+ * Lists emails newest first with optional filters and cursor pagination
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.from] - ISO date, received on or after
+ * @param {string} [filters.to] - ISO date, received on or before
+ * @param {string} [filters.sender] - Case-insensitive substring of the From header
+ * @param {string} [filters.classification] - 'APPOINTMENT' | 'REFERRAL' | 'UNKNOWN'
+ * @param {boolean} [filters.hasAttachments]
+ * @param {string} [filters.outcome] - One of OUTCOMES
+ * @param {Object} [page]
+ * @param {number} [page.limit=20]
+ * @param {string} [page.cursor] - nextCursor from the previous page
+ * @returns {{ emails: Array<Object>, nextCursor: string|null }}
+ */
+export function listEmails(filters = {}, { limit = 20, cursor } = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.from) {
+        conditions.push('e.received_at >= @from');
+        params.from = filters.from;
+    }
+    if (filters.to) {
+        conditions.push('e.received_at <= @to');
+        params.to = filters.to;
+    }
+    if (filters.sender) {
+        conditions.push("LOWER(e.from_address) LIKE '%' || LOWER(@sender) || '%'");
+        params.sender = filters.sender;
+    }
+    if (filters.classification) {
+        conditions.push('e.classification = @classification');
+        params.classification = filters.classification;
+    }
+    if (filters.hasAttachments !== undefined) {
+        conditions.push(`${filters.hasAttachments ? '' : 'NOT '}EXISTS (SELECT 1 FROM attachments a WHERE a.email_id = e.id)`);
+    }
+    if (filters.outcome) {
+        conditions.push('e.outcome = @outcome');
+        params.outcome = filters.outcome;
+    }
+    if (cursor) {
+        const { receivedAt, id } = decodeCursor(cursor);
+        conditions.push("(IFNULL(e.received_at, '') < @cursorReceivedAt OR (IFNULL(e.received_at, '') = @cursorReceivedAt AND e.id < @cursorId))");
+        params.cursorReceivedAt = receivedAt;
+        params.cursorId = id;
+    }
+
+    const rows = getDb().prepare(`
+        SELECT e.id, e.message_id, e.thread_id, e.account, e.folder, e.from_address, e.subject,
+            e.received_at, e.classification, e.outcome, e.created_at,
+            (SELECT COUNT(*) FROM attachments a WHERE a.email_id = e.id) AS attachment_count
+        FROM emails e
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY IFNULL(e.received_at, '') DESC, e.id DESC
+        LIMIT @limit
+    `).all({ ...params, limit: limit + 1 });
+
+    const hasMore = rows.length > limit;
+    const emails = hasMore ? rows.slice(0, limit) : rows;
+
+    return {
+        emails,
+        nextCursor: hasMore ? encodeCursor(emails[emails.length - 1]) : null,
+    };
+}
+
+/**
+ * Gets one email with its attachments and everything the pipeline did for it
+ *
+ * @param {string} messageId - Message-ID / ledger key
+ * @returns {Object|null}
+ */
+export function getEmailDetail(messageId) {
+    const db = getDb();
+    const email = getEmailByMessageId(messageId);
+
+    if (!email) {
+        return null;
+    }
+
+    return {
+        ...email,
+        attachments: db.prepare('SELECT * FROM attachments WHERE email_id = ? ORDER BY id').all(email.id),
+        actions: {
+            stages: listProcessingStages(email.message_id),
+            referrals: db.prepare('SELECT * FROM referrals WHERE email_id = ? ORDER BY id').all(email.id)
+                .map(formatReferral),
+            appointments: db.prepare('SELECT * FROM appointments WHERE email_id = ? ORDER BY id').all(email.id),
+            outboundMessages: db.prepare('SELECT * FROM outbound_messages WHERE email_id = ? ORDER BY id').all(email.id),
+            aiUsage: db.prepare('SELECT * FROM ai_usage WHERE message_id = ? ORDER BY id').all(email.message_id),
+        },
+    };
+}
+
+// ─── Referrals ──────────────────────────────────────────────────────────
+
+/**
+ * Stores an extracted referral
+ * An email is stored as one referral: when a referral for messageId already exists
+ * (the email was reprocessed after a crash mid-stage) its id is returned instead.
+ * Legacy rows imported without a Message-ID are never matched this way.
+ *
+ * @param {Object} referral
+ * @param {string} referral.messageId - Message-ID / ledger key of the source email ('' for some legacy rows)
+ * @param {string} referral.threadId
+ * @param {string} referral.from
+ * @param {string} referral.account
+ * @param {string} referral.folder
+ * @param {Object} referral.extractedData - AI-extracted fields
+ * @param {Object} [referral.fieldSources] - Field name → attachment filename(s) the value came from
+ * @param {Array<Object>} [referral.conflicts] - Fields whose values disagreed across attachments
+ * @param {Object} [referral.validation] - { corrections, invalid } from the referral validator
+ * @param {string} [referral.appointmentType] - Appointment type id the referral asks for
+ * @param {string} [referral.createdAt] - Override creation time (used by the CSV importer)
+ * @returns {number} - referrals.id (of the existing referral when one is already stored)
+ */
+export function saveReferral({
+    messageId, threadId, from, account, folder, extractedData, fieldSources, conflicts, validation, appointmentType, createdAt,
+}) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const existing = messageId
+            ? db.prepare('SELECT id FROM referrals WHERE message_id = ? ORDER BY id LIMIT 1').get(messageId)
+            : null;
+        if (existing) {
+            return existing.id;
+        }
+
+        const email = getEmailByMessageId(messageId);
+
+        const { lastInsertRowid } = db.prepare(`
+            INSERT INTO referrals (email_id, message_id, thread_id, from_address, account, folder, extracted_data,
+                field_sources, conflicts, validation, appointment_type, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, strftime('%Y-%m-%dT%H:%M:%fZ', 'now')))
+        `).run(
+            email ? email.id : null,
+            messageId,
+            threadId || null,
+            from || null,
+            account || null,
+            folder || null,
+            JSON.stringify(extractedData || {}),
+            fieldSources ? JSON.stringify(fieldSources) : null,
+            conflicts ? JSON.stringify(conflicts) : null,
+            validation ? JSON.stringify(validation) : null,
+            appointmentType || null,
+            createdAt || null
+        );
+
+        return Number(lastInsertRowid);
+    })();
+}
+
+/**
+ * Parses a referrals row
+ * extracted_data is the original AI output and is never modified; corrected_data
+ * holds the full record after human edits (null until first edited) and data is
+ * whichever of the two is current.
+ *
+ * @param {Object} row - referrals row
+ * @returns {Object}
+ */
+function formatReferral(row) {
+    const extractedData = parseJson(row.extracted_data);
+    const correctedData = parseJson(row.corrected_data);
+
+    return {
+        ...row,
+        extracted_data: extractedData,
+        corrected_data: correctedData,
+        field_sources: parseJson(row.field_sources),
+        conflicts: parseJson(row.conflicts) || [],
+        validation: parseJson(row.validation),
+        data: correctedData || extractedData,
+    };
+}
+
+/**
+ * Lists all referrals, oldest first, with extracted_data parsed
+ * @returns {Array<Object>}
+ */
+export function listAllReferrals() {
+    return getDb().prepare('SELECT * FROM referrals ORDER BY id').all().map(formatReferral);
+}
+
+// Canonical referral fields searched by patientName / referrer
+const PATIENT_FIELD_CONDITION = "f.key = 'patientName'";
+const REFERRER_FIELD_CONDITION = "f.key IN ('referringDentist', 'referringPractice')";
+
+/**
+ * Lists referrals newest first with optional search and cursor pagination
+ * Searches run against the current (corrected) data.
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.patientName] - Substring of patientName
+ * @param {string} [filters.referrer] - Substring of referringDentist, referringPractice or the sender address
+ * @param {string} [filters.from] - ISO date, received on or after
+ * @param {string} [filters.to] - ISO date, received on or before
+ * @param {Object} [page]
+ * @param {number} [page.limit=20]
+ * @param {string} [page.cursor] - nextCursor from the previous page
+ * @returns {{ referrals: Array<Object>, nextCursor: string|null }}
+ */
+export function listReferrals(filters = {}, { limit = 20, cursor } = {}) {
+    const receivedAt = 'COALESCE(e.received_at, r.created_at)';
+    const currentData = 'COALESCE(r.corrected_data, r.extracted_data)';
+    const conditions = [];
+    const params = {};
+
+    if (filters.patientName) {
+        conditions.push(`EXISTS (SELECT 1 FROM json_each(${currentData}) f
+            WHERE ${PATIENT_FIELD_CONDITION} AND LOWER(f.value) LIKE '%' || LOWER(@patientName) || '%')`);
+        params.patientName = filters.patientName;
+    }
+    if (filters.referrer) {
+        conditions.push(`(LOWER(r.from_address) LIKE '%' || LOWER(@referrer) || '%'
+            OR EXISTS (SELECT 1 FROM json_each(${currentData}) f
+                WHERE ${REFERRER_FIELD_CONDITION} AND LOWER(f.value) LIKE '%' || LOWER(@referrer) || '%'))`);
+        params.referrer = filters.referrer;
+    }
+    if (filters.from) {
+        conditions.push(`${receivedAt} >= @from`);
+        params.from = filters.from;
+    }
+    if (filters.to) {
+        conditions.push(`${receivedAt} <= @to`);
+        params.to = filters.to;
+    }
+    if (cursor) {
+        const { receivedAt: cursorReceivedAt, id } = decodeCursor(cursor);
+        conditions.push(`(${receivedAt} < @cursorReceivedAt OR (${receivedAt} = @cursorReceivedAt AND r.id < @cursorId))`);
+        params.cursorReceivedAt = cursorReceivedAt;
+        params.cursorId = id;
+    }
+
+    const rows = getDb().prepare(`
+        SELECT r.*, ${receivedAt} AS received_at, e.subject
+        FROM referrals r
+        LEFT JOIN emails e ON e.id = r.email_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${receivedAt} DESC, r.id DESC
+        LIMIT @limit
+    `).all({ ...params, limit: limit + 1 });
+
+    const hasMore = rows.length > limit;
+    const referrals = (hasMore ? rows.slice(0, limit) : rows).map(formatReferral);
+
+    return {
+        referrals,
+        nextCursor: hasMore ? encodeCursor(referrals[referrals.length - 1]) : null,
+    };
+}
+
+/**
+ * Gets one referral with its edit history
+ *
+ * @param {number} id - referrals.id
+ * @returns {Object|null}
+ */
+export function getReferral(id) {
+    const db = getDb();
+    const row = db.prepare(`
+        SELECT r.*, COALESCE(e.received_at, r.created_at) AS received_at, e.subject
+        FROM referrals r
+        LEFT JOIN emails e ON e.id = r.email_id
+        WHERE r.id = ?
+    `).get(id);
+
+    if (!row) {
+        return null;
+    }
+
+    const edits = db.prepare('SELECT * FROM referral_edits WHERE referral_id = ? ORDER BY id').all(id)
+        .map(edit => ({ ...edit, old_value: parseJson(edit.old_value), new_value: parseJson(edit.new_value) }));
+
+    return { ...formatReferral(row), edits };
+}
+
+/**
+ * Applies human corrections to a referral's extracted fields
+ * The original AI output is left untouched; each changed field is written to
+ * the edit log with its previous value. Unchanged fields are ignored.
+ *
+ * @param {number} id - referrals.id
+ * @param {Object} changes - Field name → corrected value
+ * @param {string} editedBy - Who made the change
+ * @returns {Object|null} - Updated referral, or null when not found
+ */
+export function updateReferral(id, changes, editedBy) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const row = db.prepare('SELECT extracted_data, corrected_data FROM referrals WHERE id = ?').get(id);
+        if (!row) {
+            return null;
+        }
+
+        const current = parseJson(row.corrected_data) || parseJson(row.extracted_data) || {};
+        const editedAt = new Date().toISOString();
+        const insertEdit = db.prepare(`
+            INSERT INTO referral_edits (referral_id, field, old_value, new_value, edited_by, edited_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+
+        let changed = 0;
+        for (const [field, value] of Object.entries(changes)) {
+            const oldValue = current[field] === undefined ? null : current[field];
+            if (JSON.stringify(oldValue) === JSON.stringify(value)) {
+                continue;
+            }
+
+            insertEdit.run(id, field, JSON.stringify(oldValue), JSON.stringify(value), editedBy, editedAt);
+            current[field] = value;
+            changed++;
+        }
+
+        if (changed > 0) {
+            db.prepare('UPDATE referrals SET corrected_data = ?, updated_at = ? WHERE id = ?')
+                .run(JSON.stringify(current), editedAt, id);
+        }
+
+        return getReferral(id);
+    })();
+}
+
+/**
+ * Replaces the validation result stored on a referral
+ *
+ * @param {number} id - referrals.id
+ * @param {Object} validation - { corrections, invalid, validatedAt }
+ */
+export function setReferralValidation(id, validation) {
+    getDb().prepare('UPDATE referrals SET validation = ? WHERE id = ?').run(JSON.stringify(validation), id);
+}
+
+/**
+ * Replaces the appointment type stored on a referral
+ *
+ * @param {number} id - referrals.id
+ * @param {string|null} appointmentType - Appointment type id
+ */
+export function setReferralAppointmentType(id, appointmentType) {
+    getDb().prepare('UPDATE referrals SET appointment_type = ? WHERE id = ?').run(appointmentType || null, id);
+}
+
+/**
+ * Finds the appointment type of the latest referral in a thread
+ * The referral matches on the thread or when the email replies to the referral email.
+ *
+ * @param {Object} lookup
+ * @param {string} [lookup.threadId]
+ * @param {Array<string>} [lookup.references] - Message-IDs from In-Reply-To and References
+ * @returns {string|null} - Appointment type id
+ */
+export function findReferralAppointmentType({ threadId, references = [] }) {
+    const row = getDb().prepare(`
+        SELECT appointment_type FROM referrals
+        WHERE appointment_type IS NOT NULL
+            AND (thread_id = @threadId OR message_id IN (SELECT value FROM json_each(@references)))
+        ORDER BY id DESC
+        LIMIT 1
+    `).get({ threadId: threadId || null, references: JSON.stringify(references) });
+
+    return row ? row.appointment_type : null;
+}
+
+// ─── Referral review queue ──────────────────────────────────────────────
+
+/**
+ * Review statuses
+ */
+export const REVIEW_STATUSES = {
+    PENDING: 'pending',
+    APPROVING: 'approving', // Claimed by an approval that is storing the referral
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+};
+
+/**
+ * Parses a referral_reviews row
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatReferralReview(row) {
+    const extractedData = parseJson(row.extracted_data);
+    const correctedData = parseJson(row.corrected_data);
+
+    return {
+        ...row,
+        extracted_data: extractedData,
+        field_confidence: parseJson(row.field_confidence),
+        field_sources: parseJson(row.field_sources),
+        conflicts: parseJson(row.conflicts) || [],
+        validation: parseJson(row.validation),
+        issues: parseJson(row.issues) || [],
+        corrected_data: correctedData,
+        data: correctedData || extractedData,
+    };
+}
+
+/**
+ * Queues an extraction for human review
+ * An email is queued once: when a review for messageId already exists its id is returned instead.
+ *
+ * @param {Object} review
+ * @param {string} review.messageId - Message-ID / ledger key of the source email
+ * @param {string} review.threadId
+ * @param {string} review.from
+ * @param {string} review.account
+ * @param {string} review.folder
+ * @param {Object} review.extractedData - AI-extracted fields
+ * @param {Object} review.fieldConfidence - Field name → confidence (0-1)
+ * @param {Object} [review.fieldSources] - Field name → attachment filename(s) the value came from
+ * @param {Array<Object>} [review.conflicts] - Fields whose values disagreed across attachments
+ * @param {Object} [review.validation] - { corrections, invalid } from the referral validator
+ * @param {Object} [review.correctedData] - Record with automatic fixes applied
+ * @param {Array<Object>} review.issues - { field, reason } entries that sent it to review
+ * @returns {number} - referral_reviews.id (of the existing review when one is already queued)
+ */
+export function saveReferralReview({
+    messageId, threadId, from, account, folder, extractedData, fieldConfidence, fieldSources, conflicts, validation,
+    correctedData, issues,
+}) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const existing = db.prepare('SELECT id FROM referral_reviews WHERE message_id = ? ORDER BY id LIMIT 1').get(messageId);
+        if (existing) {
+            return existing.id;
+        }
+
+        const email = getEmailByMessageId(messageId);
+
+        const { lastInsertRowid } = db.prepare(`
+            INSERT INTO referral_reviews (email_id, message_id, thread_id, from_address, account, folder,
+                extracted_data, field_confidence, field_sources, conflicts, validation, corrected_data, issues)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            email ? email.id : null,
+            messageId,
+            threadId || null,
+            from || null,
+            account || null,
+            folder || null,
+            JSON.stringify(extractedData || {}),
+            JSON.stringify(fieldConfidence || {}),
+            fieldSources ? JSON.stringify(fieldSources) : null,
+            conflicts ? JSON.stringify(conflicts) : null,
+            validation ? JSON.stringify(validation) : null,
+            correctedData ? JSON.stringify(correctedData) : null,
+            JSON.stringify(issues || [])
+        );
+
+        return Number(lastInsertRowid);
+    })();
+}
+
+/**
+ * Gets one review queue item
+ * @param {number} id - referral_reviews.id
+ * @returns {Object|null}
+ */
+export function getReferralReview(id) {
+    const row = getDb().prepare(`
+        SELECT rr.*, COALESCE(e.received_at, rr.created_at) AS received_at, e.subject
+        FROM referral_reviews rr
+        LEFT JOIN emails e ON e.id = rr.email_id
+        WHERE rr.id = ?
+    `).get(id);
+
+    return row ? formatReferralReview(row) : null;
+}
+
+/**
+ * Lists review queue items newest first
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - One of REVIEW_STATUSES
+ * @param {Object} [page]
+ * @param {number} [page.limit=20]
+ * @param {string} [page.cursor] - nextCursor from the previous page
+ * @returns {{ reviews: Array<Object>, nextCursor: string|null }}
+ */
+export function listReferralReviews(filters = {}, { limit = 20, cursor } = {}) {
+    const receivedAt = 'COALESCE(e.received_at, rr.created_at)';
+    const conditions = [];
+    const params = {};
+
+    if (filters.status) {
+        conditions.push('rr.status = @status');
+        params.status = filters.status;
+    }
+    if (cursor) {
+        const { receivedAt: cursorReceivedAt, id } = decodeCursor(cursor);
+        conditions.push(`(${receivedAt} < @cursorReceivedAt OR (${receivedAt} = @cursorReceivedAt AND rr.id < @cursorId))`);
+        params.cursorReceivedAt = cursorReceivedAt;
+        params.cursorId = id;
+    }
+
+    const rows = getDb().prepare(`
+        SELECT rr.*, ${receivedAt} AS received_at, e.subject
+        FROM referral_reviews rr
+        LEFT JOIN emails e ON e.id = rr.email_id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ${receivedAt} DESC, rr.id DESC
+        LIMIT @limit
+    `).all({ ...params, limit: limit + 1 });
+
+    const hasMore = rows.length > limit;
+    const reviews = (hasMore ? rows.slice(0, limit) : rows).map(formatReferralReview);
+
+    return {
+        reviews,
+        nextCursor: hasMore ? encodeCursor(reviews[reviews.length - 1]) : null,
+    };
+}
+
+/**
+ * Updates a review queue item
+ *
+ * @param {number} id - referral_reviews.id
+ * @param {Object} changes
+ * @param {Object} [changes.correctedData] - Full record after reviewer edits
+ * @param {string} [changes.status] - One of REVIEW_STATUSES
+ * @param {string} [changes.reviewedBy]
+ * @param {string} [changes.reviewNotes]
+ * @param {number} [changes.referralId] - Referral created on approval
+ * @param {Object} [changes.validation] - Fresh validation result
+ */
+export function updateReferralReview(id, { correctedData, status, reviewedBy, reviewNotes, referralId, validation }) {
+    const now = new Date().toISOString();
+
+    getDb().prepare(`
+        UPDATE referral_reviews SET
+            corrected_data = COALESCE(@correctedData, corrected_data),
+            status = COALESCE(@status, status),
+            reviewed_by = COALESCE(@reviewedBy, reviewed_by),
+            reviewed_at = CASE WHEN @status IS NULL THEN reviewed_at ELSE @now END,
+            review_notes = COALESCE(@reviewNotes, review_notes),
+            referral_id = COALESCE(@referralId, referral_id),
+            validation = COALESCE(@validation, validation),
+            updated_at = @now
+        WHERE id = @id
+    `).run({
+        id,
+        now,
+        correctedData: correctedData ? JSON.stringify(correctedData) : null,
+        status: status || null,
+        reviewedBy: reviewedBy || null,
+        reviewNotes: reviewNotes || null,
+        referralId: referralId ?? null,
+        validation: validation ? JSON.stringify(validation) : null,
+    });
+}
+
+/**
+ * Moves a review from one status to another, only if it still has the first one
+ * Used to claim a review so two reviewers (or a retry) can't act on it at once.
+ *
+ * @param {number} id - referral_reviews.id
+ * @param {string} from - Status the review must have now
+ * @param {string} to - Status to move it to
+ * @returns {boolean} - false when the review no longer had status from
+ */
+export function transitionReferralReview(id, from, to) {
+    const { changes } = getDb().prepare(`
+        UPDATE referral_reviews SET status = ?, updated_at = ?
+        WHERE id = ? AND status = ?
+    `).run(to, new Date().toISOString(), id, from);
+
+    return changes === 1;
+}
+
+// ─── Appointments ───────────────────────────────────────────────────────
+
+/**
+ * Appointment statuses
+ */
+export const APPOINTMENT_STATUSES = {
+    BOOKED: 'booked',
+    CANCELLED: 'cancelled',
+};
+
+/**
+ * Stores a booked appointment
+ *
+ * @param {Object} appointment
+ * @param {string} appointment.messageId - Message-ID / ledger key of the booking email
+ * @param {string} appointment.threadId
+ * @param {string} appointment.eventId - Google Calendar event id
+ * @param {string} appointment.calendarId
+ * @param {string} appointment.doctorName
+ * @param {string} [appointment.appointmentType] - Appointment type id
+ * @param {string} appointment.patientName
+ * @param {string} appointment.patientEmail
+ * @param {Date|string} appointment.startTime
+ * @param {Date|string} appointment.endTime
+ * @returns {number} - appointments.id
+ */
+export function saveAppointment(appointment) {
+    const email = appointment.messageId ? getEmailByMessageId(appointment.messageId) : null;
+
+    const { lastInsertRowid } = getDb().prepare(`
+        INSERT INTO appointments (email_id, message_id, thread_id, event_id, calendar_id, doctor_name,
+            appointment_type, patient_name, patient_email, start_time, end_time)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        email ? email.id : null,
+        appointment.messageId || null,
+        appointment.threadId || null,
+        appointment.eventId || null,
+        appointment.calendarId || null,
+        appointment.doctorName || null,
+        appointment.appointmentType || null,
+        appointment.patientName || null,
+        appointment.patientEmail || null,
+        new Date(appointment.startTime).toISOString(),
+        new Date(appointment.endTime).toISOString()
+    );
+
+    return Number(lastInsertRowid);
+}
+
+// Appointments booked from the email's thread: same thread, or the email replies to the
+// booking email or to a reply we sent about it
+const IN_THREAD_SQL = `
+    thread_id = @threadId
+    OR message_id IN (SELECT value FROM json_each(@references))
+    OR email_id IN (
+        SELECT email_id FROM outbound_messages
+        WHERE provider_message_id IN (SELECT value FROM json_each(@references))
+    )
+`;
+
+/**
+ * Finds a sender's booked appointments that haven't started yet
+ * Only appointments booked under the sender's address are returned; the thread only
+ * tells them apart (in_thread is 1 for bookings made in, or replied to from, this thread).
+ *
+ * @param {Object} lookup
+ * @param {string} lookup.patientEmail - Sender address
+ * @param {string} [lookup.threadId]
+ * @param {Array<string>} [lookup.references] - Message-IDs from In-Reply-To and References
+ * @returns {Array<Object>} - Appointment rows with in_thread, soonest first
+ */
+export function findUpcomingAppointments({ patientEmail, threadId, references = [] }) {
+    if (!patientEmail) {
+        return [];
+    }
+
+    return getDb().prepare(`
+        SELECT *, CASE WHEN ${IN_THREAD_SQL} THEN 1 ELSE 0 END AS in_thread
+        FROM appointments
+        WHERE status = @booked AND start_time > @now
+            AND lower(patient_email) = lower(@patientEmail)
+        ORDER BY start_time, id
+    `).all({
+        booked: APPOINTMENT_STATUSES.BOOKED,
+        now: new Date().toISOString(),
+        patientEmail,
+        threadId: threadId || null,
+        references: JSON.stringify(references),
+    });
+}
+
+/**
+ * Counts upcoming appointments in an email's thread that were booked under another address
+ * Used to tell a sender replying about someone else's booking why nothing was changed.
+ *
+ * @param {Object} lookup
+ * @param {string} [lookup.patientEmail] - Sender address
+ * @param {string} [lookup.threadId]
+ * @param {Array<string>} [lookup.references] - Message-IDs from In-Reply-To and References
+ * @returns {number}
+ */
+export function countOtherSendersThreadAppointments({ patientEmail, threadId, references = [] }) {
+    return getDb().prepare(`
+        SELECT COUNT(*) AS count FROM appointments
+        WHERE status = @booked AND start_time > @now
+            AND lower(COALESCE(patient_email, '')) != lower(COALESCE(@patientEmail, ''))
+            AND (${IN_THREAD_SQL})
+    `).get({
+        booked: APPOINTMENT_STATUSES.BOOKED,
+        now: new Date().toISOString(),
+        patientEmail: patientEmail || null,
+        threadId: threadId || null,
+        references: JSON.stringify(references),
+    }).count;
+}
+
+/**
+ * Gets an appointment by id
+ * @param {number} id - appointments.id
+ * @returns {Object|null}
+ */
+export function getAppointment(id) {
+    return getDb().prepare('SELECT * FROM appointments WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Updates an appointment's status or time
+ *
+ * @param {number} id - appointments.id
+ * @param {Object} changes
+ * @param {string} [changes.status] - One of APPOINTMENT_STATUSES
+ * @param {Date|string} [changes.startTime]
+ * @param {Date|string} [changes.endTime]
+ */
+export function updateAppointment(id, { status, startTime, endTime }) {
+    getDb().prepare(`
+        UPDATE appointments SET
+            status = COALESCE(@status, status),
+            start_time = COALESCE(@startTime, start_time),
+            end_time = COALESCE(@endTime, end_time),
+            updated_at = @now
+        WHERE id = @id
+    `).run({
+        id,
+        status: status || null,
+        startTime: startTime ? new Date(startTime).toISOString() : null,
+        endTime: endTime ? new Date(endTime).toISOString() : null,
+        now: new Date().toISOString(),
+    });
+}
+
+// ─── Outbound messages ──────────────────────────────────────────────────
+
+/**
+ * Records an outgoing email (sent or failed)
+ * Linked to the inbound email when inReplyTo matches a stored Message-ID
+ *
+ * @param {Object} message
+ * @param {string} [message.inReplyTo]
+ * @param {string} message.account
+ * @param {string} message.from
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} message.body
+ * @param {string} [message.providerMessageId] - Message-ID assigned by SMTP
+ * @param {string} message.status - 'sent' | 'failed'
+ * @param {string} [message.error]
+ * @returns {number} - outbound_messages.id
+ */
+export function saveOutboundMessage(message) {
+    const email = message.inReplyTo ? getEmailByMessageId(message.inReplyTo) : null;
+
+    const { lastInsertRowid } = getDb().prepare(`
+        INSERT INTO outbound_messages (email_id, in_reply_to, account, from_address, to_address, subject, body,
+            provider_message_id, status, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        email ? email.id : null,
+        message.inReplyTo || null,
+        message.account || null,
+        message.from || null,
+        message.to,
+        message.subject || null,
+        message.body || null,
+        message.providerMessageId || null,
+        message.status,
+        message.error || null
+    );
+
+    return Number(lastInsertRowid);
+}
+
+// ─── Processing ledger ──────────────────────────────────────────────────
+
+/**
+ * Gets one completed stage from the processing ledger
+ *
+ * @param {string} messageId - Ledger key
+ * @param {string} stageKey - Stage name, or "stage:subKey"
+ * @returns {Object|null} - { stage, key, completedAt, result }
+ */
+export function getProcessingStage(messageId, stageKey) {
+    const row = getDb().prepare(
+        'SELECT * FROM processing_stages WHERE message_id = ? AND stage_key = ?'
+    ).get(messageId, stageKey);
+
+    if (!row) {
+        return null;
+    }
+
+    return { stage: row.stage, key: row.sub_key, completedAt: row.completed_at, result: parseJson(row.result) };
+}
+
+/**
+ * Lists every completed stage for an email, in completion order
+ *
+ * @param {string} messageId - Ledger key
+ * @returns {Array<Object>}
+ */
+export function listProcessingStages(messageId) {
+    return getDb().prepare(
+        'SELECT * FROM processing_stages WHERE message_id = ? ORDER BY completed_at, rowid'
+    ).all(messageId).map(row => ({
+        stage: row.stage,
+        key: row.sub_key,
+        completedAt: row.completed_at,
+        result: parseJson(row.result),
+    }));
+}
+
+/**
+ * Records a completed stage in the processing ledger
+ *
+ * @param {string} messageId - Ledger key
+ * @param {string} stageKey - Stage name, or "stage:subKey"
+ * @param {string} stage - Stage name
+ * @param {string|null} subKey
+ * @param {*} result - JSON-serializable result
+ * @param {string} [completedAt]
+ */
+export function saveProcessingStage(messageId, stageKey, stage, subKey, result, completedAt) {
+    getDb().prepare(`
+        INSERT OR REPLACE INTO processing_stages (message_id, stage_key, stage, sub_key, result, completed_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+        messageId,
+        stageKey,
+        stage,
+        subKey || null,
+        result === undefined ? null : JSON.stringify(result),
+        completedAt || new Date().toISOString()
+    );
+}
+
+// ─── Monitor runs ───────────────────────────────────────────────────────
+
+/**
+ * Stores a finished monitor run and prunes history beyond the limit
+ *
+ * @param {Object} run - Run record from monitorRunner (or monitor_runs.json, whose runs predate deferred)
+ * @param {number} historyLimit - Number of runs to keep
+ */
+export function saveMonitorRun(run, historyLimit) {
+    const db = getDb();
+
+    db.transaction(() => {
+        db.prepare(`
+            INSERT OR REPLACE INTO monitor_runs (id, trigger, started_at, finished_at, duration_ms, status, count, errors,
+                deferred, error)
+            VALUES (@id, @trigger, @startedAt, @finishedAt, @durationMs, @status, @count, @errors, @deferred, @error)
+        `).run({ ...run, deferred: run.deferred ?? 0, error: run.error ?? null });
+
+        db.prepare(`
+            DELETE FROM monitor_runs WHERE id NOT IN (
+                SELECT id FROM monitor_runs ORDER BY started_at DESC LIMIT ?
+            )
+        `).run(historyLimit);
+    })();
+}
+
+/**
+ * Lists the most recent monitor runs, newest first
+ *
+ * @param {number} limit
+ * @returns {Array<Object>}
+ */
+export function listMonitorRuns(limit) {
+    return getDb().prepare(`
+        SELECT id, trigger, started_at AS startedAt, finished_at AS finishedAt, duration_ms AS durationMs,
+            status, count, errors, deferred, error
+        FROM monitor_runs ORDER BY started_at DESC LIMIT ?
+    `).all(limit);
+}
+
+// ─── AI response cache ──────────────────────────────────────────────────
+
+/**
+ * Gets an unexpired cached AI response
+ *
+ * @param {string} cacheKey
+ * @returns {Object|null} - { cacheKey, task, provider, model, promptVersion, response, hits, expiresAt, createdAt }
+ */
+export function getAiCacheEntry(cacheKey) {
+    const row = getDb().prepare(
+        'SELECT * FROM ai_cache WHERE cache_key = ? AND expires_at > ?'
+    ).get(cacheKey, new Date().toISOString());
+
+    if (!row) {
+        return null;
+    }
+
+    return {
+        cacheKey: row.cache_key,
+        task: row.task,
+        provider: row.provider,
+        model: row.model,
+        promptVersion: row.prompt_version,
+        response: parseJson(row.response),
+        hits: row.hits,
+        expiresAt: row.expires_at,
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * Stores an AI response, replacing any entry with the same key, and drops expired entries
+ *
+ * @param {Object} entry - { cacheKey, task, provider, model, promptVersion, response, expiresAt }
+ */
+export function saveAiCacheEntry({ cacheKey, task, provider, model, promptVersion, response, expiresAt }) {
+    const db = getDb();
+
+    db.transaction(() => {
+        db.prepare('DELETE FROM ai_cache WHERE expires_at <= ?').run(new Date().toISOString());
+
+        db.prepare(`
+            INSERT OR REPLACE INTO ai_cache (cache_key, task, provider, model, prompt_version, response, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(cacheKey, task, provider, model, promptVersion, JSON.stringify(response), expiresAt);
+    })();
+}
+
+/**
+ * Records that a cache entry was used for an email (so it can be purged per email)
+ *
+ * @param {string} cacheKey
+ * @param {string} messageId - Ledger key of the email
+ */
+export function linkAiCacheEntry(cacheKey, messageId) {
+    getDb().prepare(
+        'INSERT OR IGNORE INTO ai_cache_messages (cache_key, message_id) VALUES (?, ?)'
+    ).run(cacheKey, messageId);
+}
+
+/**
+ * Counts one cache lookup for a task
+ *
+ * @param {string} task - LLM task name
+ * @param {string|null} hitKey - Key of the entry that was hit, or null for a miss
+ */
+export function recordAiCacheLookup(task, hitKey) {
+    const db = getDb();
+
+    db.transaction(() => {
+        db.prepare(`
+            INSERT INTO ai_cache_stats (task, hits, misses) VALUES (?, ?, ?)
+            ON CONFLICT (task) DO UPDATE SET hits = hits + excluded.hits, misses = misses + excluded.misses
+        `).run(task, hitKey ? 1 : 0, hitKey ? 0 : 1);
+
+        if (hitKey) {
+            db.prepare('UPDATE ai_cache SET hits = hits + 1, last_hit_at = ? WHERE cache_key = ?')
+                .run(new Date().toISOString(), hitKey);
+        }
+    })();
+}
+
+/**
+ * Returns hit/miss counts and live entry counts per task
+ * @returns {Array<Object>} - { task, hits, misses, entries }
+ */
+export function getAiCacheStats() {
+    return getDb().prepare(`
+        SELECT t.task,
+            COALESCE(s.hits, 0) AS hits,
+            COALESCE(s.misses, 0) AS misses,
+            (SELECT COUNT(*) FROM ai_cache c WHERE c.task = t.task AND c.expires_at > @now) AS entries
+        FROM (SELECT task FROM ai_cache_stats UNION SELECT task FROM ai_cache) t
+        LEFT JOIN ai_cache_stats s ON s.task = t.task
+        ORDER BY t.task
+    `).all({ now: new Date().toISOString() });
+}
+
+/**
+ * Deletes every cache entry that was used for an email
+ * Entries shared with other emails (e.g. the same PDF forwarded twice) are deleted too.
+ *
+ * @param {string} messageId - Ledger key of the email
+ * @returns {number} - Entries deleted
+ */
+export function purgeAiCacheForMessage(messageId) {
+    return getDb().prepare(`
+        DELETE FROM ai_cache WHERE cache_key IN (
+            SELECT cache_key FROM ai_cache_messages WHERE message_id = ?
+        )
+    `).run(messageId).changes;
+}
+
+// ─── AI usage ───────────────────────────────────────────────────────────
+
+/**
+ * Records one model call
+ *
+ * @param {Object} usage
+ * @param {string} [usage.messageId] - Ledger key of the email the call was for
+ * @param {string} [usage.senderDomain] - Domain of the email's sender
+ * @param {string} usage.task - LLM task name
+ * @param {string} usage.provider - LLM provider name
+ * @param {string} usage.model - Model that answered
+ * @param {number} usage.inputTokens
+ * @param {number} usage.outputTokens
+ * @param {number} usage.latencyMs - Time the provider took to answer
+ * @param {number|null} usage.costUsd - null when the model has no price
+ * @returns {number} - ai_usage.id
+ */
+export function saveAiUsage({
+    messageId, senderDomain, task, provider, model, inputTokens, outputTokens, latencyMs, costUsd,
+}) {
+    const { lastInsertRowid } = getDb().prepare(`
+        INSERT INTO ai_usage (message_id, sender_domain, task, provider, model, input_tokens, output_tokens,
+            latency_ms, cost_usd)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        messageId || null,
+        senderDomain || null,
+        task,
+        provider,
+        model,
+        inputTokens || 0,
+        outputTokens || 0,
+        Math.round(latencyMs),
+        costUsd ?? null
+    );
+
+    return Number(lastInsertRowid);
+}
+
+// created_at prefix that identifies each reporting period (UTC)
+const USAGE_PERIOD_LENGTH = { day: 10, month: 7 };
+
+/**
+ * Totals AI usage per day or month, with a breakdown by task and by sender domain
+ *
+ * @param {Object} options
+ * @param {string} options.period - 'day' | 'month'
+ * @param {string} options.since - ISO date; calls before it are ignored
+ * @returns {Array<Object>} - Newest first: { period, calls, inputTokens, outputTokens, costUsd, avgLatencyMs, byTask, bySenderDomain }
+ */
+export function getAiUsageTotals({ period, since }) {
+    const db = getDb();
+    const length = USAGE_PERIOD_LENGTH[period];
+    const totals = `
+        COUNT(*) AS calls,
+        SUM(input_tokens) AS inputTokens,
+        SUM(output_tokens) AS outputTokens,
+        COALESCE(SUM(cost_usd), 0) AS costUsd,
+        CAST(AVG(latency_ms) AS INTEGER) AS avgLatencyMs
+    `;
+    const grouped = column => db.prepare(`
+        SELECT substr(created_at, 1, @length) AS period, ${column ? `${column} AS name,` : ''} ${totals}
+        FROM ai_usage
+        WHERE created_at >= @since
+        GROUP BY period${column ? `, ${column}` : ''}
+        ORDER BY period DESC${column ? ', costUsd DESC' : ''}
+    `).all({ length, since });
+
+    const byTask = grouped('task');
+    const bySenderDomain = grouped('sender_domain');
+
+    return grouped(null).map(row => ({
+        ...row,
+        byTask: byTask.filter(r => r.period === row.period)
+            .map(({ period: _, name, ...rest }) => ({ task: name, ...rest })),
+        bySenderDomain: bySenderDomain.filter(r => r.period === row.period)
+            .map(({ period: _, name, ...rest }) => ({ senderDomain: name, ...rest })),
+    }));
+}
+
+/**
+ * Sums the cost of every model call since a point in time
+ *
+ * @param {string} since - ISO date
+ * @returns {number} - USD
+ */
+export function getAiSpendSince(since) {
+    return getDb().prepare(
+        'SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM ai_usage WHERE created_at >= ?'
+    ).get(since).cost;
+}
+
+// ─── Dead letters ───────────────────────────────────────────────────────
+
+/**
+ * Dead letter statuses
+ *   retrying - failed, still retried on every check until it reaches max attempts
+ *   dead     - out of attempts; skipped until an operator replays it
+ *   replayed - processed by a replay; the next check marks the message as seen
+ *   resolved - a later automatic retry succeeded
+ */
+export const DEAD_LETTER_STATUSES = {
+    RETRYING: 'retrying',
+    DEAD: 'dead',
+    REPLAYED: 'replayed',
+    RESOLVED: 'resolved',
+};
+
+/**
+ * Parses a dead_letters row, leaving out the raw message source
+ * @param {Object} row
+ * @returns {Object}
+ */
+function formatDeadLetter(row) {
+    const { source, ...rest } = row;
+    return { ...rest, has_source: Boolean(source) };
+}
+
+/**
+ * Records a failed attempt at processing a message
+ * The first failure creates the entry; later failures of the same message bump its
+ * attempt count, and the entry goes dead once it reaches maxAttempts.
+ *
+ * @param {Object} failure
+ * @param {string} failure.account - Mailbox account id
+ * @param {string} failure.folder - Folder path
+ * @param {string} [failure.uidValidity] - Folder UIDVALIDITY (UIDs are only unique within it)
+ * @param {number} failure.uid - Message UID
+ * @param {string} [failure.messageId] - Ledger key, when the message got that far
+ * @param {string} [failure.from]
+ * @param {string} [failure.subject]
+ * @param {Buffer} [failure.source] - Raw message, kept for replay
+ * @param {string} [failure.stage] - Where processing failed
+ * @param {string} failure.error - Error message
+ * @param {string} [failure.stack] - Error stack
+ * @param {number} maxAttempts - Attempts before the entry goes dead
+ * @returns {Object} - The dead letter after this attempt
+ */
+export function recordDeadLetter({
+    account, folder, uidValidity, uid, messageId, from, subject, source, stage, error, stack,
+}, maxAttempts) {
+    const db = getDb();
+    const params = {
+        account,
+        folder,
+        uidValidity: uidValidity || '',
+        uid,
+        messageId: messageId || null,
+        from: from || null,
+        subject: subject || null,
+        source: source || null,
+        stage: stage || null,
+        error,
+        stack: stack || null,
+        maxAttempts,
+        retrying: DEAD_LETTER_STATUSES.RETRYING,
+        dead: DEAD_LETTER_STATUSES.DEAD,
+        now: new Date().toISOString(),
+    };
+
+    return db.transaction(() => {
+        db.prepare(`
+            INSERT INTO dead_letters (account, folder, uid_validity, uid, message_id, from_address, subject, source,
+                stage, error, stack, attempts, status, first_failed_at, last_failed_at)
+            VALUES (@account, @folder, @uidValidity, @uid, @messageId, @from, @subject, @source,
+                @stage, @error, @stack, 1, CASE WHEN 1 >= @maxAttempts THEN @dead ELSE @retrying END, @now, @now)
+            ON CONFLICT (account, folder, uid_validity, uid) DO UPDATE SET
+                message_id = COALESCE(excluded.message_id, message_id),
+                from_address = COALESCE(excluded.from_address, from_address),
+                subject = COALESCE(excluded.subject, subject),
+                source = COALESCE(excluded.source, source),
+                stage = excluded.stage,
+                error = excluded.error,
+                stack = excluded.stack,
+                attempts = attempts + 1,
+                status = CASE WHEN attempts + 1 >= @maxAttempts THEN @dead ELSE @retrying END,
+                last_failed_at = excluded.last_failed_at
+        `).run(params);
+
+        return formatDeadLetter(db.prepare(`
+            SELECT * FROM dead_letters WHERE account = ? AND folder = ? AND uid_validity = ? AND uid = ?
+        `).get(account, folder, params.uidValidity, uid));
+    })();
+}
+
+/**
+ * Finds the dead letter for a message, if it has failed before
+ *
+ * @param {Object} message - { account, folder, uidValidity, uid }
+ * @returns {Object|null}
+ */
+export function findDeadLetter({ account, folder, uidValidity, uid }) {
+    const row = getDb().prepare(`
+        SELECT * FROM dead_letters WHERE account = ? AND folder = ? AND uid_validity = ? AND uid = ?
+    `).get(account, folder, uidValidity || '', uid);
+
+    return row ? formatDeadLetter(row) : null;
+}
+
+/**
+ * Gets one dead letter
+ *
+ * @param {number} id - dead_letters.id
+ * @param {Object} [options]
+ * @param {boolean} [options.withSource=false] - Include the raw message source (Buffer)
+ * @returns {Object|null}
+ */
+export function getDeadLetter(id, { withSource = false } = {}) {
+    const row = getDb().prepare('SELECT * FROM dead_letters WHERE id = ?').get(id);
+
+    if (!row) {
+        return null;
+    }
+
+    return withSource ? { ...formatDeadLetter(row), source: row.source } : formatDeadLetter(row);
+}
+
+/**
+ * Lists dead letters, most recent failure first
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - One of DEAD_LETTER_STATUSES
+ * @param {number} [limit=50]
+ * @returns {Array<Object>}
+ */
+export function listDeadLetters(filters = {}, limit = 50) {
+    const rows = filters.status
+        ? getDb().prepare('SELECT * FROM dead_letters WHERE status = ? ORDER BY last_failed_at DESC, id DESC LIMIT ?')
+            .all(filters.status, limit)
+        : getDb().prepare('SELECT * FROM dead_letters ORDER BY last_failed_at DESC, id DESC LIMIT ?').all(limit);
+
+    return rows.map(formatDeadLetter);
+}
+
+/**
+ * Updates a dead letter
+ *
+ * @param {number} id - dead_letters.id
+ * @param {Object} changes
+ * @param {string} [changes.status] - One of DEAD_LETTER_STATUSES
+ * @param {number} [changes.attempts]
+ * @param {Object} [changes.failure] - { stage, error, stack } of a failed replay (counts as an attempt)
+ * @param {string} [changes.replayedAt] - ISO date of a successful replay
+ */
+export function updateDeadLetter(id, { status, attempts, failure, replayedAt }) {
+    getDb().prepare(`
+        UPDATE dead_letters SET
+            status = COALESCE(@status, status),
+            attempts = COALESCE(@attempts, attempts + @failed),
+            stage = CASE WHEN @failed = 1 THEN @stage ELSE stage END,
+            error = CASE WHEN @failed = 1 THEN @error ELSE error END,
+            stack = CASE WHEN @failed = 1 THEN @stack ELSE stack END,
+            last_failed_at = CASE WHEN @failed = 1 THEN @now ELSE last_failed_at END,
+            replayed_at = COALESCE(@replayedAt, replayed_at)
+        WHERE id = @id
+    `).run({
+        id,
+        status: status || null,
+        attempts: attempts ?? null,
+        failed: failure ? 1 : 0,
+        stage: failure?.stage || null,
+        error: failure?.error || null,
+        stack: failure?.stack || null,
+        now: new Date().toISOString(),
+        replayedAt: replayedAt || null,
+    });
+}
+
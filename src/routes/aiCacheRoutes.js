@@ -0,0 +1,21 @@
+import express from 'express';
+import { getAiCache, purgeEmailAiCache } from '../controllers/aiCacheController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/ai-cache
+ * Returns AI response cache hit/miss counts and live entries, overall and per task
+ * (triage, pageScreening, documentExtraction)
+ */
+router.get('/ai-cache', getAiCache);
+
+/**
+ * DELETE /api/emails/:messageId/ai-cache
+ * Deletes every cached AI response used for an email, so reprocessing it calls the model again.
+ * Responses shared with other emails (e.g. the same PDF forwarded twice) are deleted too.
+ * The Message-ID must be URL-encoded; angle brackets are optional.
+ */
+router.delete('/emails/:messageId/ai-cache', purgeEmailAiCache);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import { getDeadLetters, replay } from '../controllers/deadLetterController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/dead-letters
+ * Lists messages that failed processing, most recent failure first, with the error,
+ * stack, failed stage (fetch | parse | save_attachments | store | ai_pipeline | mark_seen)
+ * and attempt count
+ *
+ * Query params:
+ *   status - retrying | dead | replayed | resolved | all (default)
+ *   limit  - Number of entries (default 50, max 200)
+ */
+router.get('/dead-letters', getDeadLetters);
+
+/**
+ * POST /api/dead-letters/:id/replay
+ * Processes a failed message again from its stored source, once the underlying issue is fixed.
+ * A message that failed before its source was fetched is queued for the next inbox check instead (202).
+ * Responds 503 when a dependency is still down, and 500 with the error when the replay fails again.
+ */
+router.post('/dead-letters/:id/replay', replay);
+
+export default router;
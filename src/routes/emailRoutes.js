@@ -1,12 +1,13 @@
 import express from 'express';
-import { checkEmails, sendEmailController } from '../controllers/emailController.js';
+import { checkEmails, sendEmailController, listEmails, getEmail } from '../controllers/emailController.js';
 
 const router = express.Router();
 
 /**
  * POST /api/check-emails
- * Manually triggers Gmail inbox check
+ * Manually triggers a check of every configured mailbox folder
  * Fetches unseen emails, processes them, downloads attachments, and logs to CSV
+ * Emails that need a dependency that is down (AI provider, Calendar, SMTP) stay unseen and are counted as deferred
  */
 router.post('/check-emails', checkEmails);
 
@@ -18,9 +19,35 @@ router.post('/check-emails', checkEmails);
  * {
  *   "to": "recipient@email.com",
  *   "subject": "Email subject",
- *   "text": "Email body text"
+ *   "text": "Email body text",
+ *   "account": "bookings"   // optional mailbox account id, defaults to the first account
  * }
  */
 router.post('/send-email', sendEmailController);
 
+/**
+ * GET /api/emails
+ * Lists processed emails, newest first
+ *
+ * Query params (all optional):
+ *   from, to        - Received date range (ISO date or datetime)
+ *   sender          - Substring of the From header
+ *   classification  - APPOINTMENT | REFERRAL | UNKNOWN
+ *   hasAttachments  - true | false
+ *   outcome         - pending | referral_stored | referral_in_review | appointment_booked | appointment_rescheduled
+ *                     | appointment_cancelled | clarification_requested | availability_sent | reply_sent
+ *                     | manual_review | deferred | skipped | failed
+ *   limit           - Page size (default 20, max 100)
+ *   cursor          - nextCursor from the previous page
+ */
+router.get('/emails', listEmails);
+
+/**
+ * GET /api/emails/:messageId
+ * Returns one email with its full body, attachments and every action the pipeline took
+ * (ledger stages, referrals, appointments, replies and AI usage). The Message-ID must be URL-encoded;
+ * angle brackets are optional.
+ */
+router.get('/emails/:messageId', getEmail);
+
 export default router;
@@ -1,9 +1,33 @@
 import express from "express";
 import emailRoutes from "./emailRoutes.js";
+import monitorRoutes from "./monitorRoutes.js";
+import referralRoutes from "./referralRoutes.js";
+import referralReviewRoutes from "./referralReviewRoutes.js";
+import aiCacheRoutes from "./aiCacheRoutes.js";
+import usageRoutes from "./usageRoutes.js";
+import deadLetterRoutes from "./deadLetterRoutes.js";
 
 const router = express.Router();
 
 // Email routes (Gmail IMAP/SMTP)
 router.use("/", emailRoutes);
 
+// Monitor run history
+router.use("/", monitorRoutes);
+
+// Extracted referrals and manual corrections
+router.use("/", referralRoutes);
+
+// Review queue for low-confidence referral extractions
+router.use("/", referralReviewRoutes);
+
+// AI response cache stats and per-email purge
+router.use("/", aiCacheRoutes);
+
+// AI usage, cost and monthly budget
+router.use("/", usageRoutes);
+
+// Emails that failed processing, and replaying them
+router.use("/", deadLetterRoutes);
+
 export default router;
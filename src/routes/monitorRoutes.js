@@ -0,0 +1,17 @@
+import express from 'express';
+import { getRuns } from '../controllers/monitorController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/runs
+ * Returns the history of inbox checks (manual, scheduled and IDLE-triggered) and dead-letter replays,
+ * the run currently in progress, if any, and the circuit state of each external
+ * dependency (closed | open | half_open)
+ *
+ * Query params:
+ *   limit - Number of runs to return (default 20, max 200)
+ */
+router.get('/runs', getRuns);
+
+export default router;
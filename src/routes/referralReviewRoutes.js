@@ -0,0 +1,51 @@
+import express from 'express';
+import { listReviews, getReview, editReview, approveReview, rejectReview } from '../controllers/referralReviewController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/referral-reviews
+ * Lists extractions held for human review (low confidence or failed validation)
+ *
+ * Query params:
+ *   status - pending (default) | approved | rejected | all
+ *   limit  - Page size (default 20, max 100)
+ *   cursor - nextCursor from the previous page
+ */
+router.get('/referral-reviews', listReviews);
+
+/**
+ * GET /api/referral-reviews/:id
+ * Returns one item with the AI output, per-field confidence and the issues that flagged it
+ */
+router.get('/referral-reviews/:id', getReview);
+
+/**
+ * PATCH /api/referral-reviews/:id
+ * Corrects fields on a pending item without approving it
+ *
+ * Body:
+ * { "fields": { "patientPhone": "0412345678" } }
+ */
+router.patch('/referral-reviews/:id', editReview);
+
+/**
+ * POST /api/referral-reviews/:id/approve
+ * Stores the item in the referral store (and CSV export), with any corrections
+ * recorded as edits by the reviewer
+ *
+ * Body:
+ * { "reviewedBy": "reception@clinic.com", "fields": { ... }, "notes": "optional" }
+ */
+router.post('/referral-reviews/:id/approve', approveReview);
+
+/**
+ * POST /api/referral-reviews/:id/reject
+ * Discards the item; nothing is written to the referral store
+ *
+ * Body:
+ * { "reviewedBy": "reception@clinic.com", "reason": "Not a referral form" }
+ */
+router.post('/referral-reviews/:id/reject', rejectReview);
+
+export default router;
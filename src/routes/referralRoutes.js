@@ -0,0 +1,45 @@
+import express from 'express';
+import { listReferrals, getReferral, updateReferralController } from '../controllers/referralController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/referrals
+ * Lists extracted referrals, newest first
+ *
+ * Query params (all optional):
+ *   patientName - Substring of the patient's name
+ *   referrer    - Substring of the referring dentist, practice or sender address
+ *   from, to    - Received date range (ISO date or datetime)
+ *   limit       - Page size (default 20, max 100)
+ *   cursor      - nextCursor from the previous page
+ */
+router.get('/referrals', listReferrals);
+
+/**
+ * GET /api/referrals/:id
+ * Returns one referral: the original AI output (extracted_data), the corrected
+ * record (corrected_data, null until edited), the current data and the edit history.
+ * field_sources names the attachment(s) each field was read from and conflicts lists
+ * fields whose values disagreed between attachments. validation lists the automatic
+ * OCR fixes (also in the edit history as "auto-fix") and any values still invalid.
+ */
+router.get('/referrals/:id', getReferral);
+
+/**
+ * PATCH /api/referrals/:id
+ * Corrects fields the model misread. The original AI output is kept and every
+ * changed field is logged with its old value, new value, who and when.
+ *
+ * Body:
+ * {
+ *   "editedBy": "reception@clinic.com",
+ *   "fields": { "patientPhone": "0412345678", "reasonForReferral": [11, 21] }
+ * }
+ * Fields must be canonical referral fields (see src/config/referralSchema.js) or
+ * "extras", which replaces the whole extras object. The result is re-validated
+ * and any remaining invalid values are reported, not fixed.
+ */
+router.patch('/referrals/:id', updateReferralController);
+
+export default router;
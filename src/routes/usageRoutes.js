@@ -0,0 +1,18 @@
+import express from 'express';
+import { getUsage } from '../controllers/usageController.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/usage
+ * Returns AI usage (calls, tokens, average latency and cost in USD) as daily and monthly
+ * totals, each broken down by task and by sender domain, newest first, plus this month's
+ * spend against AI_MONTHLY_BUDGET_USD. Days and months are UTC calendar periods.
+ *
+ * Query params:
+ *   days   - Number of days to report, including today (default 30, max 366)
+ *   months - Number of months to report, including this one (default 12, max 36)
+ */
+router.get('/usage', getUsage);
+
+export default router;
@@ -1,6 +1,25 @@
 import app from "./app.js";
 import { config } from "./config/env.js";
+import { startInboxWatcher, stopInboxWatcher } from "./services/inboxWatcher.js";
+import { startScheduler, stopScheduler } from "./services/scheduler.js";
+import { closeDb } from "./db/database.js";
 
 app.listen(config.PORT, () => {
     console.log(`🚀 Server running on http://localhost:${config.PORT}`);
+
+    if (config.IMAP_WATCHER_ENABLED) {
+        startInboxWatcher();
+    }
+
+    startScheduler();
 });
+
+// Stop background checks and close the IMAP connection cleanly on shutdown
+for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.on(signal, async () => {
+        stopScheduler();
+        await stopInboxWatcher();
+        closeDb();
+        process.exit(0);
+    });
+}
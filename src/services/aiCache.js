@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import {
+    getAiCacheEntry,
+    saveAiCacheEntry,
+    linkAiCacheEntry,
+    recordAiCacheLookup,
+} from '../db/repository.js';
+
+/**
+ * AI Response Cache
+ * Persistent cache in front of the LLM provider so a forwarded referral PDF or a
+ * reprocessed email doesn't pay for the same model call twice.
+ *
+ * Entries are keyed by a hash of the task, prompt version, provider, model settings
+ * and input (prompt text plus attachment bytes). The prompt version is a hash of the
+ * task's instructions and tool schema, so editing a prompt invalidates its entries
+ * automatically. Entries expire after AI_CACHE_TTL_HOURS.
+ */
+
+/**
+ * SHA-256 hex digest
+ * @param {string} value
+ * @returns {string}
+ */
+function sha256(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Hashes the fixed part of a request: instructions and tool schema
+ *
+ * @param {Object} request - { system?, tool? }
+ * @returns {string} - Short prompt version hash
+ */
+export function getPromptVersion(request) {
+    return sha256(JSON.stringify({ system: request.system || '', tool: request.tool || null })).slice(0, 16);
+}
+
+/**
+ * Builds the cache key for a task request
+ *
+ * @param {string} task - LLM task name
+ * @param {Object} request - { system?, prompt, attachments?, tool? }
+ * @param {Object} settings - { model, temperature, maxTokens }
+ * @returns {string}
+ */
+export function getCacheKey(task, request, settings) {
+    return sha256(JSON.stringify({
+        task,
+        promptVersion: getPromptVersion(request),
+        provider: config.LLM_PROVIDER,
+        model: settings.model,
+        temperature: settings.temperature,
+        maxTokens: settings.maxTokens,
+        prompt: request.prompt,
+        attachments: (request.attachments || []).map(attachment => sha256(attachment.data)),
+    }));
+}
+
+/**
+ * Looks up a cached completion and counts the hit or miss
+ *
+ * @param {string} task - LLM task name
+ * @param {string} cacheKey - From getCacheKey()
+ * @param {string} [messageId] - Email the call is for
+ * @returns {Object|null} - Cached { text, data, model }, with cached: true
+ */
+export function getCachedCompletion(task, cacheKey, messageId) {
+    const entry = getAiCacheEntry(cacheKey);
+    recordAiCacheLookup(task, entry ? cacheKey : null);
+
+    if (!entry) {
+        return null;
+    }
+
+    if (messageId) {
+        linkAiCacheEntry(cacheKey, messageId);
+    }
+
+    console.log(`💾 AI cache hit for ${task} (cached ${entry.createdAt})`);
+    return { ...entry.response, cached: true };
+}
+
+/**
+ * Stores a completion the caller has accepted
+ *
+ * @param {string} task - LLM task name
+ * @param {string} cacheKey - From getCacheKey()
+ * @param {Object} request - Task request (for the prompt version)
+ * @param {Object} completion - { text, data, model }
+ * @param {string} [messageId] - Email the call was for
+ */
+export function cacheCompletion(task, cacheKey, request, completion, messageId) {
+    const expiresAt = new Date(Date.now() + config.AI_CACHE_TTL_HOURS * 60 * 60 * 1000).toISOString();
+
+    saveAiCacheEntry({
+        cacheKey,
+        task,
+        provider: config.LLM_PROVIDER,
+        model: completion.model,
+        promptVersion: getPromptVersion(request),
+        response: { text: completion.text, data: completion.data, model: completion.model },
+        expiresAt,
+    });
+
+    if (messageId) {
+        linkAiCacheEntry(cacheKey, messageId);
+    }
+}
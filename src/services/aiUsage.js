@@ -0,0 +1,112 @@
+import { config } from '../config/env.js';
+import { getCallCost } from '../config/llmPricing.js';
+import { getEmailByMessageId, saveAiUsage, getAiUsageTotals, getAiSpendSince } from '../db/repository.js';
+
+/**
+ * AI Usage Accounting
+ * Records the tokens, latency and cost of every model call against the email
+ * it was made for, reports daily and monthly totals, and enforces the optional
+ * monthly budget (AI_MONTHLY_BUDGET_USD). Cache hits cost nothing and are not
+ * recorded. Periods are calendar days and months in UTC.
+ */
+
+/**
+ * Pulls the domain out of a From header ("Dr Smith <smith@clinic.com>" → "clinic.com")
+ *
+ * @param {string} from - From header
+ * @returns {string|null}
+ */
+function getSenderDomain(from) {
+    const match = /@([^\s>]+)/.exec(from || '');
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Start of the current calendar month (UTC)
+ * @returns {string} - ISO date
+ */
+function getMonthStart() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+}
+
+/**
+ * Records one model call
+ *
+ * @param {string} task - LLM task name
+ * @param {Object} request - Task request (messageId links the call to its email)
+ * @param {Object} completion - { model, usage: { inputTokens, outputTokens } }
+ * @param {number} latencyMs - Time the provider took to answer
+ */
+export function recordAiUsage(task, request, completion, latencyMs) {
+    try {
+        const { inputTokens, outputTokens } = completion.usage || {};
+        const email = request.messageId ? getEmailByMessageId(request.messageId) : null;
+        const costUsd = getCallCost(completion.model, inputTokens || 0, outputTokens || 0);
+
+        saveAiUsage({
+            messageId: request.messageId,
+            senderDomain: email ? getSenderDomain(email.from_address) : null,
+            task,
+            provider: config.LLM_PROVIDER,
+            model: completion.model,
+            inputTokens,
+            outputTokens,
+            latencyMs,
+            costUsd,
+        });
+
+        if (costUsd === null) {
+            console.log(`⚠️  No price configured for model ${completion.model}, usage recorded without cost`);
+        }
+    } catch (error) {
+        // Accounting must never fail the call it describes
+        console.error('❌ Error recording AI usage:', error.message);
+    }
+}
+
+/**
+ * Returns this month's spend against the monthly budget
+ * @returns {Object} - { monthlyBudgetUsd, spentUsd, remainingUsd, exceeded, since }
+ */
+export function getBudgetStatus() {
+    const since = getMonthStart();
+    const spentUsd = getAiSpendSince(since);
+    const monthlyBudgetUsd = config.AI_MONTHLY_BUDGET_USD || null;
+
+    return {
+        monthlyBudgetUsd,
+        spentUsd,
+        remainingUsd: monthlyBudgetUsd === null ? null : Math.max(monthlyBudgetUsd - spentUsd, 0),
+        exceeded: monthlyBudgetUsd !== null && spentUsd >= monthlyBudgetUsd,
+        since,
+    };
+}
+
+/**
+ * Whether the monthly budget is used up (AI processing switches to manual review)
+ * @returns {boolean}
+ */
+export function isAiBudgetExceeded() {
+    return config.AI_MONTHLY_BUDGET_USD > 0 && getBudgetStatus().exceeded;
+}
+
+/**
+ * Builds the usage report: daily and monthly totals by task and sender domain, plus the budget
+ *
+ * @param {Object} [options]
+ * @param {number} [options.days=30] - Number of days (including today) to report
+ * @param {number} [options.months=12] - Number of months (including this one) to report
+ * @returns {Object} - { budget, daily, monthly }
+ */
+export function getUsageReport({ days = 30, months = 12 } = {}) {
+    const now = new Date();
+    const dailySince = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - (days - 1)));
+    const monthlySince = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+
+    return {
+        budget: getBudgetStatus(),
+        daily: getAiUsageTotals({ period: 'day', since: dailySince.toISOString() }),
+        monthly: getAiUsageTotals({ period: 'month', since: monthlySince.toISOString() }),
+    };
+}
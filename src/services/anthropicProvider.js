@@ -0,0 +1,112 @@
+import Anthropic from '@anthropic-ai/sdk';
+import { config } from '../config/env.js';
+
+/**
+ * Anthropic LLM provider
+ * Sends task requests to the Anthropic Messages API. Instructions go in the
+ * system prompt, attachments become document (PDF) or image content blocks ahead
+ * of the prompt text, and a requested tool is forced with tool_choice so the
+ * answer follows its schema.
+ */
+
+let client = null;
+
+/**
+ * Returns the shared API client, creating it on first use
+ * @returns {Anthropic}
+ */
+function getClient() {
+    if (!client) {
+        client = new Anthropic({
+            apiKey: config.ANTHROPIC_API_KEY,
+            maxRetries: 0, // Retries are handled by callDependency (utils/resilience.js)
+        });
+    }
+    return client;
+}
+
+/**
+ * Whether the provider can make calls
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return Boolean(config.ANTHROPIC_API_KEY);
+}
+
+/**
+ * Builds the content block for one attachment
+ *
+ * @param {Object} attachment - { filename, mediaType, data (base64) }
+ * @returns {Object} - Anthropic content block
+ */
+function buildContentBlock(attachment) {
+    return {
+        type: attachment.mediaType === 'application/pdf' ? 'document' : 'image',
+        source: {
+            type: 'base64',
+            media_type: attachment.mediaType,
+            data: attachment.data,
+        },
+    };
+}
+
+/**
+ * Runs one task request
+ *
+ * @param {Object} request - { task, system?, prompt, input?, attachments?, tool? }
+ * @param {Object} settings - { model, temperature, maxTokens }
+ * @returns {Promise<Object>} - { text, data, model, usage: { inputTokens, outputTokens } }
+ */
+export async function complete(request, settings) {
+    const attachments = request.attachments || [];
+    const content = attachments.length > 0
+        ? [...attachments.map(buildContentBlock), { type: 'text', text: request.prompt }]
+        : request.prompt;
+
+    const params = {
+        model: settings.model,
+        max_tokens: settings.maxTokens,
+        messages: [
+            {
+                role: 'user',
+                content
+            }
+        ],
+    };
+
+    if (request.system) {
+        params.system = request.system;
+    }
+
+    if (settings.temperature !== null && settings.temperature !== undefined) {
+        params.temperature = settings.temperature;
+    }
+
+    if (request.tool) {
+        params.tools = [{
+            name: request.tool.name,
+            description: request.tool.description,
+            input_schema: request.tool.inputSchema,
+        }];
+        params.tool_choice = { type: 'tool', name: request.tool.name };
+    }
+
+    const message = await getClient().messages.create(params);
+
+    const textBlock = message.content.find(block => block.type === 'text');
+    const toolBlock = message.content.find(block => block.type === 'tool_use');
+
+    if (request.tool && !toolBlock) {
+        throw new Error(`Model did not call ${request.tool.name} (stop reason: ${message.stop_reason})`);
+    }
+
+    return {
+        text: textBlock ? textBlock.text : '',
+        data: toolBlock ? toolBlock.input : null,
+        model: message.model,
+        usage: {
+            inputTokens: message.usage?.input_tokens || 0,
+            outputTokens: message.usage?.output_tokens || 0,
+        },
+    };
+}
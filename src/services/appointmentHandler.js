@@ -1,17 +1,49 @@
 import { config } from '../config/env.js';
-import { classifyAppointmentIntent, extractBookingSlots } from './aiService.js';
-import { readAvailability, generateSlots, removeBookedSlots, formatAvailabilityTable, findMatchingSlot } from './availabilityService.js';
-import { getEventsForDateRange, createEvent } from './calendarService.js';
+import { getDoctors, findDoctor, findDoctorsBySpecialty } from '../config/doctors.js';
+import { findAppointmentType, getDefaultAppointmentType } from '../config/appointmentTypes.js';
+import {
+    readAvailability,
+    readExceptions,
+    generateSlots,
+    getClosures,
+    removeBookedSlots,
+    formatAvailabilityTable,
+    formatSlotLocalTime,
+    findMatchingSlot,
+    buildSlot,
+    slotsOverlap,
+    EXCEPTION_KINDS,
+} from './availabilityService.js';
+import { getEventsForDateRange, createEvent, deleteEvent, moveEvent, isCalendarConfigured, buildEventId } from './calendarService.js';
 import { sendEmail } from './gmailSender.js';
+import { STAGES, getLedgerKey, getCompletedStage, runStage } from '../utils/processingLedger.js';
+import { DependencyUnavailableError, isDependencyUnavailable } from '../utils/resilience.js';
+import {
+    saveAppointment,
+    findUpcomingAppointments,
+    countOtherSendersThreadAppointments,
+    findReferralAppointmentType,
+    updateAppointment,
+    APPOINTMENT_STATUSES,
+    OUTCOMES,
+} from '../db/repository.js';
 
 /**
  * Appointment Handler Service
- * Orchestrates the appointment flow for availability requests and booking confirmations
+ * Orchestrates the appointment flow for availability requests, booking confirmations,
+ * reschedules and cancellations. Each doctor has their own availability and calendar
+ * (see config/doctors.js); an email that names no doctor or specialty is offered all of them.
+ * Slots are sized by the appointment type (see config/appointmentTypes.js) and respect
+ * holidays, leave and extra sessions; replies list the closures that explain any gaps.
+ * Times are clinic time (CLINIC_TIMEZONE); with SHOW_SENDER_LOCAL_TIME replies also give
+ * the sender's local time.
+ * When Calendar or SMTP is down the error is passed up (DependencyUnavailableError) so
+ * the email is deferred, never answered from stale or unchecked availability.
  */
 
 /**
  * Main appointment email handler
- * Determines intent and routes to appropriate sub-handler
+ * Routes to the sub-handler for the triaged intent
  * 
  * @param {Object} emailData - Processed email data
  * @param {string} emailData.from - Sender email
@@ -19,127 +51,248 @@ import { sendEmail } from './gmailSender.js';
  * @param {string} emailData.body - Email body
  * @param {string} emailData.messageId - Message ID for threading
  * @param {string} emailData.threadId - Thread ID
+ * @param {Array<string>} [emailData.references] - Message-IDs the email replies to
+ * @param {string} emailData.account - Mailbox account id (replies are sent from it)
+ * @param {Object} triage - Result of triageEmail (intent, requested slots, current slot, appointment type, doctor and specialty)
+ * @returns {Promise<string>} - Processing outcome (one of OUTCOMES)
+ * @throws {DependencyUnavailableError} - When Calendar or SMTP is down
+ * @throws {Error} - When processing fails for any other reason (error.stage is 'appointment_pipeline')
  */
-export async function handleAppointmentEmail(emailData) {
+export async function handleAppointmentEmail(emailData, triage) {
     try {
         console.log('\n📅 Starting appointment processing pipeline...');
 
-        const doctorName = config.DOCTOR_NAME || 'Dr Rishabh';
+        // Step A: Work out which doctor(s) the email is for
+        const { doctors, specific } = resolveDoctors(triage);
+        console.log(`🩺 Doctor(s): ${doctors.map(doctor => doctor.name).join(', ')}`);
 
-        // Step A: Determine intent
-        const intent = await classifyAppointmentIntent(emailData.subject, emailData.body);
+        // Step B: Work out the appointment type (reschedules keep the type of the booking they move)
+        const type = resolveAppointmentType(emailData, triage);
 
+        // Step C: Route on intent; an appointment email with no clear intent gets the availability table
+        const intent = triage.intent || 'AVAILABILITY_REQUEST';
+        console.log(`📅 Appointment intent: ${intent}`);
+
+        let outcome = OUTCOMES.SKIPPED;
         if (intent === 'AVAILABILITY_REQUEST') {
-            await handleAvailabilityRequest(emailData, doctorName);
+            outcome = await handleAvailabilityRequest(emailData, doctors, type);
         } else if (intent === 'BOOKING_CONFIRMATION') {
-            await handleBookingConfirmation(emailData, doctorName);
+            outcome = await handleBookingConfirmation(emailData, doctors, triage.slots, type);
+        } else if (intent === 'RESCHEDULE') {
+            outcome = await handleReschedule(emailData, specific ? doctors : null, triage.slots, triage.currentSlot || null);
+        } else if (intent === 'CANCEL') {
+            outcome = await handleCancellation(emailData, specific ? doctors : null, triage.currentSlot || null);
         } else {
             console.log('⏭️  Unknown appointment intent, skipping');
         }
 
         console.log('🎉 Appointment processing completed!\n');
+        return outcome;
 
     } catch (error) {
-        console.error('⚠️  Appointment processing failed (non-critical):', error.message);
-        console.log('📧 Email processing will continue normally\n');
+        if (!isDependencyUnavailable(error)) {
+            console.error('⚠️  Appointment processing failed:', error.message);
+            error.stage = error.stage || 'appointment_pipeline';
+        }
+        throw error;
+    }
+}
+
+/**
+ * Picks the doctors an email is about
+ * A named doctor wins over a specialty; when neither matches a configured doctor, every doctor is offered.
+ * Only configured doctors are ever used, whatever the triage returned.
+ *
+ * @param {Object} triage - Result of triageEmail
+ * @returns {{ doctors: Array<Object>, specific: boolean }} - Doctors, and whether the email narrowed them down
+ */
+function resolveDoctors(triage) {
+    const named = findDoctor(triage.doctor);
+    if (named) {
+        return { doctors: [named], specific: true };
+    }
+
+    const bySpecialty = findDoctorsBySpecialty(triage.specialty);
+    if (bySpecialty.length > 0) {
+        return { doctors: bySpecialty, specific: true };
+    }
+
+    if (triage.doctor || triage.specialty) {
+        console.log(`⚠️  "${triage.doctor || triage.specialty}" is not a configured doctor or specialty, offering all doctors`);
+    }
+
+    const doctors = getDoctors();
+    return { doctors, specific: doctors.length === 1 };
+}
+
+/**
+ * Picks the appointment type an email is for
+ * The type the sender asked for wins; otherwise the type of a referral in the same thread,
+ * otherwise DEFAULT_APPOINTMENT_TYPE. Only configured types are ever used.
+ *
+ * @param {Object} emailData - Email data
+ * @param {Object} triage - Result of triageEmail
+ * @returns {Object} - Appointment type
+ */
+function resolveAppointmentType(emailData, triage) {
+    const requested = findAppointmentType(triage.appointmentType);
+    if (triage.appointmentType && !requested) {
+        console.log(`⚠️  "${triage.appointmentType}" is not a configured appointment type`);
     }
+
+    const type = requested
+        || findAppointmentType(findReferralAppointmentType({ threadId: emailData.threadId, references: emailData.references || [] }))
+        || getDefaultAppointmentType();
+
+    console.log(`🦷 Appointment type: ${type.label} (${type.durationMinutes} min + ${type.bufferMinutes} min buffer)`);
+    return type;
+}
+
+/**
+ * Names doctors for a reply, e.g. "Dr A or Dr B"
+ * @param {Array<Object>} doctors
+ * @returns {string}
+ */
+function describeDoctors(doctors) {
+    const names = doctors.map(doctor => doctor.name);
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names[0];
+}
+
+/**
+ * Builds a doctor's free slots for an appointment type: CSV availability and exceptions minus their calendar events
+ *
+ * @param {Object} doctor - From config/doctors.js
+ * @param {Object} type - Appointment type
+ * @param {string} [ignoreEventId] - Calendar event that doesn't block (the booking being moved)
+ * @returns {Promise<Object>} - { doctor, allSlots, availableSlots, closures }
+ */
+async function getDoctorSlots(doctor, type, ignoreEventId) {
+    const availability = readAvailability(doctor.name);
+    const exceptions = readExceptions(doctor.name);
+
+    const allSlots = generateSlots(availability, { type, exceptions });
+    const availableSlots = await removeCalendarBookings(allSlots, doctor.calendarId, ignoreEventId);
+    return { doctor, allSlots, availableSlots, closures: getClosures(availability, exceptions) };
 }
 
 /**
  * Handles availability request emails
- * Reads CSV, generates slots, checks calendar, and replies with available times
+ * Reads CSV, generates slots, checks each doctor's calendar, and replies with available times
  * 
  * @param {Object} emailData - Email data
- * @param {string} doctorName - Doctor name
+ * @param {Array<Object>} doctors - Doctors to offer
+ * @param {Object} type - Appointment type to offer slots for
+ * @returns {Promise<string>} - Processing outcome
  */
-async function handleAvailabilityRequest(emailData, doctorName) {
+async function handleAvailabilityRequest(emailData, doctors, type) {
     console.log('📋 Handling availability request...');
 
-    // 1. Read availability from CSV
-    const availability = readAvailability(doctorName);
-    if (availability.length === 0) {
-        console.log('⚠️  No availability data found for', doctorName);
-        await sendReply(emailData, `Sorry, no availability information is currently set for ${doctorName}. Please contact us directly.`);
-        return;
-    }
+    // 1. Read availability and exceptions from CSV, skipping doctors with no hours configured
+    // 2. Generate slots of the type's length for the booking horizon (minus closures, plus extra sessions)
+    //    and remove the ones already booked in each doctor's calendar
+    //    (a calendar that can't be read fails the request; slots are never offered unchecked)
+    const sections = [];
+    for (const doctor of doctors) {
+        const availability = readAvailability(doctor.name);
+        const exceptions = readExceptions(doctor.name);
+        if (availability.length === 0 && !exceptions.some(exception => exception.kind === EXCEPTION_KINDS.EXTRA)) {
+            console.log('⚠️  No availability data found for', doctor.name);
+            continue;
+        }
 
-    // 2. Generate 1-hour slots for current week
-    const allSlots = generateSlots(availability);
-    console.log(`📊 Generated ${allSlots.length} potential time slots`);
+        const allSlots = generateSlots(availability, { type, exceptions });
+        const availableSlots = await removeCalendarBookings(allSlots, doctor.calendarId);
+        console.log(`✅ ${doctor.name}: ${availableSlots.length} of ${allSlots.length} slot(s) available`);
+        sections.push(formatAvailabilityTable(availableSlots, doctor.name, {
+            type,
+            closures: getClosures(availability, exceptions),
+            timeZone: getSenderTimeZone(emailData),
+        }));
+    }
 
-    if (allSlots.length === 0) {
-        await sendReply(emailData, `Sorry, there are no remaining available slots for ${doctorName} this week. Please check back next week.`);
-        return;
+    if (sections.length === 0) {
+        await sendReply(emailData, `Sorry, no availability information is currently set for ${describeDoctors(doctors)}. Please contact us directly.`);
+        return OUTCOMES.REPLY_SENT;
     }
 
-    // 3. Get calendar events for the current week range
-    let availableSlots = allSlots;
-    try {
-        const startDate = allSlots[0].startTime;
-        const endDate = new Date(allSlots[allSlots.length - 1].endTime);
-        endDate.setDate(endDate.getDate() + 1); // Include full last day
+    // 3. Format and send availability table(s)
+    await sendReply(emailData, sections.join('\n\n'));
 
-        const calendarEvents = await getEventsForDateRange(startDate, endDate);
+    console.log('✅ Availability reply sent successfully');
+    return OUTCOMES.AVAILABILITY_SENT;
+}
 
-        // 4. Remove already booked slots
-        availableSlots = removeBookedSlots(allSlots, calendarEvents);
-        console.log(`✅ ${availableSlots.length} available slots after removing booked ones`);
-    } catch (calendarError) {
-        console.log('⚠️  Could not check calendar, showing all CSV-based slots:', calendarError.message);
-        // Continue with all slots if calendar check fails
+/**
+ * Picks the doctor to book with
+ * A doctor already booked by an earlier attempt is kept; otherwise the doctor who has
+ * the most requested slots free (ties go to the first in the doctor list).
+ *
+ * @param {string} ledgerKey - Key from getLedgerKey()
+ * @param {Array<Object>} doctors - Candidate doctors
+ * @param {Array<Object>} requestedSlots - Triaged { day, time } slots
+ * @param {Object} type - Appointment type
+ * @returns {Promise<Object>} - { doctor, allSlots, availableSlots, options } (options = slots of every doctor checked)
+ */
+async function chooseBookingDoctor(ledgerKey, doctors, requestedSlots, type) {
+    const earlierDoctor = requestedSlots
+        .map(requested => getCompletedStage(ledgerKey, STAGES.EVENT_CREATED, `${requested.day} ${requested.time}`))
+        .map(stage => stage && findDoctor(stage.result.doctorName))
+        .find(Boolean);
+
+    const options = [];
+    for (const doctor of earlierDoctor ? [earlierDoctor] : doctors) {
+        options.push(await getDoctorSlots(doctor, type));
     }
 
-    // 5. Format and send availability table
-    const availabilityText = formatAvailabilityTable(availableSlots, doctorName);
-    await sendReply(emailData, availabilityText);
+    const freeCount = option => requestedSlots
+        .filter(requested => findMatchingSlot(option.availableSlots, requested.day, requested.time)).length;
 
-    console.log('✅ Availability reply sent successfully');
+    const chosen = options.reduce((best, option) => freeCount(option) > freeCount(best) ? option : best);
+    return { ...chosen, options };
 }
 
 /**
  * Handles booking confirmation emails
- * Extracts requested slot, verifies calendar availability, and books
+ * Verifies calendar availability for the requested slots, and books
  * 
  * @param {Object} emailData - Email data
- * @param {string} doctorName - Doctor name
+ * @param {Array<Object>} doctors - Doctors the sender may book with
+ * @param {Array<Object>} requestedSlots - Triaged { day, time } slots
+ *   (stored in the ledger with the triage, so a rerun works from the same slot list it started booking)
+ * @param {Object} type - Appointment type to book
+ * @returns {Promise<string>} - Processing outcome
  */
-async function handleBookingConfirmation(emailData, doctorName) {
+async function handleBookingConfirmation(emailData, doctors, requestedSlots, type) {
     console.log('📋 Handling booking confirmation...');
 
-    // 1. Extract requested slots from email using AI
-    const requestedSlots = await extractBookingSlots(emailData.subject, emailData.body);
+    const ledgerKey = getLedgerKey(emailData);
     console.log("requestedSlots=>", requestedSlots);
 
     if (!requestedSlots || requestedSlots.length === 0) {
         console.log('⚠️  Could not extract booking slots from email');
         await sendReply(emailData,
-            `Thank you for your interest in booking an appointment with ${doctorName}. ` +
+            `Thank you for your interest in booking an appointment with ${describeDoctors(doctors)}. ` +
             `Unfortunately, I couldn't determine your preferred time slot. ` +
             `Please reply with a specific day and time (e.g., "Monday at 10:00 AM").`
         );
-        return;
+        return OUTCOMES.REPLY_SENT;
     }
 
-    // 2. Generate available slots
-    const availability = readAvailability(doctorName);
-    const allSlots = generateSlots(availability);
-
-    // 3. Get calendar events to check availability
-    let availableSlots = allSlots;
-    try {
-        if (allSlots.length > 0) {
-            const startDate = allSlots[0].startTime;
-            const endDate = new Date(allSlots[allSlots.length - 1].endTime);
-            endDate.setDate(endDate.getDate() + 1);
-
-            const calendarEvents = await getEventsForDateRange(startDate, endDate);
-            availableSlots = removeBookedSlots(allSlots, calendarEvents);
-        }
-    } catch (calendarError) {
-        console.log('⚠️  Could not check calendar:', calendarError.message);
+    // 2. Generate available slots for each candidate doctor, checked against their calendar
+    //    (a calendar that can't be read fails the request), and pick the doctor to book with
+    const choice = await chooseBookingDoctor(ledgerKey, doctors, requestedSlots, type);
+    const { doctor, allSlots } = choice;
+    const doctorName = doctor.name;
+    let availableSlots = choice.availableSlots;
+    console.log(`🩺 Booking with ${doctorName}`);
+
+    // Policy: only slots inside the configured availability are ever booked, whatever the triage returned
+    const outsideAvailability = requestedSlots.filter(requested => !findMatchingSlot(allSlots, requested.day, requested.time));
+    if (outsideAvailability.length > 0) {
+        console.log(`🛡️  AI policy: ${outsideAvailability.map(r => `${r.day} ${r.time}`).join(', ')} outside configured availability, not booking`);
     }
 
-    // 4. Try to match and book ALL available requested slots
+    // 3. Try to match and book ALL available requested slots
     const senderName = extractSenderName(emailData.from);
     const senderEmail = extractSenderEmail(emailData.from);
 
@@ -147,27 +300,63 @@ async function handleBookingConfirmation(emailData, doctorName) {
     const failedSlots = [];
 
     for (const requested of requestedSlots) {
+        const slotKey = `${requested.day} ${requested.time}`;
+
+        // An earlier attempt already booked this slot — don't create the event twice
+        const alreadyBooked = getCompletedStage(ledgerKey, STAGES.EVENT_CREATED, slotKey);
+        if (alreadyBooked) {
+            console.log(`⏭️  Slot ${slotKey} already booked at ${alreadyBooked.completedAt}, skipping`);
+            bookedSlots.push(alreadyBooked.result.slot);
+            continue;
+        }
+
+        if (outsideAvailability.includes(requested)) {
+            failedSlots.push(requested);
+            continue;
+        }
+
         const matchingSlot = findMatchingSlot(availableSlots, requested.day, requested.time);
 
         if (matchingSlot) {
             try {
-                // 5. Book the slot on Google Calendar
-                const event = await createEvent({
-                    summary: `Appointment - ${senderName}`,
-                    description: `Patient: ${senderName}\nEmail: ${senderEmail}\nBooked via email automation`,
-                    startTime: matchingSlot.startTime,
-                    endTime: matchingSlot.endTime,
-                });
+                // 4. Book the slot on the doctor's Google Calendar
+                await runStage(ledgerKey, STAGES.EVENT_CREATED, async () => {
+                    const event = await createEvent({
+                        summary: `${type.label} - ${senderName}`,
+                        description: `Patient: ${senderName}\nEmail: ${senderEmail}\nDoctor: ${doctorName}\n` +
+                            `Appointment: ${type.label} (${type.durationMinutes} min)\nBooked via email automation`,
+                        startTime: matchingSlot.startTime,
+                        endTime: matchingSlot.endTime,
+                        eventId: buildEventId(`${ledgerKey}|${slotKey}`),
+                        calendarId: doctor.calendarId,
+                    });
+
+                    saveAppointment({
+                        messageId: ledgerKey,
+                        threadId: emailData.threadId,
+                        eventId: event.id,
+                        calendarId: doctor.calendarId,
+                        doctorName,
+                        appointmentType: type.id,
+                        patientName: senderName,
+                        patientEmail: senderEmail,
+                        startTime: matchingSlot.startTime,
+                        endTime: matchingSlot.endTime,
+                    });
+
+                    return { eventId: event.id, doctorName, slot: matchingSlot };
+                }, { key: slotKey });
 
                 bookedSlots.push(matchingSlot);
                 console.log(`✅ Slot booked: ${matchingSlot.date} ${matchingSlot.label}`);
 
-                // Remove booked slot from available slots so it can't be double-matched
-                availableSlots = availableSlots.filter(s =>
-                    s.startTime.getTime() !== matchingSlot.startTime.getTime()
-                );
+                // Remove slots overlapping the booking (and its buffer) so they can't be double-booked
+                availableSlots = availableSlots.filter(s => !slotsOverlap(s, matchingSlot));
 
             } catch (bookingError) {
+                if (isDependencyUnavailable(bookingError)) {
+                    throw bookingError;
+                }
                 console.error('❌ Error booking slot:', bookingError.message);
                 failedSlots.push(requested);
             }
@@ -176,11 +365,9 @@ async function handleBookingConfirmation(emailData, doctorName) {
         }
     }
 
-    // 6. Send response based on booking results
+    // 5. Send response based on booking results
     if (bookedSlots.length > 0) {
-        const slotDetails = bookedSlots.map(slot =>
-            `📅 Date: ${slot.date}\n🕐 Time: ${slot.label}`
-        ).join('\n\n');
+        const slotDetails = bookedSlots.map(slot => formatSlotDetails(slot, emailData)).join('\n\n');
 
         let confirmationText =
             `Your appointment${bookedSlots.length > 1 ? 's' : ''} with ${doctorName} ${bookedSlots.length > 1 ? 'have' : 'has'} been confirmed! ✅\n\n` +
@@ -195,22 +382,315 @@ async function handleBookingConfirmation(emailData, doctorName) {
 
         await sendReply(emailData, confirmationText);
         console.log(`✅ ${bookedSlots.length} appointment(s) booked successfully for ${senderName}`);
+        return OUTCOMES.APPOINTMENT_BOOKED;
 
     } else {
-        // 7. No matching slot available — send apology
+        // 6. No matching slot available — send apology with every candidate doctor's free slots
         const apologyText =
-            `Thank you for your interest in booking with ${doctorName}.\n\n` +
-            `Unfortunately, the requested time slot(s) are not available this week.\n\n` +
+            `Thank you for your interest in booking with ${describeDoctors(doctors)}.\n\n` +
+            `Unfortunately, the requested time slot(s) are not available.\n\n` +
             `Here are the currently available slots:\n\n` +
-            formatAvailabilityTable(availableSlots, doctorName);
+            choice.options.map(option =>
+                formatAvailabilityTable(option.availableSlots, option.doctor.name, {
+                    type,
+                    closures: option.closures,
+                    timeZone: getSenderTimeZone(emailData),
+                })
+            ).join('\n\n');
 
         await sendReply(emailData, apologyText);
         console.log('📧 Sent apology with alternative slots');
+        return OUTCOMES.REPLY_SENT;
+    }
+}
+
+/**
+ * Handles cancellation emails
+ * Finds the sender's booking, deletes its calendar event, marks it cancelled and confirms
+ *
+ * @param {Object} emailData - Email data
+ * @param {Array<Object>|null} doctors - Doctors the sender named (null: any doctor)
+ * @param {Object|null} currentSlot - Triaged { day, time } of the booking to cancel, if the sender named it
+ * @returns {Promise<string>} - Processing outcome
+ */
+async function handleCancellation(emailData, doctors, currentSlot) {
+    console.log('📋 Handling cancellation...');
+
+    const ledgerKey = getLedgerKey(emailData);
+
+    // An earlier attempt already cancelled the booking (it no longer shows up as upcoming)
+    let cancelled = getCompletedStage(ledgerKey, STAGES.EVENT_CANCELLED)?.result;
+
+    if (!cancelled) {
+        const booking = await selectBooking(emailData, doctors, currentSlot, 'cancel');
+        if (!booking.appointment) {
+            return booking.outcome;
+        }
+
+        const { appointment, slot } = booking;
+        const doctor = getAppointmentDoctor(appointment);
+
+        cancelled = await runStage(ledgerKey, STAGES.EVENT_CANCELLED, async () => {
+            if (appointment.event_id) {
+                await deleteEvent({ eventId: appointment.event_id, calendarId: doctor.calendarId });
+            }
+            updateAppointment(appointment.id, { status: APPOINTMENT_STATUSES.CANCELLED });
+
+            return { appointmentId: appointment.id, doctorName: doctor.name, slot: toStoredSlot(slot) };
+        });
     }
+
+    await sendReply(emailData,
+        `Your appointment with ${cancelled.doctorName} has been cancelled.\n\n` +
+        `${formatSlotDetails(cancelled.slot, emailData)}\n\n` +
+        `If you'd like to book another time, just reply to this email.\n\nThank you!`
+    );
+
+    console.log(`✅ Appointment ${cancelled.appointmentId} cancelled`);
+    return OUTCOMES.APPOINTMENT_CANCELLED;
+}
+
+/**
+ * Handles reschedule emails
+ * Finds the sender's booking and moves it to the first requested slot that is free
+ *
+ * The booking stays with its doctor, calendar and appointment type; only the time changes.
+ *
+ * @param {Object} emailData - Email data
+ * @param {Array<Object>|null} doctors - Doctors the sender named (null: any doctor)
+ * @param {Array<Object>} requestedSlots - Triaged { day, time } slots the sender wants instead
+ * @param {Object|null} currentSlot - Triaged { day, time } of the booking to move, if the sender named it
+ * @returns {Promise<string>} - Processing outcome
+ */
+async function handleReschedule(emailData, doctors, requestedSlots, currentSlot) {
+    console.log('📋 Handling reschedule...');
+
+    const ledgerKey = getLedgerKey(emailData);
+
+    // An earlier attempt already moved the booking
+    let moved = getCompletedStage(ledgerKey, STAGES.EVENT_MOVED)?.result;
+
+    if (!moved) {
+        const booking = await selectBooking(emailData, doctors, currentSlot, 'reschedule');
+        if (!booking.appointment) {
+            return booking.outcome;
+        }
+
+        const { appointment, slot } = booking;
+        const doctor = getAppointmentDoctor(appointment);
+        const doctorName = doctor.name;
+
+        const type = findAppointmentType(appointment.appointment_type) || getDefaultAppointmentType();
+
+        // The booking's own event doesn't block its new time (moving it by less than its length)
+        const { availableSlots, closures } = await getDoctorSlots(doctor, type, appointment.event_id);
+
+        if (!requestedSlots || requestedSlots.length === 0) {
+            console.log('⚠️  Reschedule without a new time, asking the sender for one');
+            await sendReply(emailData,
+                `We can move your appointment with ${doctorName} on ${slot.label}. ` +
+                `Which time would you like instead?\n\n` +
+                formatAvailabilityTable(availableSlots, doctorName, { type, closures, timeZone: getSenderTimeZone(emailData) })
+            );
+            return OUTCOMES.CLARIFICATION_REQUESTED;
+        }
+
+        // Policy: only slots inside the configured availability and free in the calendar are ever booked
+        const newSlot = requestedSlots
+            .map(requested => findMatchingSlot(availableSlots, requested.day, requested.time))
+            .find(Boolean);
+
+        if (!newSlot) {
+            console.log(`⚠️  None of ${requestedSlots.map(r => `${r.day} ${r.time}`).join(', ')} is available, keeping the booking`);
+            await sendReply(emailData,
+                `Unfortunately, the requested time slot(s) are not available, ` +
+                `so your appointment with ${doctorName} on ${slot.label} is unchanged.\n\n` +
+                `Here are the currently available slots:\n\n` +
+                formatAvailabilityTable(availableSlots, doctorName, { type, closures, timeZone: getSenderTimeZone(emailData) })
+            );
+            return OUTCOMES.REPLY_SENT;
+        }
+
+        moved = await runStage(ledgerKey, STAGES.EVENT_MOVED, async () => {
+            if (appointment.event_id) {
+                await moveEvent({
+                    eventId: appointment.event_id,
+                    calendarId: doctor.calendarId,
+                    startTime: newSlot.startTime,
+                    endTime: newSlot.endTime,
+                });
+            }
+            updateAppointment(appointment.id, { startTime: newSlot.startTime, endTime: newSlot.endTime });
+
+            return {
+                appointmentId: appointment.id,
+                doctorName,
+                from: { date: slot.date, label: slot.label },
+                slot: toStoredSlot(newSlot),
+            };
+        });
+    }
+
+    await sendReply(emailData,
+        `Your appointment with ${moved.doctorName} has been rescheduled. ✅\n\n` +
+        `Previously: ${moved.from.label}\n\n` +
+        `${formatSlotDetails(moved.slot, emailData)}\n\n` +
+        `Please arrive 10 minutes before your appointment time.\nThank you!`
+    );
+
+    console.log(`✅ Appointment ${moved.appointmentId} moved to ${moved.slot.label}`);
+    return OUTCOMES.APPOINTMENT_RESCHEDULED;
+}
+
+/**
+ * Picks the booking a reschedule or cancellation email is about
+ * Only bookings made under the sender's address can be changed (and only with the doctors
+ * they named, if any). A named slot must match exactly one of them; otherwise a booking in
+ * the same thread, or the only booking, is used. When no booking (or more than one) fits, or
+ * the thread's booking belongs to another address, the sender gets a reply and no booking
+ * is returned.
+ *
+ * @param {Object} emailData - Email data
+ * @param {Array<Object>|null} doctors - Doctors the sender named (null: any doctor)
+ * @param {Object|null} currentSlot - Triaged { day, time } of the booking, if named
+ * @param {string} action - "cancel" or "reschedule", for the reply text
+ * @returns {Promise<Object>} - { appointment, slot } or { outcome } when the sender was asked
+ */
+async function selectBooking(emailData, doctors, currentSlot, action) {
+    const doctorNames = doctors ? doctors.map(doctor => doctor.name.toLowerCase()) : null;
+    const lookup = {
+        patientEmail: extractSenderEmail(emailData.from),
+        threadId: emailData.threadId,
+        references: emailData.references || [],
+    };
+
+    const bookings = findUpcomingAppointments(lookup)
+        .filter(appointment => !doctorNames || doctorNames.includes(String(appointment.doctor_name).toLowerCase()))
+        .map(appointment => ({
+            appointment,
+            slot: buildSlot(new Date(appointment.start_time), new Date(appointment.end_time)),
+        }));
+    console.log(`📊 Found ${bookings.length} upcoming booking(s) for the sender`);
+
+    if (bookings.length === 0 && countOtherSendersThreadAppointments(lookup) > 0) {
+        // A forwarded or shared thread: never change someone else's booking
+        console.log(`🛡️  The thread's booking was made from another address, not changing it`);
+        await sendReply(emailData,
+            `The appointment in this conversation was booked from a different email address, ` +
+            `so we haven't made any changes.\n\n` +
+            `To ${action} it, please email us from the address it was booked with, ` +
+            `or reply with the patient's name and the date and time of the appointment so our team can help.`
+        );
+        return { outcome: OUTCOMES.CLARIFICATION_REQUESTED };
+    }
+
+    if (bookings.length === 0) {
+        await sendReply(emailData,
+            `We couldn't find an upcoming appointment${doctors ? ` with ${describeDoctors(doctors)}` : ''} booked from this email address, ` +
+            `so there was nothing to ${action}.\n\n` +
+            `If you booked under a different email address, please reply with the date and time of your appointment.`
+        );
+        return { outcome: OUTCOMES.REPLY_SENT };
+    }
+
+    let matches;
+    if (currentSlot) {
+        matches = bookings.filter(({ slot }) => findMatchingSlot([slot], currentSlot.day, currentSlot.time));
+    } else {
+        const inThread = bookings.filter(({ appointment }) => appointment.in_thread);
+        matches = inThread.length > 0 ? inThread : bookings;
+    }
+
+    if (matches.length === 1) {
+        return matches[0];
+    }
+
+    // Ambiguous: never guess which booking to change
+    const listed = matches.length > 1 ? matches : bookings;
+    console.log(`⚠️  ${matches.length} booking(s) match the ${action} request, asking which one`);
+    await sendReply(emailData,
+        `${currentSlot ? `We couldn't find a single appointment on ${currentSlot.day} at ${currentSlot.time}. ` : ''}` +
+        `Which appointment would you like to ${action}?\n\n` +
+        listed.map(({ appointment, slot }) => `📅 ${slot.label}${appointment.doctor_name ? ` with ${appointment.doctor_name}` : ''}`).join('\n') +
+        `\n\nPlease reply with the date and time of the appointment.`
+    );
+    return { outcome: OUTCOMES.CLARIFICATION_REQUESTED };
+}
+
+/**
+ * Gets the doctor a stored appointment belongs to, on the calendar it was booked in
+ * @param {Object} appointment - Appointment row
+ * @returns {Object} - Doctor (falls back to the first configured doctor for unknown names)
+ */
+function getAppointmentDoctor(appointment) {
+    const doctor = findDoctor(appointment.doctor_name) || getDoctors()[0];
+
+    return {
+        ...doctor,
+        name: appointment.doctor_name || doctor.name,
+        calendarId: appointment.calendar_id || doctor.calendarId,
+    };
+}
+
+/**
+ * Removes slots that already have a calendar event
+ * A calendar that can't be read fails the request; slots are never offered unchecked.
+ *
+ * @param {Array<Object>} allSlots - Generated slots
+ * @param {string} calendarId - Doctor's calendar
+ * @param {string} [ignoreEventId] - Event that doesn't block any slot
+ * @returns {Promise<Array<Object>>} - Free slots (all slots when Calendar isn't configured)
+ */
+async function removeCalendarBookings(allSlots, calendarId, ignoreEventId) {
+    if (allSlots.length === 0) {
+        return allSlots;
+    }
+
+    if (!isCalendarConfigured()) {
+        console.log('⚠️  Google Calendar not configured, showing all CSV-based slots');
+        return allSlots;
+    }
+
+    const startDate = allSlots[0].startTime;
+    const endDate = new Date(allSlots[allSlots.length - 1].endTime.getTime() + 24 * 60 * 60 * 1000); // Include full last day
+
+    const calendarEvents = await getEventsForDateRange(startDate, endDate, calendarId);
+    return removeBookedSlots(allSlots, calendarEvents.filter(event => !ignoreEventId || event.id !== ignoreEventId));
+}
+
+/**
+ * Gets the sender's timezone (from their Date header) when replies should show their local time
+ * @param {Object} emailData - Email data
+ * @returns {string|null}
+ */
+function getSenderTimeZone(emailData) {
+    return config.SHOW_SENDER_LOCAL_TIME ? emailData.senderTimeZone || null : null;
+}
+
+/**
+ * Keeps the parts of a slot a ledger result needs to describe it again on a rerun
+ * @param {Object} slot
+ * @returns {Object} - { date, label, startTime, endTime }
+ */
+function toStoredSlot(slot) {
+    return { date: slot.date, label: slot.label, startTime: slot.startTime, endTime: slot.endTime };
+}
+
+/**
+ * Formats a booked, moved or cancelled slot for a reply, with the sender's local time when it differs
+ *
+ * @param {Object} slot - Slot, or a slot stored in the ledger
+ * @param {Object} emailData - Email data
+ * @returns {string}
+ */
+function formatSlotDetails(slot, emailData) {
+    const localTime = formatSlotLocalTime(slot, getSenderTimeZone(emailData));
+    return `📅 Date: ${slot.date}\n🕐 Time: ${slot.label}${localTime ? `\n🌍 Your time: ${localTime}` : ''}`;
 }
 
 /**
  * Sends a reply email in the same thread
+ * Recorded in the processing ledger so each email gets at most one reply
  * 
  * @param {Object} emailData - Original email data
  * @param {string} replyText - Reply body text
@@ -218,11 +698,22 @@ async function handleBookingConfirmation(emailData, doctorName) {
 async function sendReply(emailData, replyText) {
     const senderEmail = extractSenderEmail(emailData.from);
 
-    await sendEmail({
-        to: senderEmail,
-        subject: `Re: ${emailData.subject}`,
-        text: replyText,
-        inReplyTo: emailData.messageId,
+    await runStage(getLedgerKey(emailData), STAGES.REPLY_SENT, async () => {
+        const result = await sendEmail({
+            to: senderEmail,
+            subject: `Re: ${emailData.subject}`,
+            text: replyText,
+            inReplyTo: emailData.messageId,
+            references: emailData.references,
+            account: emailData.account,
+        });
+
+        if (!result.success) {
+            const message = `Reply not sent: ${result.error}`;
+            throw result.deferred ? new DependencyUnavailableError('smtp', message) : new Error(message);
+        }
+
+        return { messageId: result.messageId, to: senderEmail };
     });
 }
 
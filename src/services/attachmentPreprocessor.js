@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { PDFDocument } from 'pdf-lib';
+import { config } from '../config/env.js';
+
+/**
+ * Attachment Preprocessor
+ * Gets referral attachments under the AI size limit instead of dropping them:
+ *   - Oversized images (and TIFF fax scans, which the model can't read) are
+ *     auto-rotated, downsampled and recompressed to JPEG
+ *   - Oversized PDFs are split into single-page PDFs
+ *
+ * Derived files are written next to the originals in the attachments directory.
+ * Anything that still can't be brought under the limit is reported as failed so
+ * the referral can be flagged for manual handling.
+ */
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp'];
+const CONVERTED_EXTENSIONS = ['.tif', '.tiff'];
+
+/**
+ * Prepares every attachment for AI extraction
+ *
+ * @param {Array<string>} attachmentFilenames - Attachment filenames
+ * @param {string} attachmentsDir - Directory where attachments are stored
+ * @returns {Promise<{ files: Array<Object>, failed: Array<Object> }>}
+ *   files: { filename, source, page } ready to send (page is set for split PDF pages)
+ *   failed: { filename, reason } that need manual handling
+ */
+export async function prepareAttachments(attachmentFilenames, attachmentsDir) {
+    const maxBytes = config.MAX_AI_ATTACHMENT_SIZE_MB * 1024 * 1024;
+    const files = [];
+    const failed = [];
+
+    for (const filename of attachmentFilenames) {
+        const filepath = path.join(attachmentsDir, filename);
+        const ext = path.extname(filename).toLowerCase();
+
+        if (!fs.existsSync(filepath)) {
+            failed.push({ filename, reason: 'file not found' });
+            continue;
+        }
+
+        const size = fs.statSync(filepath).size;
+
+        try {
+            if (ext === '.pdf') {
+                if (size <= maxBytes) {
+                    files.push({ filename, source: filename, page: null });
+                } else {
+                    const result = await splitPdf(filename, attachmentsDir, maxBytes);
+                    files.push(...result.files);
+                    failed.push(...result.failed);
+                }
+            } else if (IMAGE_EXTENSIONS.includes(ext) || CONVERTED_EXTENSIONS.includes(ext)) {
+                if (size <= maxBytes && IMAGE_EXTENSIONS.includes(ext)) {
+                    files.push({ filename, source: filename, page: null });
+                    continue;
+                }
+
+                const resized = await downsampleImage(filename, attachmentsDir, maxBytes);
+                if (resized) {
+                    files.push({ filename: resized, source: filename, page: null });
+                } else {
+                    failed.push({ filename, reason: `still over ${config.MAX_AI_ATTACHMENT_SIZE_MB}MB after downsampling` });
+                }
+            } else {
+                // Not something the model can read (e.g. .docx); not a failure, just not a candidate
+                console.log(`⏭️  Skipping unsupported attachment type: ${filename}`);
+            }
+        } catch (error) {
+            console.error(`❌ Error preprocessing ${filename}:`, error.message);
+            failed.push({ filename, reason: error.message });
+        }
+    }
+
+    return { files, failed };
+}
+
+/**
+ * Downsamples and recompresses an image, trying progressively smaller sizes
+ * until it fits
+ *
+ * @param {string} filename - Image filename
+ * @param {string} attachmentsDir - Directory where attachments are stored
+ * @param {number} maxBytes - Size limit
+ * @returns {Promise<string|null>} - Filename of the resized JPEG, or null when it can't fit
+ */
+async function downsampleImage(filename, attachmentsDir, maxBytes) {
+    const maxDimension = config.ATTACHMENT_MAX_IMAGE_DIMENSION;
+    const attempts = [
+        [maxDimension, 85],
+        [maxDimension, 70],
+        [Math.round(maxDimension * 0.75), 70],
+        [Math.round(maxDimension * 0.5), 60],
+    ];
+
+    for (const [dimension, quality] of attempts) {
+        const buffer = await sharp(path.join(attachmentsDir, filename))
+            .rotate() // apply EXIF orientation from phone cameras
+            .resize({ width: dimension, height: dimension, fit: 'inside', withoutEnlargement: true })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality })
+            .toBuffer();
+
+        if (buffer.length <= maxBytes) {
+            const resizedFilename = `${path.parse(filename).name}.resized.jpg`;
+            fs.writeFileSync(path.join(attachmentsDir, resizedFilename), buffer);
+
+            console.log(`🗜️  Downsampled ${filename} to ${dimension}px @ q${quality} (${(buffer.length / 1024 / 1024).toFixed(2)}MB)`);
+            return resizedFilename;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Splits a PDF into single-page PDFs, up to ATTACHMENT_MAX_PDF_PAGES pages
+ *
+ * @param {string} filename - PDF filename
+ * @param {string} attachmentsDir - Directory where attachments are stored
+ * @param {number} maxBytes - Size limit per page
+ * @returns {Promise<{ files: Array<Object>, failed: Array<Object> }>}
+ */
+async function splitPdf(filename, attachmentsDir, maxBytes) {
+    const source = await PDFDocument.load(fs.readFileSync(path.join(attachmentsDir, filename)), { ignoreEncryption: true });
+    const pageCount = source.getPageCount();
+    const pagesToSplit = Math.min(pageCount, config.ATTACHMENT_MAX_PDF_PAGES);
+    const baseName = path.parse(filename).name;
+    const files = [];
+    const failed = [];
+
+    for (let index = 0; index < pagesToSplit; index++) {
+        const page = index + 1;
+        const doc = await PDFDocument.create();
+        const [copiedPage] = await doc.copyPages(source, [index]);
+        doc.addPage(copiedPage);
+
+        const bytes = await doc.save();
+        if (bytes.length > maxBytes) {
+            failed.push({ filename, reason: `page ${page} is over ${config.MAX_AI_ATTACHMENT_SIZE_MB}MB on its own` });
+            continue;
+        }
+
+        const pageFilename = `${baseName}.page-${page}.pdf`;
+        fs.writeFileSync(path.join(attachmentsDir, pageFilename), bytes);
+        files.push({ filename: pageFilename, source: filename, page });
+    }
+
+    if (pageCount > pagesToSplit) {
+        const skipped = pageCount === pagesToSplit + 1 ? `page ${pageCount}` : `pages ${pagesToSplit + 1}-${pageCount}`;
+        failed.push({ filename, reason: `${skipped} not processed (limit ${config.ATTACHMENT_MAX_PDF_PAGES} pages)` });
+    }
+
+    console.log(`✂️  Split ${filename} into ${files.length} page(s)`);
+    return { files, failed };
+}
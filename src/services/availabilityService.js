@@ -1,11 +1,36 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { config } from '../config/env.js';
+import { getDefaultAppointmentType } from '../config/appointmentTypes.js';
+import { parseCSVRecords } from '../utils/csvParser.js';
+import { parseICS } from '../utils/icsParser.js';
+import {
+    getZonedParts,
+    getOffsetMinutes,
+    zonedTimeToDate,
+    toDateKey,
+    addDays,
+    getWeekday,
+    isValidTimeZone,
+} from '../utils/clinicTime.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const AVAILABILITY_CSV_PATH = path.join(__dirname, '../../storage/availability.csv');
+const STORAGE_DIR = config.STORAGE_DIR || path.join(__dirname, '../../storage');
+const AVAILABILITY_CSV_PATH = path.join(STORAGE_DIR, 'availability.csv');
+const AVAILABILITY_EXCEPTIONS_CSV_PATH = path.join(STORAGE_DIR, 'availability_exceptions.csv');
+
+/**
+ * Kinds of availability exception
+ * closed: the doctor (or the whole clinic) is away, all day or between start and end
+ * extra: an extra session on that date, on top of the weekly pattern
+ */
+export const EXCEPTION_KINDS = {
+    CLOSED: 'closed',
+    EXTRA: 'extra',
+};
 
 /**
  * Day name to JS day index mapping (0=Sunday, 1=Monday, etc.)
@@ -38,6 +63,40 @@ function parseTime(timeStr) {
     return { hours, minutes };
 }
 
+/**
+ * Checks a time string is in "HH:MM AM/PM" format before parsing it
+ * @param {string} timeStr
+ * @returns {{ hours: number, minutes: number }|null} - null when malformed
+ */
+function parseTimeIfValid(timeStr) {
+    return /^\d{1,2}:\d{2} (AM|PM)$/i.test(String(timeStr).trim()) ? parseTime(timeStr) : null;
+}
+
+/**
+ * Checks a string is a real YYYY-MM-DD date
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isDateKey(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))
+        && new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+/**
+ * Lists the dates from one YYYY-MM-DD date to another, inclusive
+ * @param {string} from
+ * @param {string} to
+ * @returns {Array<string>}
+ */
+function eachDate(from, to) {
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        dates.push(date);
+    }
+
+    return dates;
+}
+
 /**
  * Reads availability CSV and filters by doctor name
  * 
@@ -82,80 +141,300 @@ export function readAvailability(doctorName) {
 }
 
 /**
- * Gets the dates for the current week (Monday to Sunday)
- * @returns {Object} - Map of day name → Date object for current week
+ * Reads date-specific exceptions to a doctor's weekly availability
+ * Rows of storage/availability_exceptions.csv (doctor, from, to, kind, start, end, reason) apply
+ * to the named doctor, or to every doctor when the doctor column is empty. from/to are
+ * YYYY-MM-DD (to is optional and inclusive), kind is "closed" or "extra" and start/end are
+ * "HH:MM AM/PM" (a closure without them lasts all day). Events in the holiday calendar
+ * (HOLIDAY_CALENDAR_PATH) close the whole clinic.
+ *
+ * @param {string} doctorName - Doctor name to filter by
+ * @returns {Array<Object>} - One { doctor, date, kind, start, end, reason } per date (start/end as { hours, minutes } or null)
+ */
+export function readExceptions(doctorName) {
+    const exceptions = [...readExceptionsCSV(), ...readHolidayCalendar()]
+        .filter(exception => !exception.doctor || exception.doctor.toLowerCase() === doctorName.toLowerCase());
+
+    if (exceptions.length > 0) {
+        console.log(`📋 Found ${exceptions.length} availability exception(s) for ${doctorName}`);
+    }
+    return exceptions;
+}
+
+/**
+ * Reads availability_exceptions.csv, skipping (and logging) rows that don't make sense
+ * @returns {Array<Object>} - Exceptions for every doctor, one per date
  */
-export function getCurrentWeekDates() {
-    const now = new Date();
-    const currentDay = now.getDay(); // 0=Sun, 1=Mon, ...
-    const mondayOffset = currentDay === 0 ? -6 : 1 - currentDay;
+function readExceptionsCSV() {
+    try {
+        if (!fs.existsSync(AVAILABILITY_EXCEPTIONS_CSV_PATH)) {
+            return [];
+        }
 
-    const weekDates = {};
+        const { records } = parseCSVRecords(fs.readFileSync(AVAILABILITY_EXCEPTIONS_CSV_PATH, 'utf-8'));
+        const exceptions = [];
+
+        records.forEach((record, index) => {
+            const from = (record.from || '').trim();
+            const to = (record.to || '').trim() || from;
+            const kind = (record.kind || '').trim().toLowerCase() || EXCEPTION_KINDS.CLOSED;
+            const start = (record.start || '').trim() ? parseTimeIfValid(record.start) : null;
+            const end = (record.end || '').trim() ? parseTimeIfValid(record.end) : null;
+            const hasTimes = Boolean((record.start || '').trim() || (record.end || '').trim());
+
+            let problem = null;
+            if (!isDateKey(from) || !isDateKey(to) || to < from) {
+                problem = 'from/to must be YYYY-MM-DD dates, to not before from';
+            } else if (!Object.values(EXCEPTION_KINDS).includes(kind)) {
+                problem = `unknown kind "${kind}" (expected closed or extra)`;
+            } else if ((kind === EXCEPTION_KINDS.EXTRA || hasTimes) && (!start || !end)) {
+                problem = 'start and end must both be "HH:MM AM/PM" times';
+            } else if (start && end && start.hours * 60 + start.minutes >= end.hours * 60 + end.minutes) {
+                problem = 'start must be before end';
+            }
+
+            if (problem) {
+                console.log(`⚠️  availability_exceptions.csv row ${index + 2} skipped: ${problem}`);
+                return;
+            }
 
-    for (const [dayName, dayIndex] of Object.entries(DAY_MAP)) {
-        const date = new Date(now);
-        const offset = mondayOffset + (dayIndex === 0 ? 6 : dayIndex - 1);
-        date.setDate(now.getDate() + offset);
-        date.setHours(0, 0, 0, 0);
-        weekDates[dayName] = date;
+            for (const date of eachDate(from, to)) {
+                exceptions.push({
+                    doctor: (record.doctor || '').trim() || null,
+                    date,
+                    kind,
+                    start,
+                    end,
+                    reason: (record.reason || '').trim() || null,
+                });
+            }
+        });
+
+        return exceptions;
+
+    } catch (error) {
+        console.error('❌ Error reading availability exceptions CSV:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Reads the holiday calendar (an .ics export) as clinic-wide closures
+ * All-day events close the clinic for each of their days; timed events block their hours
+ * (converted from their TZID to clinic time; times without a zone are clinic time).
+ *
+ * @returns {Array<Object>} - Closures, one per date
+ */
+function readHolidayCalendar() {
+    if (!config.HOLIDAY_CALENDAR_PATH) {
+        return [];
     }
 
-    return weekDates;
+    try {
+        if (!fs.existsSync(config.HOLIDAY_CALENDAR_PATH)) {
+            console.log(`⚠️  Holiday calendar ${config.HOLIDAY_CALENDAR_PATH} not found`);
+            return [];
+        }
+
+        const closures = [];
+        for (const event of parseICS(fs.readFileSync(config.HOLIDAY_CALENDAR_PATH, 'utf-8'))) {
+            if (event.status === 'CANCELLED') {
+                continue;
+            }
+            if (event.rrule) {
+                console.log(`⚠️  Holiday "${event.summary}" repeats (${event.rrule}); only its first date is used`);
+            }
+
+            closures.push(...holidayToClosures(event));
+        }
+
+        return closures;
+
+    } catch (error) {
+        console.error('❌ Error reading holiday calendar:', error.message);
+        return [];
+    }
 }
 
 /**
- * Generates 1-hour time slots from availability for current week
- * 
- * @param {Array<Object>} availability - Array from readAvailability()
- * @returns {Array<Object>} - Array of { day, date, startTime, endTime, label }
+ * Turns one holiday calendar event into per-date closures
+ *
+ * @param {Object} event - From parseICS()
+ * @returns {Array<Object>}
  */
-export function generateSlots(availability) {
-    const weekDates = getCurrentWeekDates();
-    const slots = [];
-    const now = new Date();
+function holidayToClosures(event) {
+    const reason = event.summary || 'Public holiday';
+    const closure = (date, start, end) => ({ doctor: null, date, kind: EXCEPTION_KINDS.CLOSED, start, end, reason });
+
+    // All-day: DTEND is the day after the last day (a one-day holiday when missing)
+    if (!event.start.time) {
+        const to = event.end ? addDays(event.end.date, -1) : event.start.date;
+
+        return eachDate(event.start.date, to < event.start.date ? event.start.date : to).map(date => closure(date, null, null));
+    }
+
+    // Timed: block the hours (in clinic time) on each day the event covers
+    const toInstant = ({ date, time, utc, tzid }) =>
+        zonedTimeToDate(date, time, utc ? 'UTC' : isValidTimeZone(tzid) ? tzid : config.CLINIC_TIMEZONE);
+    const start = getZonedParts(toInstant(event.start));
+    const end = event.end && event.end.time ? getZonedParts(toInstant(event.end)) : start;
 
-    for (const entry of availability) {
-        const date = weekDates[entry.day];
-        if (!date) continue;
+    const closures = [];
+    for (const date of eachDate(start.dateKey, end.dateKey)) {
+        const from = date === start.dateKey ? { hours: start.hours, minutes: start.minutes } : { hours: 0, minutes: 0 };
+        const until = date === end.dateKey ? { hours: end.hours, minutes: end.minutes } : { hours: 24, minutes: 0 };
 
-        const start = parseTime(entry.start);
-        const end = parseTime(entry.end);
+        if (from.hours * 60 + from.minutes < until.hours * 60 + until.minutes) {
+            closures.push(closure(date, from, until));
+        }
+    }
 
-        // Generate 1-hour slots
-        let currentHour = start.hours;
-        const currentMinute = start.minutes;
+    return closures;
+}
 
-        while (currentHour < end.hours || (currentHour === end.hours && currentMinute < end.minutes)) {
-            const slotStart = new Date(date);
-            slotStart.setHours(currentHour, currentMinute, 0, 0);
+/**
+ * Gets the dates in the booking horizon, starting today in the clinic's timezone
+ *
+ * @param {number} [days] - Horizon length in days (default BOOKING_HORIZON_DAYS)
+ * @returns {Array<string>} - YYYY-MM-DD dates, soonest first
+ */
+export function getHorizonDates(days = config.BOOKING_HORIZON_DAYS) {
+    const today = toDateKey(new Date());
 
-            const slotEnd = new Date(slotStart);
-            slotEnd.setHours(currentHour + 1, currentMinute, 0, 0);
+    const dates = [];
+    for (let offset = 0; offset < days; offset++) {
+        dates.push(addDays(today, offset));
+    }
+
+    return dates;
+}
+
+/**
+ * Generates appointment slots from availability for every day in the booking horizon
+ * A slot can start every SLOT_INTERVAL_MINUTES and lasts the appointment type's length;
+ * it must end within the doctor's hours, and only the type's allowed days are used.
+ * Exceptions are applied first: a day closed all day has no slots, a partial closure
+ * removes the slots it overlaps and an extra session adds slots on its date.
+ * All times are clinic time (CLINIC_TIMEZONE), whatever the server's timezone.
+ * 
+ * @param {Array<Object>} availability - Array from readAvailability()
+ * @param {Object} [options]
+ * @param {number} [options.days] - Horizon length in days (default BOOKING_HORIZON_DAYS)
+ * @param {Object} [options.type] - Appointment type (default DEFAULT_APPOINTMENT_TYPE)
+ * @param {Array<Object>} [options.exceptions] - Array from readExceptions()
+ * @returns {Array<Object>} - Array of { day, date, startTime, endTime, label, type, bufferMinutes }, soonest first
+ */
+export function generateSlots(availability, { days, type = getDefaultAppointmentType(), exceptions = [] } = {}) {
+    const slots = [];
+    const now = new Date();
+    const durationMs = type.durationMinutes * 60 * 1000;
+    const stepMs = config.SLOT_INTERVAL_MINUTES * 60 * 1000;
+
+    for (const dateKey of getHorizonDates(days)) {
+        const day = getWeekday(dateKey);
+        if (type.days && !type.days.includes(day)) continue;
+
+        const dayExceptions = exceptions.filter(exception => exception.date === dateKey);
+        const closures = dayExceptions.filter(exception => exception.kind === EXCEPTION_KINDS.CLOSED);
+
+        // Closed all day (holiday or leave)
+        if (closures.some(closure => !closure.start)) continue;
+
+        const sessions = [
+            ...availability
+                .filter(entry => entry.day === day)
+                .map(entry => ({ start: parseTime(entry.start), end: parseTime(entry.end) })),
+            ...dayExceptions.filter(exception => exception.kind === EXCEPTION_KINDS.EXTRA),
+        ];
+        const blocks = closures.map(closure => ({
+            start: zonedTimeToDate(dateKey, closure.start),
+            end: zonedTimeToDate(dateKey, closure.end),
+        }));
+        const starts = new Set();
+
+        for (const session of sessions) {
+            const sessionStart = zonedTimeToDate(dateKey, session.start);
+            const sessionEnd = zonedTimeToDate(dateKey, session.end);
 
             // Don't exceed end time
-            if (slotEnd.getHours() > end.hours || (slotEnd.getHours() === end.hours && slotEnd.getMinutes() > end.minutes)) {
-                break;
-            }
+            for (let startMs = sessionStart.getTime(); startMs + durationMs <= sessionEnd.getTime(); startMs += stepMs) {
+                const slotStart = new Date(startMs);
+                const slotEnd = new Date(startMs + durationMs);
 
-            // Skip past slots
-            if (slotStart > now) {
-                const startLabel = formatTimeLabel(currentHour, currentMinute);
-                const endLabel = formatTimeLabel(currentHour + 1, currentMinute);
-
-                slots.push({
-                    day: entry.day,
-                    date: slotStart.toISOString().split('T')[0],
-                    startTime: slotStart,
-                    endTime: slotEnd,
-                    label: `${entry.day} ${slotStart.toLocaleDateString('en-IN')} — ${startLabel} to ${endLabel}`,
-                });
+                // Skip past slots, slots during a partial closure and starts already offered by an overlapping session
+                if (slotStart <= now || starts.has(startMs)) continue;
+                if (blocks.some(block => block.start < slotEnd && block.end > slotStart)) continue;
+
+                starts.add(startMs);
+                slots.push(buildSlot(slotStart, slotEnd, type));
             }
+        }
+    }
+
+    return slots.sort((a, b) => a.startTime - b.startTime);
+}
 
-            currentHour++;
+/**
+ * Lists the closures in the booking horizon on days the doctor would otherwise see patients
+ * Used to explain gaps in availability replies.
+ *
+ * @param {Array<Object>} availability - Array from readAvailability()
+ * @param {Array<Object>} exceptions - Array from readExceptions()
+ * @param {Object} [options]
+ * @param {number} [options.days] - Horizon length in days (default BOOKING_HORIZON_DAYS)
+ * @returns {Array<Object>} - { day, date, start, end, reason, clinicWide }, soonest first
+ */
+export function getClosures(availability, exceptions, { days } = {}) {
+    const closures = [];
+
+    for (const dateKey of getHorizonDates(days)) {
+        const dayExceptions = exceptions.filter(exception => exception.date === dateKey);
+        const worksThatDay = availability.some(entry => entry.day === getWeekday(dateKey))
+            || dayExceptions.some(exception => exception.kind === EXCEPTION_KINDS.EXTRA);
+
+        if (!worksThatDay) continue;
+
+        for (const exception of dayExceptions) {
+            if (exception.kind !== EXCEPTION_KINDS.CLOSED) continue;
+
+            closures.push({
+                day: getWeekday(dateKey),
+                date: dateKey,
+                start: exception.start,
+                end: exception.end,
+                reason: exception.reason,
+                clinicWide: !exception.doctor,
+            });
         }
     }
 
-    return slots;
+    return closures;
+}
+
+/**
+ * Builds a slot object for a start and end time
+ * Also used to describe stored appointments in the same shape as generated slots.
+ * Day, date and label are in clinic time.
+ *
+ * @param {Date} startTime
+ * @param {Date} endTime
+ * @param {Object} [type] - Appointment type the slot is for
+ * @returns {Object} - { day, date, startTime, endTime, label, type, bufferMinutes }
+ */
+export function buildSlot(startTime, endTime, type) {
+    const start = getZonedParts(startTime);
+    const end = getZonedParts(endTime);
+
+    return {
+        day: start.weekday,
+        date: start.dateKey,
+        startTime,
+        endTime,
+        label: `${start.weekday} ${start.day}/${start.month}/${start.year} — ` +
+            `${formatTimeLabel(start.hours, start.minutes)} to ${formatTimeLabel(end.hours, end.minutes)}`,
+        type: type ? type.id : null,
+        bufferMinutes: type ? type.bufferMinutes : 0,
+    };
 }
 
 /**
@@ -167,8 +446,28 @@ function formatTimeLabel(hours, minutes) {
     return `${String(displayHours).padStart(2, '0')}:${String(minutes).padStart(2, '0')} ${period}`;
 }
 
+/**
+ * Gets the end of the time a slot blocks: the appointment plus its turnover buffer
+ * @param {Object} slot
+ * @returns {Date}
+ */
+export function getBlockedUntil(slot) {
+    return new Date(slot.endTime.getTime() + (slot.bufferMinutes || 0) * 60 * 1000);
+}
+
+/**
+ * Whether two slots (with their buffers) overlap
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function slotsOverlap(a, b) {
+    return a.startTime < getBlockedUntil(b) && getBlockedUntil(a) > b.startTime;
+}
+
 /**
  * Removes already booked slots by checking against calendar events
+ * A slot is taken when an event overlaps the appointment or its turnover buffer.
  * 
  * @param {Array<Object>} slots - Generated time slots
  * @param {Array<Object>} calendarEvents - Events from Google Calendar
@@ -176,68 +475,211 @@ function formatTimeLabel(hours, minutes) {
  */
 export function removeBookedSlots(slots, calendarEvents) {
     return slots.filter(slot => {
+        const blockedUntil = getBlockedUntil(slot);
+
         // Check if any calendar event overlaps this slot
         const isBooked = calendarEvents.some(event => {
             const eventStart = new Date(event.start);
             const eventEnd = new Date(event.end);
 
-            // Overlap: event starts before slot ends AND event ends after slot starts
-            return eventStart < slot.endTime && eventEnd > slot.startTime;
+            // Overlap: event starts before slot (and buffer) ends AND event ends after slot starts
+            return eventStart < blockedUntil && eventEnd > slot.startTime;
         });
 
         return !isBooked;
     });
 }
 
+/**
+ * Gets the Monday of the week a date falls in
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string} - YYYY-MM-DD
+ */
+function getWeekStart(dateKey) {
+    return addDays(dateKey, -((DAY_MAP[getWeekday(dateKey)] + 6) % 7));
+}
+
 /**
  * Formats available slots as a plain-text table for email reply
+ * The first AVAILABILITY_REPLY_DAYS days with free slots are listed in full; later
+ * days in the horizon are summarised per week so the reply stays readable.
  * 
- * @param {Array<Object>} slots - Available time slots
+ * Times are clinic time; with the sender's timezone, each slot also shows their local time.
+ * 
+ * @param {Array<Object>} slots - Available time slots, soonest first
  * @param {string} doctorName - Doctor name
+ * @param {Object} [options]
+ * @param {Object} [options.type] - Appointment type the slots are for (named in the heading)
+ * @param {Array<Object>} [options.closures] - From getClosures(), listed so gaps are explained
+ * @param {string} [options.timeZone] - Sender's timezone
  * @returns {string} - Formatted text table
  */
-export function formatAvailabilityTable(slots, doctorName) {
+export function formatAvailabilityTable(slots, doctorName, { type, closures = [], timeZone } = {}) {
+    const kind = type ? `${type.label} (${type.durationMinutes} min)` : 'Appointment';
+
     if (!slots || slots.length === 0) {
-        return `Sorry, ${doctorName} has no available slots for this week. Please check back next week or contact us for alternative arrangements.`;
+        const closed = closures.length > 0 ? `\n\n${formatClosures(closures, doctorName)}` : '';
+        return `Sorry, ${doctorName} has no available ${kind} slots in the next ${config.BOOKING_HORIZON_DAYS} days. Please check back later or contact us for alternative arrangements.${closed}`;
     }
 
-    let table = `Available Appointment Slots for ${doctorName} (This Week)\n`;
+    let table = `Available ${kind} Slots for ${doctorName} (Next ${config.BOOKING_HORIZON_DAYS} Days)\n`;
     table += '═'.repeat(60) + '\n\n';
 
-    // Group by day
-    const groupedByDay = {};
+    const showLocalTime = slots.some(slot => isOtherTimeZone(slot.startTime, timeZone));
+    if (showLocalTime) {
+        table += `Times are clinic time (${config.CLINIC_TIMEZONE}); your local time (${timeZone}) is in brackets.\n\n`;
+    }
+
+    // Group by date
+    const groupedByDate = {};
     for (const slot of slots) {
-        if (!groupedByDay[slot.day]) {
-            groupedByDay[slot.day] = [];
+        if (!groupedByDate[slot.date]) {
+            groupedByDate[slot.date] = [];
         }
-        groupedByDay[slot.day].push(slot);
+        groupedByDate[slot.date].push(slot);
     }
 
-    for (const [day, daySlots] of Object.entries(groupedByDay)) {
-        const dateStr = daySlots[0].date;
-        table += `📅 ${day} (${dateStr})\n`;
+    const dates = Object.keys(groupedByDate);
+    const listed = dates.slice(0, config.AVAILABILITY_REPLY_DAYS);
+    const summarised = dates.slice(config.AVAILABILITY_REPLY_DAYS);
+
+    for (const date of listed) {
+        const dateSlots = groupedByDate[date];
+        table += `📅 ${dateSlots[0].day} (${date})\n`;
         table += '─'.repeat(40) + '\n';
 
-        for (const slot of daySlots) {
-            const startLabel = formatTimeLabel(slot.startTime.getHours(), slot.startTime.getMinutes());
-            const endLabel = formatTimeLabel(slot.endTime.getHours(), slot.endTime.getMinutes());
-            table += `   🕐 ${startLabel} - ${endLabel}\n`;
+        for (const slot of dateSlots) {
+            const start = getZonedParts(slot.startTime);
+            const end = getZonedParts(slot.endTime);
+            const startLabel = formatTimeLabel(start.hours, start.minutes);
+            const endLabel = formatTimeLabel(end.hours, end.minutes);
+            const local = showLocalTime ? `  (${formatLocalTime(slot, timeZone, { withDate: false })})` : '';
+            table += `   🕐 ${startLabel} - ${endLabel}${local}\n`;
+        }
+
+        table += '\n';
+    }
+
+    // Later days: one line per week with the number of free slots and the days they fall on
+    if (summarised.length > 0) {
+        const weeks = {};
+        for (const date of summarised) {
+            const dateSlots = groupedByDate[date];
+            const week = getWeekStart(date);
+            weeks[week] = weeks[week] || { count: 0, days: [] };
+            weeks[week].count += dateSlots.length;
+            weeks[week].days.push(dateSlots[0].day.slice(0, 3));
         }
 
+        table += 'More availability:\n';
+        table += '─'.repeat(40) + '\n';
+        for (const [week, { count, days }] of Object.entries(weeks)) {
+            table += `   📆 Week of ${week}: ${count} slot(s) on ${days.join(', ')}\n`;
+        }
         table += '\n';
     }
 
+    if (closures.length > 0) {
+        table += formatClosures(closures, doctorName) + '\n';
+    }
+
     table += '═'.repeat(60) + '\n';
     table += 'To book an appointment, please reply with your preferred date and time.\n';
 
     return table;
 }
 
+/**
+ * Whether a timezone's clock differs from the clinic's at an instant
+ * @param {Date|string} time
+ * @param {string} [timeZone]
+ * @returns {boolean}
+ */
+function isOtherTimeZone(time, timeZone) {
+    if (!timeZone || !time) {
+        return false;
+    }
+    const instant = new Date(time);
+    return getOffsetMinutes(instant, timeZone) !== getOffsetMinutes(instant);
+}
+
+/**
+ * Formats a slot's times in another timezone
+ *
+ * @param {Object} slot - { date, startTime, endTime } (times may be ISO strings, as stored in the ledger)
+ * @param {string} timeZone
+ * @param {Object} [options]
+ * @param {boolean} [options.withDate=true] - Always name the day (otherwise only when it differs from the clinic's)
+ * @returns {string} - e.g. "Sunday 18/10/2026 08:30 PM to 09:00 PM"
+ */
+function formatLocalTime(slot, timeZone, { withDate = true } = {}) {
+    const start = getZonedParts(new Date(slot.startTime), timeZone);
+    const end = getZonedParts(new Date(slot.endTime), timeZone);
+    const day = withDate || start.dateKey !== slot.date ? `${start.weekday} ${start.day}/${start.month}/${start.year} ` : '';
+
+    return `${day}${formatTimeLabel(start.hours, start.minutes)} to ${formatTimeLabel(end.hours, end.minutes)}`;
+}
+
+/**
+ * Describes a slot in the sender's local time, for confirmations
+ *
+ * @param {Object} slot - { date, startTime, endTime } (times may be ISO strings)
+ * @param {string} [timeZone] - Sender's timezone
+ * @returns {string|null} - e.g. "Sunday 18/10/2026 08:30 PM to 09:00 PM (UTC-07:00)", null when there is no
+ *   timezone, the slot has no times (older records) or the sender's clock matches the clinic's
+ */
+export function formatSlotLocalTime(slot, timeZone) {
+    if (!isOtherTimeZone(slot.startTime, timeZone)) {
+        return null;
+    }
+    return `${formatLocalTime(slot, timeZone)} (${timeZone})`;
+}
+
+/**
+ * Formats closures as a plain-text list for email replies
+ * Consecutive all-day closures with the same reason are shown as one range (e.g. a leave week).
+ *
+ * @param {Array<Object>} closures - From getClosures()
+ * @param {string} doctorName - Doctor name
+ * @returns {string}
+ */
+function formatClosures(closures, doctorName) {
+    const timeLabel = time => (time.hours === 24 ? 'midnight' : formatTimeLabel(time.hours, time.minutes));
+
+    const merged = [];
+    for (const closure of closures) {
+        const previous = merged[merged.length - 1];
+        if (previous && !previous.start && !closure.start
+            && previous.reason === closure.reason && previous.clinicWide === closure.clinicWide) {
+            previous.last = closure;
+        } else {
+            merged.push({ ...closure, last: null });
+        }
+    }
+
+    let text = 'Closures:\n';
+    text += '─'.repeat(40) + '\n';
+
+    for (const closure of merged) {
+        const when = closure.last
+            ? `${closure.day} (${closure.date}) to ${closure.last.day} (${closure.last.date})`
+            : `${closure.day} (${closure.date})`;
+        const hours = closure.start ? ` ${timeLabel(closure.start)} - ${timeLabel(closure.end)}` : '';
+        const who = closure.clinicWide ? 'clinic closed' : `${doctorName} unavailable`;
+
+        text += `   🚫 ${when}${hours}: ${who}${closure.reason ? ` (${closure.reason})` : ''}\n`;
+    }
+
+    return text;
+}
+
 /**
  * Finds a matching available slot from a requested day/time
+ * A date matches that exact day anywhere in the horizon; a day name matches the
+ * soonest such day in the list (slots are sorted soonest first).
  * 
  * @param {Array<Object>} availableSlots - Available slots
- * @param {string} requestedDay - Day name (e.g., "Monday") or date string
+ * @param {string} requestedDay - Day name (e.g., "Monday") or YYYY-MM-DD date
  * @param {string} requestedTime - Time string (e.g., "10:00 AM")
  * @returns {Object|null} - Matching slot or null
  */
@@ -249,9 +691,10 @@ export function findMatchingSlot(availableSlots, requestedDay, requestedTime) {
         const dayMatch = slot.day.toLowerCase() === requestedDay.toLowerCase() ||
             slot.date === requestedDay;
 
-        // Match by start hour
-        const timeMatch = slot.startTime.getHours() === requestedParsed.hours &&
-            slot.startTime.getMinutes() === requestedParsed.minutes;
+        // Match by start time (clinic time)
+        const start = getZonedParts(slot.startTime);
+        const timeMatch = start.hours === requestedParsed.hours &&
+            start.minutes === requestedParsed.minutes;
 
         return dayMatch && timeMatch;
     }) || null;
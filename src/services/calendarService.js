@@ -1,17 +1,39 @@
+import crypto from 'crypto';
 import { google } from 'googleapis';
 import { config } from '../config/env.js';
+import { callDependency } from '../utils/resilience.js';
 
 /**
  * Google Calendar Service
- * Uses OAuth2 with stored refresh token for calendar access
+ * Uses OAuth2 with stored refresh token for calendar access.
+ * API calls are retried and circuit-broken as the "calendar" dependency (see utils/resilience.js).
  */
 
+/**
+ * Whether Calendar credentials are set
+ * @returns {boolean}
+ */
+export function isCalendarConfigured() {
+    return Boolean(config.GOOGLE_CLIENT_ID && config.GOOGLE_CLIENT_SECRET && config.GOOGLE_REFRESH_TOKEN);
+}
+
+/**
+ * Builds a stable event id from a key, so retrying an insert can't create the event twice
+ * (hex digits are valid Calendar event id characters)
+ *
+ * @param {string} key - Unique key for the booking, e.g. ledger key + slot
+ * @returns {string}
+ */
+export function buildEventId(key) {
+    return crypto.createHash('sha1').update(key).digest('hex');
+}
+
 /**
  * Creates an authenticated OAuth2 client using stored refresh token
  * @returns {google.auth.OAuth2} - Authenticated OAuth2 client
  */
 function getCalendarAuth() {
-    if (!config.GOOGLE_CLIENT_ID || !config.GOOGLE_CLIENT_SECRET || !config.GOOGLE_REFRESH_TOKEN) {
+    if (!isCalendarConfigured()) {
         throw new Error(
             'Google Calendar credentials not configured. ' +
             'Please set GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET, and GOOGLE_REFRESH_TOKEN in .env. ' +
@@ -36,25 +58,27 @@ function getCalendarAuth() {
  * 
  * @param {Date} startDate - Start of the date range
  * @param {Date} endDate - End of the date range
+ * @param {string} [calendarId] - Calendar to read (default GOOGLE_CALENDAR_ID)
  * @returns {Promise<Array<Object>>} - Array of calendar events
  */
-export async function getEventsForDateRange(startDate, endDate) {
+export async function getEventsForDateRange(startDate, endDate, calendarId) {
     try {
         const auth = getCalendarAuth();
         const calendar = google.calendar({ version: 'v3', auth });
 
-        const response = await calendar.events.list({
-            calendarId: config.GOOGLE_CALENDAR_ID || 'primary',
+        const response = await callDependency('calendar', () => calendar.events.list({
+            calendarId: calendarId || config.GOOGLE_CALENDAR_ID || 'primary',
             timeMin: startDate.toISOString(),
             timeMax: endDate.toISOString(),
             singleEvents: true,
             orderBy: 'startTime',
-        });
+        }));
 
         const events = response.data.items || [];
         console.log(`📅 Found ${events.length} calendar event(s) in date range`);
 
         return events.map(event => ({
+            id: event.id,
             summary: event.summary,
             start: event.start.dateTime || event.start.date,
             end: event.end.dateTime || event.end.date,
@@ -66,6 +90,88 @@ export async function getEventsForDateRange(startDate, endDate) {
     }
 }
 
+/**
+ * Deletes an event from Google Calendar
+ * An event that is already gone (404/410) counts as deleted, so a retried cancellation succeeds.
+ *
+ * @param {Object} eventDetails
+ * @param {string} eventDetails.eventId - Event to delete
+ * @param {string} [eventDetails.calendarId] - Calendar the event is on (default GOOGLE_CALENDAR_ID)
+ */
+export async function deleteEvent({ eventId, calendarId }) {
+    try {
+        const auth = getCalendarAuth();
+        const calendar = google.calendar({ version: 'v3', auth });
+
+        await callDependency('calendar', async () => {
+            try {
+                return await calendar.events.delete({
+                    calendarId: calendarId || config.GOOGLE_CALENDAR_ID || 'primary',
+                    eventId,
+                });
+            } catch (error) {
+                if ([404, 410].includes(Number(error.status ?? error.code))) {
+                    console.log(`ℹ️  Calendar event ${eventId} already deleted`);
+                    return null;
+                }
+                throw error;
+            }
+        });
+
+        console.log(`🗑️  Calendar event deleted: ${eventId}`);
+
+    } catch (error) {
+        console.error('❌ Error deleting calendar event:', error.message);
+        throw error;
+    }
+}
+
+/**
+ * Moves an existing event on Google Calendar to a new time
+ *
+ * @param {Object} eventDetails
+ * @param {string} eventDetails.eventId - Event to move
+ * @param {string} [eventDetails.calendarId] - Calendar the event is on (default GOOGLE_CALENDAR_ID)
+ * @param {Date} eventDetails.startTime - New start time
+ * @param {Date} eventDetails.endTime - New end time
+ * @returns {Promise<Object>} - Updated event data
+ */
+export async function moveEvent({ eventId, calendarId, startTime, endTime }) {
+    try {
+        const auth = getCalendarAuth();
+        const calendar = google.calendar({ version: 'v3', auth });
+
+        const response = await callDependency('calendar', () => calendar.events.patch({
+            calendarId: calendarId || config.GOOGLE_CALENDAR_ID || 'primary',
+            eventId,
+            requestBody: {
+                start: {
+                    dateTime: startTime.toISOString(),
+                    timeZone: config.CLINIC_TIMEZONE,
+                },
+                end: {
+                    dateTime: endTime.toISOString(),
+                    timeZone: config.CLINIC_TIMEZONE,
+                },
+            },
+        }));
+
+        console.log(`✅ Calendar event moved: ${response.data.summary} to ${response.data.start.dateTime}`);
+
+        return {
+            id: response.data.id,
+            summary: response.data.summary,
+            start: response.data.start.dateTime,
+            end: response.data.end.dateTime,
+            htmlLink: response.data.htmlLink,
+        };
+
+    } catch (error) {
+        console.error('❌ Error moving calendar event:', error.message);
+        throw error;
+    }
+}
+
 /**
  * Creates a new event on Google Calendar
  * 
@@ -74,29 +180,41 @@ export async function getEventsForDateRange(startDate, endDate) {
  * @param {string} eventDetails.description - Event description
  * @param {Date} eventDetails.startTime - Event start time
  * @param {Date} eventDetails.endTime - Event end time
+ * @param {string} [eventDetails.eventId] - Id from buildEventId(); makes the insert safe to retry
+ * @param {string} [eventDetails.calendarId] - Calendar to book on (default GOOGLE_CALENDAR_ID)
  * @returns {Promise<Object>} - Created event data
  */
-export async function createEvent({ summary, description, startTime, endTime }) {
+export async function createEvent({ summary, description, startTime, endTime, eventId, calendarId: targetCalendarId }) {
     try {
         const auth = getCalendarAuth();
         const calendar = google.calendar({ version: 'v3', auth });
+        const calendarId = targetCalendarId || config.GOOGLE_CALENDAR_ID || 'primary';
 
         const event = {
+            id: eventId,
             summary,
             description,
             start: {
                 dateTime: startTime.toISOString(),
-                timeZone: 'Asia/Kolkata',
+                timeZone: config.CLINIC_TIMEZONE,
             },
             end: {
                 dateTime: endTime.toISOString(),
-                timeZone: 'Asia/Kolkata',
+                timeZone: config.CLINIC_TIMEZONE,
             },
         };
 
-        const response = await calendar.events.insert({
-            calendarId: config.GOOGLE_CALENDAR_ID || 'primary',
-            requestBody: event,
+        const response = await callDependency('calendar', async () => {
+            try {
+                return await calendar.events.insert({ calendarId, requestBody: event });
+            } catch (error) {
+                // An earlier attempt went through before failing: the event already exists
+                if (eventId && Number(error.status ?? error.code) === 409) {
+                    console.log(`ℹ️  Calendar event ${eventId} already exists, reusing it`);
+                    return await calendar.events.get({ calendarId, eventId });
+                }
+                throw error;
+            }
         });
 
         console.log(`✅ Calendar event created: ${response.data.summary} at ${response.data.start.dateTime}`);
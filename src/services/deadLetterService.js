@@ -0,0 +1,75 @@
+import { getMailboxAccount } from '../config/mailboxes.js';
+import { processEmail } from './gmailReader.js';
+import { runMonitor } from './monitorRunner.js';
+import { getDeadLetter, updateDeadLetter, DEAD_LETTER_STATUSES, OUTCOMES } from '../db/repository.js';
+
+/**
+ * Dead Letter Service
+ * Replays messages that failed processing once the underlying issue is fixed.
+ * Messages with a stored source are processed again straight away (under the
+ * monitor lock, recorded as a 'replay' run); messages that failed before their
+ * source could be fetched are put back in line for the next inbox check.
+ */
+
+/**
+ * Replays one dead letter
+ *
+ * @param {Object} deadLetter - Dead letter from getDeadLetter()
+ * @returns {Promise<Object>} - { result: 'replayed' | 'requeued' | 'deferred' | 'failed', deadLetter, outcome?, error? }
+ */
+export async function replayDeadLetter(deadLetter) {
+    const { source } = getDeadLetter(deadLetter.id, { withSource: true });
+
+    if (!source) {
+        // Nothing to process offline; the next check fetches it from the mailbox again
+        updateDeadLetter(deadLetter.id, { status: DEAD_LETTER_STATUSES.RETRYING, attempts: 0 });
+        console.log(`🔁 Dead letter ${deadLetter.id} has no stored source, queued for the next inbox check`);
+        return { result: 'requeued', deadLetter: getDeadLetter(deadLetter.id) };
+    }
+
+    const account = getMailboxAccount(deadLetter.account);
+    if (!account) {
+        return {
+            result: 'failed',
+            deadLetter,
+            error: `Mailbox account "${deadLetter.account}" is no longer configured`
+        };
+    }
+
+    // A folder removed from the config since the failure is replayed through the auto pipeline
+    const folder = account.folders.find(f => f.path === deadLetter.folder) || { path: deadLetter.folder, pipeline: 'auto' };
+
+    let replay;
+    await runMonitor('replay', async () => {
+        try {
+            console.log(`🔁 Replaying dead letter ${deadLetter.id} (${deadLetter.account}/${deadLetter.folder} UID ${deadLetter.uid})`);
+            const emailData = await processEmail({ source }, account, folder);
+
+            if (emailData.outcome === OUTCOMES.DEFERRED) {
+                replay = { result: 'deferred', outcome: emailData.outcome };
+                return { success: true, count: 0, errors: 0, deferred: 1 };
+            }
+
+            // A pipeline that reports failure instead of throwing is still a failed replay
+            if (emailData.outcome === OUTCOMES.FAILED) {
+                const error = new Error('Processing finished with outcome "failed"');
+                error.stage = 'ai_pipeline';
+                throw error;
+            }
+
+            updateDeadLetter(deadLetter.id, { status: DEAD_LETTER_STATUSES.REPLAYED, replayedAt: new Date().toISOString() });
+            replay = { result: 'replayed', outcome: emailData.outcome };
+            return { success: true, count: 1, errors: 0 };
+
+        } catch (error) {
+            updateDeadLetter(deadLetter.id, {
+                failure: { stage: error.stage || 'process', error: error.message, stack: error.stack }
+            });
+            replay = { result: 'failed', error: error.message };
+            return { success: true, count: 0, errors: 1, error: error.message };
+        }
+    }, { wait: true });
+
+    console.log(`🔁 Replay of dead letter ${deadLetter.id}: ${replay.result}`);
+    return { ...replay, deadLetter: getDeadLetter(deadLetter.id) };
+}
@@ -4,16 +4,30 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { config } from '../config/env.js';
+import { getMailboxAccounts } from '../config/mailboxes.js';
 import { logEmailToCSV } from '../utils/csvLogger.js';
-import { classifyEmail, extractReferralData, classifyEmailType } from './aiService.js';
-import { logReferralToCSV } from '../utils/referralLogger.js';
+import { triageEmail, extractReferralData, isReferralFormPage } from './aiService.js';
+import { prepareAttachments } from './attachmentPreprocessor.js';
+import { commitReferral } from './referralService.js';
+import { assessExtraction, queueReferralForReview } from './referralReviewService.js';
 import { handleAppointmentEmail } from './appointmentHandler.js';
+import { isAiBudgetExceeded } from './aiUsage.js';
+import { STAGES, getLedgerKey, runStage } from '../utils/processingLedger.js';
+import { toReferralRecord } from '../utils/referralNormalizer.js';
+import { validateReferral } from '../utils/referralValidator.js';
+import { checkTriagePolicy, checkReferralPolicy } from '../utils/aiPolicy.js';
+import { isDependencyUnavailable } from '../utils/resilience.js';
+import { getTimeZoneFromDateHeader } from '../utils/clinicTime.js';
+import {
+    saveEmail, setEmailClassification, setEmailOutcome, OUTCOMES,
+    findDeadLetter, recordDeadLetter, updateDeadLetter, DEAD_LETTER_STATUSES,
+} from '../db/repository.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Define attachments storage path
-const ATTACHMENTS_DIR = path.join(__dirname, '../../storage/attachments');
+const ATTACHMENTS_DIR = path.join(config.STORAGE_DIR || path.join(__dirname, '../../storage'), 'attachments');
 
 /**
  * Ensures the attachments directory exists
@@ -51,6 +65,26 @@ function extractThreadId(headers) {
     return Date.now().toString();
 }
 
+/**
+ * Collects the Message-IDs an email replies to (In-Reply-To and References)
+ * @param {Object} parsed - Parsed email from mailparser
+ * @returns {Array<string>}
+ */
+function extractReferences(parsed) {
+    const references = [].concat(parsed.inReplyTo || [], parsed.references || []);
+    return [...new Set(references.flatMap(value => String(value).match(/<[^>]+>/g) || []))];
+}
+
+/**
+ * Reads the sender's UTC offset from the raw Date header (mailparser's parsed date drops it)
+ * @param {Object} parsed - Parsed email from mailparser
+ * @returns {string|null} - e.g. "UTC+01:00"
+ */
+function extractSenderTimeZone(parsed) {
+    const header = (parsed.headerLines || []).find(line => line.key === 'date');
+    return header ? getTimeZoneFromDateHeader(header.line.replace(/^date:\s*/i, '')) : null;
+}
+
 /**
  * Saves an email attachment to disk
  * @param {Object} attachment - Attachment object from mailparser
@@ -79,10 +113,18 @@ function saveAttachment(attachment, threadId) {
 
 /**
  * Processes a single email message
- * @param {Object} message - Email message from IMAP
- * @returns {Promise<Object>} - Processed email data
+ * Errors are thrown with error.stage (where it failed) and, once parsed,
+ * error.emailData, for the dead-letter record.
+ *
+ * @param {Object} message - Email message from IMAP (only source is used)
+ * @param {Object} account - Mailbox account the message was read from
+ * @param {Object} folder - Folder ({ path, pipeline }) the message was read from
+ * @returns {Promise<Object>} - Processed email data, with the processing outcome
  */
-async function processEmail(message) {
+export async function processEmail(message, account, folder) {
+    let stage = 'parse';
+    let emailData = null;
+
     try {
         // Parse the email using mailparser
         const parsed = await simpleParser(message.source);
@@ -103,7 +145,9 @@ async function processEmail(message) {
         }
 
         // Process attachments
+        stage = 'save_attachments';
         const savedAttachments = [];
+        const attachmentRecords = [];
         if (parsed.attachments && parsed.attachments.length > 0) {
             console.log(`📎 Found ${parsed.attachments.length} attachment(s)`);
 
@@ -111,246 +155,585 @@ async function processEmail(message) {
                 const savedFilename = saveAttachment(attachment, threadId);
                 if (savedFilename) {
                     savedAttachments.push(savedFilename);
+                    attachmentRecords.push({
+                        filename: savedFilename,
+                        originalFilename: attachment.filename,
+                        contentType: attachment.contentType,
+                        sizeBytes: attachment.size,
+                    });
                 }
             }
         }
 
         // Prepare email data
-        const emailData = {
+        emailData = {
             date: parsed.date ? parsed.date.toISOString() : new Date().toISOString(),
             from: parsed.from ? parsed.from.text : 'Unknown',
             subject: parsed.subject || 'No Subject',
             threadId: threadId,
             messageId: messageId, // ✅ Added messageId for reply support
+            references: extractReferences(parsed),
+            senderTimeZone: extractSenderTimeZone(parsed),
             body: body,
-            attachments: savedAttachments
+            attachments: savedAttachments,
+            account: account.id,
+            folder: folder.path
         };
 
-        // Log to CSV
-        await logEmailToCSV(emailData);
+        const ledgerKey = getLedgerKey(emailData);
+
+        // Store the email (once per Message-ID, even if the email is processed again)
+        stage = 'store';
+        await runStage(ledgerKey, STAGES.LOGGED, async () => {
+            const emailId = saveEmail(emailData, {
+                messageKey: ledgerKey,
+                fullBody: parsed.text || parsed.textAsHtml || '',
+                attachments: attachmentRecords,
+            });
+
+            if (config.CSV_EXPORT_ENABLED) {
+                await logEmailToCSV(emailData);
+            }
+
+            return { emailId };
+        });
 
         // ✅ AI PROCESSING PIPELINE - Classify and route email
-        await processEmailWithAI(emailData);
+        stage = 'ai_pipeline';
+        emailData.outcome = await processEmailWithAI(emailData, folder.pipeline);
 
         return emailData;
 
     } catch (error) {
         console.error('❌ Error processing email:', error.message);
+        error.stage = error.stage || stage;
+        error.emailData = emailData;
         throw error;
     }
 }
 
 /**
  * AI Processing Dispatcher
- * Classifies email type and routes to appropriate handler
+ * Triages the email in one AI call, routes it to the appropriate handler and
+ * records the outcome. Folders configured with a fixed pipeline ignore the
+ * triaged type but still use its intent, slots and referral likelihood.
+ * Emails that break the AI policy (suspected prompt injection, too many slots)
+ * are held for manual review; referrals with attachments go to the review queue.
+ * Once the monthly AI budget is used up, emails skip AI and are held for manual review.
+ * When a dependency (LLM provider, Calendar, SMTP) is down the email is deferred:
+ * completed ledger stages are kept and the rest is retried on a later check.
+ * Any other failure is recorded as the 'failed' outcome and thrown, so the email
+ * stays unseen and goes to the dead-letter store.
  * 
  * @param {Object} emailData - Processed email data
+ * @param {string} [pipeline='auto'] - 'auto' | 'referral' | 'appointment'
+ * @returns {Promise<string>} - Processing outcome (one of OUTCOMES)
+ * @throws {Error} - When processing fails for any reason other than a dependency being down
  */
-async function processEmailWithAI(emailData) {
+async function processEmailWithAI(emailData, pipeline = 'auto') {
+    const ledgerKey = getLedgerKey(emailData);
+    let outcome = OUTCOMES.FAILED;
+
     try {
         console.log('\n🤖 Starting AI email processing pipeline...');
 
-        // Step 1: Classify email type
-        const emailType = await classifyEmailType(emailData.subject, emailData.body);
+        if (isAiBudgetExceeded()) {
+            console.log(`💸 Monthly AI budget of $${config.AI_MONTHLY_BUDGET_USD} reached, email held for manual review\n`);
+            outcome = OUTCOMES.MANUAL_REVIEW;
+            return outcome;
+        }
+
+        // Step 1: Triage type, intent, slots and referral likelihood (reuses the stored result when reprocessing)
+        const triage = await runStage(ledgerKey, STAGES.CLASSIFIED,
+            () => triageEmail(emailData.subject, emailData.body, ledgerKey),
+            { key: 'triage' }
+        );
+
+        // Step 2: Nothing the triage asked for is acted on when it breaks policy
+        const violations = checkTriagePolicy(triage);
+        const routedToReferral = pipeline === 'referral' || (pipeline === 'auto' && triage.type !== 'APPOINTMENT');
+        const hasAttachments = emailData.attachments && emailData.attachments.length > 0;
+
+        if (violations.length > 0) {
+            console.log(`🛡️  AI policy: ${violations.join('; ')}`);
+
+            if (!routedToReferral || !hasAttachments) {
+                setEmailClassification(ledgerKey, pipeline === 'auto' ? triage.type : pipeline.toUpperCase());
+                console.log('📝 Email held for manual review\n');
+                outcome = OUTCOMES.MANUAL_REVIEW;
+                return outcome;
+            }
+        }
 
-        switch (emailType) {
+        if (pipeline === 'referral') {
+            console.log(`📋 Folder ${emailData.folder} is referral-only, routing to referral processing pipeline...`);
+            setEmailClassification(ledgerKey, 'REFERRAL');
+            outcome = await processReferralWithAI(emailData, triage, violations);
+            return outcome;
+        }
+
+        if (pipeline === 'appointment') {
+            console.log(`📅 Folder ${emailData.folder} is appointment-only, routing to appointment processing pipeline...`);
+            setEmailClassification(ledgerKey, 'APPOINTMENT');
+            outcome = await handleAppointmentEmail(emailData, triage);
+            return outcome;
+        }
+
+        setEmailClassification(ledgerKey, triage.type);
+
+        switch (triage.type) {
             case 'REFERRAL':
                 console.log('📋 Routing to referral processing pipeline...');
-                await processReferralWithAI(emailData);
+                outcome = await processReferralWithAI(emailData, triage, violations);
                 break;
 
             case 'APPOINTMENT':
                 console.log('📅 Routing to appointment processing pipeline...');
-                await handleAppointmentEmail(emailData);
+                outcome = await handleAppointmentEmail(emailData, triage);
                 break;
 
             case 'UNKNOWN':
             default:
                 console.log('⏭️  Email classified as UNKNOWN, routing to referral processing pipeline...');
-                await processReferralWithAI(emailData);
+                outcome = await processReferralWithAI(emailData, triage, violations);
                 break;
         }
 
     } catch (error) {
-        // Graceful failure - don't break email processing
-        console.error('⚠️  AI email processing failed (non-critical):', error.message);
-        console.log('📧 Email processing will continue normally\n');
+        if (isDependencyUnavailable(error)) {
+            console.log(`⏸️  ${error.message}; email deferred and left unseen for a later retry\n`);
+            outcome = OUTCOMES.DEFERRED;
+            return outcome;
+        }
+
+        console.error('⚠️  AI email processing failed:', error.message);
+        throw error;
+    } finally {
+        setEmailOutcome(ledgerKey, outcome);
     }
+
+    return outcome;
 }
 
 /**
  * AI Processing Pipeline for Dental Referral Detection
- * Implements 5-step validation and extraction process
+ * Implements 6-step validation and extraction process
  * 
  * @param {Object} emailData - Processed email data
+ * @param {Object} triage - Result of triageEmail
+ * @param {Array<string>} [violations] - AI policy violations found in the email; force review
+ * @returns {Promise<string>} - Processing outcome (one of OUTCOMES)
+ * @throws {Error} - When a step fails (error.stage is 'referral_pipeline' unless a dependency was down)
  */
-async function processReferralWithAI(emailData) {
+async function processReferralWithAI(emailData, triage, violations = []) {
     try {
         console.log('==> Starting attachment check referral processing pipeline...');
 
         // STEP 1: Check if email has attachments
         if (!emailData.attachments || emailData.attachments.length === 0) {
             console.log('⏭️  Step 1: No attachments found, skipping AI processing');
-            return;
+            return OUTCOMES.SKIPPED;
         }
         console.log(`✅ Step 1: Found ${emailData.attachments.length} attachment(s)`);
 
-        // STEP 2: Classify email using AI (subject + body)
-        const isDentalReferral = await classifyEmail(emailData.subject, emailData.body);
-        if (!isDentalReferral) {
-            console.log('⏭️  Step 2: Email not classified as dental referral, skipping');
-            return;
+        // STEP 2: Check the triaged referral likelihood (subject + body)
+        if (triage.referralLikelihood < config.TRIAGE_REFERRAL_THRESHOLD) {
+            console.log(`⏭️  Step 2: Email not classified as dental referral (likelihood ${triage.referralLikelihood}), skipping`);
+            return violations.length > 0 ? OUTCOMES.MANUAL_REVIEW : OUTCOMES.SKIPPED;
         }
-        console.log('✅ Step 2: Email classified as dental referral');
+        console.log(`✅ Step 2: Email classified as dental referral (likelihood ${triage.referralLikelihood})`);
+
+        // STEP 3 - 6: Prepare attachments, extract and validate referral data, then store it (or queue it for review)
+        // Recorded as one ledger stage; a crash after the referral (or review) is stored but before the stage
+        // completes is safe too, as both are stored once per Message-ID
+        const ledgerKey = getLedgerKey(emailData);
+        const stored = await runStage(ledgerKey, STAGES.REFERRAL_EXTRACTED, async () => {
+            const referralBase = {
+                messageId: ledgerKey,
+                threadId: emailData.threadId,
+                from: emailData.from,
+                account: emailData.account,
+                folder: emailData.folder
+            };
 
-        // STEP 3: Check attachment size limit
-        const totalSizeMB = calculateAttachmentSize(emailData.attachments);
-        const maxSizeMB = config.MAX_AI_ATTACHMENT_SIZE_MB;
+            // STEP 3: Bring oversized attachments under the AI size limit (downsample images, split PDFs)
+            const prepared = await prepareAttachments(emailData.attachments, ATTACHMENTS_DIR);
+            const { selected: candidates, screenedOut } = await selectFormPages(prepared.files, ledgerKey);
+            const manualIssues = [
+                ...violations.map(reason => ({ field: null, reason })),
+                ...prepared.failed.map(f => ({
+                    field: null,
+                    reason: `attachment ${f.filename} needs manual handling: ${f.reason}`
+                })),
+            ];
+
+            // Screening can be wrong: a split attachment with no form page left is checked by a human, not dropped
+            if (candidates.length === 0) {
+                for (const [source, pages] of Object.entries(screenedOut)) {
+                    manualIssues.push({
+                        field: null,
+                        reason: `attachment ${source} needs manual handling: none of its ${pages.length} page(s) looked like a referral form`
+                    });
+                }
+            }
+            console.log(`✅ Step 3: ${candidates.length} attachment(s) ready for AI, ${prepared.failed.length} need manual handling`);
 
-        if (totalSizeMB > maxSizeMB) {
-            console.log(`⏭️  Step 3: Attachments too large (${totalSizeMB.toFixed(2)}MB > ${maxSizeMB}MB), skipping AI processing`);
-            return;
-        }
-        console.log(`✅ Step 3: Attachment size OK (${totalSizeMB.toFixed(2)}MB <= ${maxSizeMB}MB)`);
+            // STEP 4: Send every candidate to AI for document understanding and merge the results
+            const { extraction, failed } = candidates.length > 0
+                ? await extractReferralData(candidates, ATTACHMENTS_DIR, ledgerKey)
+                : { extraction: null, failed: [] };
 
-        // STEP 4: Send attachment to AI for document understanding
-        const extractedData = await extractReferralData(emailData.attachments, ATTACHMENTS_DIR);
+            // An attachment the model couldn't read may hold the referral (or part of it)
+            for (const f of failed) {
+                manualIssues.push({ field: null, reason: `attachment ${f.filename} needs manual handling: extraction failed (${f.reason})` });
+            }
 
-        if (!extractedData) {
-            console.log('⏭️  Step 4: No referral data extracted (not a referral form or extraction failed)');
-            return;
-        }
-        console.log('✅ Step 4: Referral data extracted successfully---------------------------------------');
-
-        // STEP 5: Save to referrals.csv
-        await logReferralToCSV({
-            messageId: emailData.messageId,
-            threadId: emailData.threadId,
-            from: emailData.from,
-            extractedData: extractedData
+            if (!extraction) {
+                if (manualIssues.length === 0) {
+                    console.log('⏭️  Step 4: No referral data extracted (no attachment is a referral form)');
+                    return null;
+                }
+
+                // Attachments we couldn't read may still be a referral: hand them to a human instead of discarding
+                const reviewId = queueReferralForReview({ ...referralBase, extractedData: toReferralRecord({}) }, {}, manualIssues);
+                return { reviewId };
+            }
+            console.log('✅ Step 4: Referral data extracted successfully---------------------------------------');
+
+            // Values that aren't text, or text that tries to instruct the model, never reach the store unreviewed
+            const policy = checkReferralPolicy(extraction.data);
+            if (policy.issues.length > 0) {
+                console.log(`🛡️  AI policy: ${policy.issues.map(i => `${i.field} - ${i.reason}`).join('; ')}`);
+            }
+
+            const referral = {
+                ...referralBase,
+                extractedData: policy.data,
+                fieldSources: extraction.fieldSources,
+                conflicts: extraction.conflicts
+            };
+
+            // STEP 5: Check phone numbers, dates, tooth codes and procedures, fixing OCR slips where possible
+            const validation = validateReferral(policy.data);
+            if (validation.corrections.length > 0) {
+                console.log(`🔧 Step 5: Auto-fixed ${validation.corrections.map(c => c.field).join(', ')}`);
+            }
+
+            // STEP 6: Low-confidence, conflicting or invalid extractions wait for a human instead of being committed
+            const issues = [
+                ...manualIssues,
+                ...policy.issues,
+                ...assessExtraction(validation.data, extraction.fieldConfidence, extraction.conflicts, validation.invalid)
+            ];
+            if (issues.length > 0) {
+                const reviewId = queueReferralForReview(referral, extraction.fieldConfidence, issues, validation);
+                return { reviewId };
+            }
+
+            const referralId = await commitReferral(referral, validation);
+            console.log('✅ Step 6: Referral committed');
+
+            return { referralId };
         });
-        console.log('✅ Step 5: Referral logged to CSV');
+
+        if (!stored) {
+            return OUTCOMES.SKIPPED;
+        }
+
+        if (stored.reviewId) {
+            console.log('📝 AI referral processing completed, awaiting human review\n');
+            return OUTCOMES.REFERRAL_IN_REVIEW;
+        }
 
         console.log('🎉 AI referral processing completed successfully!\n');
+        return OUTCOMES.REFERRAL_STORED;
 
     } catch (error) {
-        // Graceful failure - don't break email processing
-        console.error('⚠️  AI processing failed (non-critical):', error.message);
-        console.log('📧 Email processing will continue normally\n');
+        if (!isDependencyUnavailable(error)) {
+            console.error('⚠️  AI referral processing failed:', error.message);
+            error.stage = error.stage || 'referral_pipeline';
+        }
+        throw error;
     }
 }
 
 /**
- * Calculates total size of attachments in MB
- * @param {Array<string>} attachmentFilenames - Array of attachment filenames
- * @returns {number} - Total size in MB
+ * Drops pages split from oversized PDFs that don't look like a referral form,
+ * so X-ray and report pages never reach full extraction
+ *
+ * @param {Array<Object>} files - Prepared files from prepareAttachments()
+ * @param {string} messageId - Email Message-ID (for the AI response cache)
+ * @returns {Promise<Object>} - { selected: filenames to extract from, screenedOut: source filename → dropped page numbers }
  */
-function calculateAttachmentSize(attachmentFilenames) {
-    let totalBytes = 0;
+async function selectFormPages(files, messageId) {
+    const selected = [];
+    const screenedOut = {};
+
+    for (const file of files) {
+        if (file.page && !(await isReferralFormPage(file.filename, ATTACHMENTS_DIR, messageId))) {
+            console.log(`⏭️  Page ${file.page} of ${file.source} doesn't look like a referral form, skipping`);
+            screenedOut[file.source] = [...(screenedOut[file.source] || []), file.page];
+            continue;
+        }
+        selected.push(file.filename);
+    }
 
-    for (const filename of attachmentFilenames) {
-        const filepath = path.join(ATTACHMENTS_DIR, filename);
+    return { selected, screenedOut };
+}
+
+/**
+ * Creates an IMAP client for a mailbox account
+ * 
+ * @param {Object} account - Mailbox account from getMailboxAccounts()
+ * @param {Object} [options] - Extra ImapFlow options (e.g. maxIdleTime)
+ * @returns {ImapFlow} - Unconnected IMAP client
+ */
+export function createImapClient(account, options = {}) {
+    return new ImapFlow({
+        host: account.imapHost,
+        port: account.imapPort,
+        secure: true,
+        auth: {
+            user: account.user,
+            pass: account.password
+        },
+        logger: false, // Disable verbose logging
+        ...options
+    });
+}
+
+/**
+ * Processes every unseen email in the currently opened mailbox
+ * Each email is marked as seen only after it has been processed successfully;
+ * deferred emails (a dependency was down) stay unseen so the next check retries them.
+ * Failures are recorded in the dead-letter store; a message that fails
+ * DEAD_LETTER_MAX_ATTEMPTS times is skipped until it is replayed.
+ * 
+ * @param {ImapFlow} client - Connected IMAP client with the folder open
+ * @param {Object} account - Mailbox account the client is connected to
+ * @param {Object} folder - Open folder ({ path, pipeline })
+ * @returns {Promise<Object>} - { successCount, errorCount, deferredCount, emails }
+ */
+export async function processUnseenMessages(client, account, folder) {
+    // Search for UNSEEN emails
+    const unseenMessages = await client.search({ seen: false }, { uid: true });
+
+    if (!unseenMessages || unseenMessages.length === 0) {
+        console.log(`📭 No new unseen emails found in ${account.id}/${folder.path}`);
+        return { successCount: 0, errorCount: 0, deferredCount: 0, emails: [] };
+    }
+
+    console.log(`📧 Found ${unseenMessages.length} unseen email(s) in ${account.id}/${folder.path}`);
+
+    const processedEmails = [];
+    let successCount = 0;
+    let errorCount = 0;
+    let deferredCount = 0;
+    const uidValidity = client.mailbox?.uidValidity ? String(client.mailbox.uidValidity) : '';
+
+    // Process each unseen email
+    for (const uid of unseenMessages) {
+        const messageRef = { account: account.id, folder: folder.path, uidValidity, uid };
+        const deadLetter = findDeadLetter(messageRef);
+
+        if (deadLetter && deadLetter.status === DEAD_LETTER_STATUSES.DEAD) {
+            console.log(`🪦 Skipping email UID ${uid}: failed ${deadLetter.attempts} time(s), see dead letter ${deadLetter.id}`);
+            continue;
+        }
 
-        if (fs.existsSync(filepath)) {
-            const stats = fs.statSync(filepath);
-            totalBytes += stats.size;
+        let message = null;
+        let emailData = null;
+
+        try {
+            if (deadLetter && deadLetter.status === DEAD_LETTER_STATUSES.REPLAYED) {
+                // Already processed by a replay; only the seen flag is left to set
+                await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+                console.log(`✅ Email UID ${uid} was replayed from dead letter ${deadLetter.id}, marked as seen`);
+                continue;
+            }
+
+            // Fetch email with full content
+            message = await client.fetchOne(uid, {
+                source: true,
+                flags: true
+            }, { uid: true });
+
+            // Process the email
+            emailData = await processEmail(message, account, folder);
+            processedEmails.push(emailData);
+
+            if (emailData.outcome === OUTCOMES.DEFERRED) {
+                deferredCount++;
+                continue;
+            }
+            successCount++;
+
+            // Mark as seen so it won't be fetched again
+            await client.messageFlagsAdd(uid, ['\\Seen'], { uid: true });
+
+            if (deadLetter) {
+                updateDeadLetter(deadLetter.id, { status: DEAD_LETTER_STATUSES.RESOLVED });
+                console.log(`✅ Dead letter ${deadLetter.id} resolved on attempt ${deadLetter.attempts + 1}`);
+            }
+
+        } catch (emailError) {
+            console.error(`❌ Failed to process email UID ${uid}:`, emailError.message);
+            errorCount++;
+            recordFailedMessage(messageRef, message, emailData || emailError.emailData, emailError);
+            // Continue processing next email instead of crashing
         }
     }
 
-    return totalBytes / (1024 * 1024); // Convert to MB
+    console.log(`✅ Successfully processed ${successCount} email(s)`);
+    if (errorCount > 0) {
+        console.log(`⚠️  Failed to process ${errorCount} email(s)`);
+    }
+    if (deferredCount > 0) {
+        console.log(`⏸️  Deferred ${deferredCount} email(s) until a dependency recovers`);
+    }
+
+    return { successCount, errorCount, deferredCount, emails: processedEmails };
 }
 
 /**
- * Connects to Gmail via IMAP and fetches unseen emails
- * Processes each email, downloads attachments, and logs to CSV
+ * Stores a processing failure in the dead-letter store
+ * Never throws; a storage failure must not stop the rest of the folder being processed
+ *
+ * @param {Object} messageRef - { account, folder, uidValidity, uid }
+ * @param {Object|null} message - Fetched message (null when the fetch itself failed)
+ * @param {Object|null} emailData - Parsed email data, when parsing got that far
+ * @param {Error} error - Error thrown while processing
+ */
+function recordFailedMessage(messageRef, message, emailData, error) {
+    try {
+        const deadLetter = recordDeadLetter({
+            ...messageRef,
+            messageId: emailData ? getLedgerKey(emailData) : null,
+            from: emailData?.from,
+            subject: emailData?.subject,
+            source: message?.source,
+            stage: error.stage || (message ? 'mark_seen' : 'fetch'),
+            error: error.message,
+            stack: error.stack,
+        }, config.DEAD_LETTER_MAX_ATTEMPTS);
+
+        if (deadLetter.status === DEAD_LETTER_STATUSES.DEAD) {
+            console.log(`🪦 Email UID ${messageRef.uid} failed ${deadLetter.attempts} time(s), moved to dead letter ${deadLetter.id}; replay it with POST /api/dead-letters/${deadLetter.id}/replay`);
+        } else {
+            console.log(`📝 Recorded failure ${deadLetter.attempts}/${config.DEAD_LETTER_MAX_ATTEMPTS} for email UID ${messageRef.uid} (dead letter ${deadLetter.id})`);
+        }
+    } catch (recordError) {
+        console.error('⚠️  Could not record dead letter:', recordError.message);
+    }
+}
+
+/**
+ * Connects to one mailbox account and processes unseen emails in each of its folders
  * 
- * @returns {Promise<Object>} - Result object with count and processed emails
+ * @param {Object} account - Mailbox account from getMailboxAccounts()
+ * @returns {Promise<Array<Object>>} - One result per folder: { account, folder, count, errors, deferred, emails, error }
  */
-export async function fetchUnseenEmails() {
+async function fetchAccountEmails(account) {
     let client;
+    const results = [];
 
     try {
-        // Validate configuration
-        if (!config.EMAIL_USER || !config.EMAIL_APP_PASSWORD) {
-            throw new Error('Gmail credentials not configured. Please set EMAIL_USER and EMAIL_APP_PASSWORD in .env file');
-        }
-
-        console.log('📬 Connecting to Gmail IMAP...');
+        console.log(`📬 Connecting to IMAP as ${account.user}...`);
 
         // Create IMAP client
-        client = new ImapFlow({
-            host: config.IMAP_HOST,
-            port: config.IMAP_PORT,
-            secure: true,
-            auth: {
-                user: config.EMAIL_USER,
-                pass: config.EMAIL_APP_PASSWORD
-            },
-            logger: false // Disable verbose logging
-        });
+        client = createImapClient(account);
 
         // Connect to IMAP server
         await client.connect();
-        console.log('✅ Connected to Gmail IMAP');
+        console.log(`✅ Connected to IMAP (${account.id})`);
 
-        // Open INBOX mailbox
-        await client.mailboxOpen('INBOX');
-        console.log('📂 Opened INBOX');
+        for (const folder of account.folders) {
+            try {
+                await client.mailboxOpen(folder.path);
+                console.log(`📂 Opened ${folder.path} (${folder.pipeline} pipeline)`);
 
-        // Search for UNSEEN emails
-        const unseenMessages = await client.search({ seen: false });
+                const { successCount, errorCount, deferredCount, emails } = await processUnseenMessages(client, account, folder);
+                results.push({
+                    account: account.id, folder: folder.path, count: successCount, errors: errorCount, deferred: deferredCount, emails
+                });
 
-        if (!unseenMessages || unseenMessages.length === 0) {
-            console.log('📭 No new unseen emails found');
-            return {
-                success: true,
-                count: 0,
-                emails: [],
-                message: 'No new emails to process'
-            };
+            } catch (folderError) {
+                console.error(`❌ Error checking ${account.id}/${folder.path}:`, folderError.message);
+                results.push({ account: account.id, folder: folder.path, count: 0, errors: 0, deferred: 0, emails: [], error: folderError.message });
+            }
         }
 
-        console.log(`📧 Found ${unseenMessages.length} unseen email(s)`);
-
-        const processedEmails = [];
-        let successCount = 0;
-        let errorCount = 0;
+    } catch (error) {
+        console.error(`❌ Error connecting to ${account.id}:`, error.message);
+        for (const folder of account.folders) {
+            results.push({ account: account.id, folder: folder.path, count: 0, errors: 0, deferred: 0, emails: [], error: error.message });
+        }
 
-        // Process each unseen email
-        for (const uid of unseenMessages) {
+    } finally {
+        // Always close the connection
+        if (client) {
             try {
-                // Fetch email with full content
-                const message = await client.fetchOne(uid, {
-                    source: true,
-                    flags: true
-                });
+                await client.logout();
+                console.log(`🔌 Disconnected from IMAP (${account.id})`);
+            } catch (logoutError) {
+                console.error('Error during logout:', logoutError.message);
+            }
+        }
+    }
 
-                // Process the email
-                const emailData = await processEmail(message);
-                processedEmails.push(emailData);
-                successCount++;
+    return results;
+}
 
-                // Mark as seen so it won't be fetched again
-                await client.messageFlagsAdd(uid, ['\\Seen']);
+/**
+ * Connects to every configured mailbox via IMAP and fetches unseen emails
+ * Processes each email, downloads attachments, and logs to CSV
+ * 
+ * @returns {Promise<Object>} - Result object with count and processed emails
+ */
+export async function fetchUnseenEmails() {
+    try {
+        const accounts = getMailboxAccounts();
 
-            } catch (emailError) {
-                console.error(`❌ Failed to process email UID ${uid}:`, emailError.message);
-                errorCount++;
-                // Continue processing next email instead of crashing
-            }
+        if (accounts.length === 0) {
+            throw new Error('Gmail credentials not configured. Please set EMAIL_USER and EMAIL_APP_PASSWORD in .env file or add accounts to mailboxes.json');
         }
 
-        console.log(`✅ Successfully processed ${successCount} email(s)`);
-        if (errorCount > 0) {
-            console.log(`⚠️  Failed to process ${errorCount} email(s)`);
+        const mailboxes = [];
+        for (const account of accounts) {
+            mailboxes.push(...await fetchAccountEmails(account));
+        }
+
+        const count = mailboxes.reduce((sum, mailbox) => sum + mailbox.count, 0);
+        const errors = mailboxes.reduce((sum, mailbox) => sum + mailbox.errors, 0);
+        const deferred = mailboxes.reduce((sum, mailbox) => sum + mailbox.deferred, 0);
+        const emails = mailboxes.flatMap(mailbox => mailbox.emails);
+        const failed = mailboxes.filter(mailbox => mailbox.error);
+        const failureSummary = failed.map(mailbox => `${mailbox.account}/${mailbox.folder}: ${mailbox.error}`).join('; ');
+        const summary = mailboxes.map(({ emails, ...mailbox }) => mailbox);
+
+        // Only a failure when no mailbox could be checked at all
+        if (failed.length === mailboxes.length) {
+            return {
+                success: false,
+                count: 0,
+                emails: [],
+                mailboxes: summary,
+                error: failureSummary,
+                message: 'Failed to fetch emails'
+            };
         }
 
         return {
             success: true,
-            count: successCount,
-            errors: errorCount,
-            emails: processedEmails,
-            message: `Processed ${successCount} email(s)`
+            count,
+            errors,
+            deferred,
+            emails,
+            mailboxes: summary,
+            error: failureSummary || undefined,
+            message: count > 0 || deferred > 0
+                ? `Processed ${count} email(s)${deferred > 0 ? `, deferred ${deferred}` : ''}`
+                : 'No new emails to process'
         };
 
     } catch (error) {
@@ -363,16 +746,5 @@ export async function fetchUnseenEmails() {
             error: error.message,
             message: 'Failed to fetch emails'
         };
-
-    } finally {
-        // Always close the connection
-        if (client) {
-            try {
-                await client.logout();
-                console.log('🔌 Disconnected from Gmail IMAP');
-            } catch (logoutError) {
-                console.error('Error during logout:', logoutError.message);
-            }
-        }
     }
 }
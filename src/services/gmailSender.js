@@ -1,18 +1,22 @@
 import nodemailer from 'nodemailer';
-import { config } from '../config/env.js';
+import { ImapFlow } from 'imapflow';
+import { getMailboxAccount } from '../config/mailboxes.js';
+import { saveOutboundMessage } from '../db/repository.js';
+import { callDependency, isDependencyUnavailable } from '../utils/resilience.js';
 
 /**
- * Creates and configures the SMTP transporter for Gmail
+ * Creates and configures the SMTP transporter for a mailbox account
+ * @param {Object} account - Mailbox account from getMailboxAccounts()
  * @returns {nodemailer.Transporter}
  */
-function createTransporter() {
+function createTransporter(account) {
     return nodemailer.createTransport({
-        host: config.SMTP_HOST,
-        port: config.SMTP_PORT,
+        host: account.smtpHost,
+        port: account.smtpPort,
         secure: true, // Use SSL
         auth: {
-            user: config.EMAIL_USER,
-            pass: config.EMAIL_APP_PASSWORD
+            user: account.user,
+            pass: account.password
         }
     });
 }
@@ -24,23 +28,30 @@ function createTransporter() {
  * @param {string} emailOptions.to - Recipient email address
  * @param {string} emailOptions.subject - Email subject
  * @param {string} emailOptions.text - Email body (plain text)
+ * @param {string} [emailOptions.inReplyTo] - Message-ID being replied to (for threading)
+ * @param {Array<string>} [emailOptions.references] - Earlier Message-IDs in the thread (inReplyTo is appended)
+ * @param {string} [emailOptions.account] - Mailbox account id to send from (defaults to the first account)
  * @returns {Promise<Object>} - Send result with success status and message
+ *   (deferred: true when SMTP is down and the send can be retried later)
  */
-export async function sendEmail({ to, subject, text, inReplyTo }) {
+export async function sendEmail({ to, subject, text, inReplyTo, references = [], account: accountId }) {
     try {
         // Validate required fields
         if (!to || !subject || !text) {
             throw new Error('Missing required fields: to, subject, and text are required');
         }
 
-        if (!config.EMAIL_USER || !config.EMAIL_APP_PASSWORD) {
-            throw new Error('Gmail credentials not configured. Please set EMAIL_USER and EMAIL_APP_PASSWORD in .env file');
+        const account = getMailboxAccount(accountId);
+        if (!account) {
+            throw new Error(accountId
+                ? `Unknown mailbox account "${accountId}"`
+                : 'Gmail credentials not configured. Please set EMAIL_USER and EMAIL_APP_PASSWORD in .env file');
         }
 
-        const transporter = createTransporter();
+        const transporter = createTransporter(account);
 
         const mailOptions = {
-            from: config.EMAIL_USER,
+            from: account.replyFrom,
             to,
             subject,
             text,
@@ -48,15 +59,20 @@ export async function sendEmail({ to, subject, text, inReplyTo }) {
         };
         if (inReplyTo) {
             mailOptions.headers['In-Reply-To'] = inReplyTo;
-            mailOptions.headers['References'] = inReplyTo;
+            mailOptions.headers['References'] = [...references.filter(ref => ref !== inReplyTo), inReplyTo].join(' ');
         }
         console.log(`📧 Sending email to: ${to}`);
-        const info = await transporter.sendMail(mailOptions);
+        const info = await callDependency('smtp', () => transporter.sendMail(mailOptions));
 
         console.log(`✅ Email sent successfully! Message ID: ${info.messageId}`);
 
+        recordOutboundMessage({
+            inReplyTo, account: account.id, from: account.replyFrom, to, subject, body: text,
+            providerMessageId: info.messageId, status: 'sent'
+        });
+
         // Mark the sent email as read in Sent Mail folder via IMAP
-        await markSentEmailAsRead();
+        await markSentEmailAsRead(account);
 
         return {
             success: true,
@@ -67,25 +83,49 @@ export async function sendEmail({ to, subject, text, inReplyTo }) {
     } catch (error) {
         console.error('❌ Error sending email:', error.message);
 
+        const deferred = isDependencyUnavailable(error);
+
+        if (to) {
+            recordOutboundMessage({
+                inReplyTo, account: accountId, to, subject, body: text,
+                status: deferred ? 'deferred' : 'failed', error: error.message
+            });
+        }
+
         return {
             success: false,
+            deferred,
             error: error.message,
-            message: 'Failed to send email'
+            message: deferred ? 'SMTP unavailable, email not sent; try again later' : 'Failed to send email'
         };
     }
 }
 
-async function markSentEmailAsRead() {
+/**
+ * Stores an outgoing email in the outbound_messages table
+ * Never throws; a storage failure must not turn a sent email into a failed one
+ *
+ * @param {Object} message - See saveOutboundMessage()
+ */
+function recordOutboundMessage(message) {
+    try {
+        saveOutboundMessage(message);
+    } catch (error) {
+        console.error('⚠️  Could not record outbound message:', error.message);
+    }
+}
+
+async function markSentEmailAsRead(account) {
     let client;
 
     try {
         client = new ImapFlow({
-            host: config.IMAP_HOST,
-            port: config.IMAP_PORT,
+            host: account.imapHost,
+            port: account.imapPort,
             secure: true,
             auth: {
-                user: config.EMAIL_USER,
-                pass: config.EMAIL_APP_PASSWORD
+                user: account.user,
+                pass: account.password
             },
             logger: false
         });
@@ -93,7 +133,7 @@ async function markSentEmailAsRead() {
         await client.connect();
 
         // Open the Sent Mail folder
-        await client.mailboxOpen('[Gmail]/Sent Mail');
+        await client.mailboxOpen(account.sentFolder);
 
         // Search for unseen emails in Sent Mail
         const unseenSent = await client.search({ seen: false });
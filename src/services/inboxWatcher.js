@@ -0,0 +1,290 @@
+import { config } from '../config/env.js';
+import { getMailboxAccounts } from '../config/mailboxes.js';
+import { createImapClient, processUnseenMessages } from './gmailReader.js';
+import { runMonitor } from './monitorRunner.js';
+
+/**
+ * Inbox Watcher Service
+ * Holds a long-lived IMAP connection open in IDLE for every configured
+ * account folder (IDLE only watches the selected mailbox, so each folder gets
+ * its own connection) and processes new mail as soon as Gmail announces it.
+ * Reconnects with exponential backoff whenever a session is dropped.
+ * While a check leaves emails deferred (a dependency was down), the folder is
+ * checked again every CIRCUIT_RESET_MS, so they are retried once the circuit
+ * can close rather than waiting for the next new mail.
+ */
+
+const watchers = new Map();
+let running = false;
+
+/**
+ * Starts a watcher for every configured account folder
+ * Safe to call more than once; only one connection per folder is ever held open
+ */
+export async function startInboxWatcher() {
+    if (running) {
+        return;
+    }
+
+    running = true;
+    console.log('👀 Starting IMAP IDLE inbox watcher...');
+
+    let accounts;
+    try {
+        accounts = getMailboxAccounts();
+    } catch (error) {
+        console.error('❌ Inbox watcher could not load mailbox accounts:', error.message);
+        running = false;
+        return;
+    }
+
+    if (accounts.length === 0) {
+        console.log('⚠️  No mailbox accounts configured, inbox watcher not started');
+        running = false;
+        return;
+    }
+
+    for (const account of accounts) {
+        for (const folder of account.folders) {
+            const watcher = {
+                id: `${account.id}/${folder.path}`,
+                account,
+                folder,
+                client: null,
+                connected: false,
+                processing: false,
+                recheckRequested: false,
+                reconnectAttempts: 0,
+                reconnectTimer: null,
+                recheckTimer: null,
+                lastCheckAt: null,
+                lastError: null,
+            };
+
+            watchers.set(watcher.id, watcher);
+        }
+    }
+
+    await Promise.all([...watchers.values()].map(connect));
+}
+
+/**
+ * Stops all watchers and closes their IMAP connections
+ */
+export async function stopInboxWatcher() {
+    running = false;
+
+    await Promise.all([...watchers.values()].map(async (watcher) => {
+        if (watcher.reconnectTimer) {
+            clearTimeout(watcher.reconnectTimer);
+            watcher.reconnectTimer = null;
+        }
+        clearDeferredRecheck(watcher);
+
+        const client = watcher.client;
+        watcher.client = null;
+        watcher.connected = false;
+
+        if (client) {
+            try {
+                await client.logout();
+                console.log(`🔌 Inbox watcher disconnected from ${watcher.id}`);
+            } catch (logoutError) {
+                // Connection may already be gone
+            }
+        }
+    }));
+
+    watchers.clear();
+}
+
+/**
+ * Returns a snapshot of every watcher's state
+ * @returns {Object}
+ */
+export function getInboxWatcherStatus() {
+    return {
+        running,
+        mailboxes: [...watchers.values()].map(watcher => ({
+            account: watcher.account.id,
+            folder: watcher.folder.path,
+            connected: watcher.connected,
+            processing: watcher.processing,
+            reconnectAttempts: watcher.reconnectAttempts,
+            lastCheckAt: watcher.lastCheckAt,
+            lastError: watcher.lastError,
+        })),
+    };
+}
+
+/**
+ * Opens the IMAP connection, selects the folder and catches up on unseen mail
+ * ImapFlow enters IDLE automatically once the connection is otherwise unused
+ *
+ * @param {Object} watcher - Watcher state
+ */
+async function connect(watcher) {
+    let client;
+
+    try {
+        client = createImapClient(watcher.account, { maxIdleTime: config.IMAP_MAX_IDLE_MS });
+        watcher.client = client;
+
+        client.on('exists', (data) => {
+            console.log(`📨 New mail in ${watcher.account.id}/${data.path} (${data.prevCount} → ${data.count})`);
+            checkInbox(watcher);
+        });
+
+        client.on('error', (error) => {
+            console.error(`❌ Inbox watcher IMAP error (${watcher.id}):`, error.message);
+            watcher.lastError = error.message;
+        });
+
+        client.on('close', () => {
+            if (watcher.client !== client) {
+                return; // Stale connection that we already replaced
+            }
+
+            watcher.client = null;
+            watcher.connected = false;
+            clearDeferredRecheck(watcher); // The reconnect catches up on deferred mail
+            console.log(`⚠️  Inbox watcher connection closed (${watcher.id})`);
+            scheduleReconnect(watcher);
+        });
+
+        await client.connect();
+        await client.mailboxOpen(watcher.folder.path);
+
+        watcher.connected = true;
+        watcher.reconnectAttempts = 0;
+        watcher.lastError = null;
+        console.log(`✅ Inbox watcher connected, listening for new mail on ${watcher.id}`);
+
+        // Pick up anything that arrived while we were disconnected
+        await checkInbox(watcher);
+
+    } catch (error) {
+        console.error(`❌ Inbox watcher failed to connect (${watcher.id}):`, error.message);
+        watcher.lastError = error.message;
+
+        if (watcher.client === client) {
+            watcher.client = null;
+            watcher.connected = false;
+        }
+
+        if (client) {
+            client.close();
+        }
+
+        scheduleReconnect(watcher);
+    }
+}
+
+/**
+ * Schedules a reconnect using exponential backoff with jitter
+ *
+ * @param {Object} watcher - Watcher state
+ */
+function scheduleReconnect(watcher) {
+    if (!running || watcher.reconnectTimer) {
+        return;
+    }
+
+    const baseDelay = Math.min(
+        config.IMAP_RECONNECT_MAX_MS,
+        config.IMAP_RECONNECT_BASE_MS * 2 ** watcher.reconnectAttempts
+    );
+    const delay = Math.round(baseDelay / 2 + Math.random() * baseDelay / 2);
+    watcher.reconnectAttempts++;
+
+    console.log(`🔁 Reconnecting inbox watcher ${watcher.id} in ${Math.round(delay / 1000)}s (attempt ${watcher.reconnectAttempts})`);
+
+    watcher.reconnectTimer = setTimeout(() => {
+        watcher.reconnectTimer = null;
+        if (running) {
+            connect(watcher);
+        }
+    }, delay);
+}
+
+/**
+ * Schedules another check while emails are deferred, or clears it once none are
+ *
+ * @param {Object} watcher - Watcher state
+ * @param {number} deferredCount - Emails the last check deferred
+ */
+function scheduleDeferredRecheck(watcher, deferredCount) {
+    if (deferredCount === 0) {
+        clearDeferredRecheck(watcher);
+        return;
+    }
+
+    if (!running || watcher.recheckTimer) {
+        return;
+    }
+
+    console.log(`⏸️  ${deferredCount} email(s) deferred on ${watcher.id}, checking again in ${Math.round(config.CIRCUIT_RESET_MS / 1000)}s`);
+
+    watcher.recheckTimer = setTimeout(() => {
+        watcher.recheckTimer = null;
+        if (running) {
+            checkInbox(watcher);
+        }
+    }, config.CIRCUIT_RESET_MS);
+}
+
+/**
+ * @param {Object} watcher - Watcher state
+ */
+function clearDeferredRecheck(watcher) {
+    if (watcher.recheckTimer) {
+        clearTimeout(watcher.recheckTimer);
+        watcher.recheckTimer = null;
+    }
+}
+
+/**
+ * Processes unseen mail on the watcher connection
+ * Notifications that arrive mid-run trigger one more pass afterwards.
+ * Runs go through runMonitor and wait for any manual or scheduled run to finish first.
+ * Deferred emails schedule a recheck (see scheduleDeferredRecheck).
+ *
+ * @param {Object} watcher - Watcher state
+ */
+async function checkInbox(watcher) {
+    if (watcher.processing) {
+        watcher.recheckRequested = true;
+        return;
+    }
+
+    watcher.processing = true;
+    let deferredCount = 0;
+
+    try {
+        do {
+            watcher.recheckRequested = false;
+
+            if (!watcher.client || !watcher.client.usable) {
+                break;
+            }
+
+            const client = watcher.client;
+            const { run } = await runMonitor('idle', async () => {
+                const { successCount, errorCount, deferredCount } = await processUnseenMessages(client, watcher.account, watcher.folder);
+                return { success: true, count: successCount, errors: errorCount, deferred: deferredCount };
+            }, { wait: true });
+            deferredCount = run.deferred;
+            watcher.lastCheckAt = new Date().toISOString();
+        } while (watcher.recheckRequested);
+
+    } catch (error) {
+        console.error(`❌ Inbox watcher failed to process new mail (${watcher.id}):`, error.message);
+        watcher.lastError = error.message;
+    } finally {
+        watcher.processing = false;
+    }
+
+    if (watcher.client) {
+        scheduleDeferredRecheck(watcher, deferredCount);
+    }
+}
@@ -0,0 +1,91 @@
+import { config } from '../config/env.js';
+import { getTaskSettings } from '../config/llmTasks.js';
+import * as anthropicProvider from './anthropicProvider.js';
+import * as stubProvider from './stubProvider.js';
+import { getCacheKey, getCachedCompletion, cacheCompletion } from './aiCache.js';
+import { recordAiUsage } from './aiUsage.js';
+import { callDependency } from '../utils/resilience.js';
+
+/**
+ * LLM Provider
+ * Single entry point for every AI call. The provider is picked by LLM_PROVIDER
+ * and each call is tagged with a task whose model, temperature and max tokens
+ * come from config/llmTasks.js.
+ *
+ * A provider module exports:
+ *   isConfigured()              → boolean
+ *   complete(request, settings) → Promise<{ text, data, model, usage: { inputTokens, outputTokens } }>
+ *
+ * where request is { task, system?, prompt, input?, attachments?, tool?, messageId? }:
+ *   system      - instructions, kept apart from untrusted content
+ *   prompt      - user turn text (untrusted content goes here, delimited)
+ *   input       - the email fields the prompt was built from ({ subject, body })
+ *   attachments - [{ filename, mediaType, data (base64) }] sent ahead of the prompt
+ *   tool        - { name, description, inputSchema }; the model must answer by calling it,
+ *                 and its input comes back as data (null when no tool was requested)
+ *   messageId   - email the call is for (links cache entries and usage records to the email)
+ *
+ * Completions are served from the AI response cache when possible (see aiCache.js),
+ * and every call that reaches the provider is recorded for cost accounting (see aiUsage.js).
+ * Provider calls are retried and circuit-broken under the provider's name (see utils/resilience.js).
+ */
+
+const PROVIDERS = {
+    anthropic: anthropicProvider,
+    stub: stubProvider,
+};
+
+/**
+ * Returns the configured provider module
+ * @returns {Object}
+ */
+function getProvider() {
+    const provider = PROVIDERS[config.LLM_PROVIDER];
+    if (!provider) {
+        throw new Error(`Unknown LLM_PROVIDER "${config.LLM_PROVIDER}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return provider;
+}
+
+/**
+ * Whether AI calls can be made with the configured provider
+ * @returns {boolean}
+ */
+export function isLlmConfigured() {
+    return getProvider().isConfigured();
+}
+
+/**
+ * Runs a task request with the task's model settings
+ * The completion is only cached once parse accepts it, so an answer the caller
+ * rejects (bad JSON, failed validation) is asked for again next time.
+ *
+ * @param {string} task - One of LLM_TASKS
+ * @param {Object} request - { system?, prompt, input?, attachments?, tool?, messageId? }
+ * @param {Function} [parse] - completion → result; throw to reject the answer
+ * @returns {Promise<*>} - Parsed result (the completion itself when no parse is given)
+ */
+export async function completeTask(task, request, parse = completion => completion) {
+    const settings = getTaskSettings(task);
+    const cacheKey = config.AI_CACHE_ENABLED ? getCacheKey(task, request, settings) : null;
+
+    if (cacheKey) {
+        const cached = getCachedCompletion(task, cacheKey, request.messageId);
+        if (cached) {
+            return parse(cached);
+        }
+    }
+
+    const startedAt = Date.now();
+    const completion = await callDependency(config.LLM_PROVIDER,
+        () => getProvider().complete({ task, ...request }, settings));
+    recordAiUsage(task, request, completion, Date.now() - startedAt);
+
+    const result = parse(completion);
+
+    if (cacheKey) {
+        cacheCompletion(task, cacheKey, request, completion, request.messageId);
+    }
+
+    return result;
+}
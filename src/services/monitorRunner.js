@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+import { config } from '../config/env.js';
+import { saveMonitorRun, listMonitorRuns } from '../db/repository.js';
+
+/**
+ * Monitor Runner Service
+ * Serializes every inbox check (manual, scheduled or IDLE-triggered) and dead-letter replay behind a
+ * single in-process lock so two runs never touch the same UID at once,
+ * and records a history entry for each run.
+ */
+
+let activeRun = null;
+let activePromise = null;
+
+/**
+ * Persists a finished run, keeping only the most recent MONITOR_RUN_HISTORY_LIMIT runs
+ *
+ * @param {Object} run - Finished run record
+ */
+function saveRun(run) {
+    try {
+        saveMonitorRun(run, config.MONITOR_RUN_HISTORY_LIMIT);
+    } catch (error) {
+        console.error('❌ Error saving monitor run history:', error.message);
+    }
+}
+
+/**
+ * Runs an inbox check under the overlap lock and records it
+ *
+ * @param {string} trigger - What started the run: 'manual' | 'schedule' | 'idle' | 'replay'
+ * @param {Function} task - Async function returning { success, count, errors, deferred, error }
+ * @param {Object} [options]
+ * @param {boolean} [options.wait=false] - Wait for an in-flight run instead of skipping
+ * @returns {Promise<Object>} - { skipped: true, activeRun } or { skipped: false, run, result }
+ */
+export async function runMonitor(trigger, task, { wait = false } = {}) {
+    if (activePromise && !wait) {
+        console.log(`⏭️  ${trigger} run skipped, ${activeRun.trigger} run ${activeRun.id} still in progress`);
+        return { skipped: true, activeRun: { ...activeRun } };
+    }
+
+    while (activePromise) {
+        await activePromise;
+    }
+
+    const run = {
+        id: crypto.randomUUID(),
+        trigger,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        durationMs: null,
+        status: 'running',
+        count: 0,
+        errors: 0,
+        deferred: 0,
+        error: null,
+    };
+
+    activeRun = run;
+
+    let result;
+    activePromise = (async () => {
+        const started = Date.now();
+
+        try {
+            result = await task();
+            run.status = result.success === false ? 'failed' : 'success';
+            run.count = result.count || 0;
+            run.errors = result.errors || 0;
+            run.deferred = result.deferred || 0;
+            run.error = result.error || null;
+        } catch (error) {
+            result = { success: false, count: 0, errors: 0, deferred: 0, error: error.message };
+            run.status = 'failed';
+            run.error = error.message;
+        } finally {
+            run.finishedAt = new Date().toISOString();
+            run.durationMs = Date.now() - started;
+            saveRun(run);
+        }
+    })();
+
+    try {
+        await activePromise;
+    } finally {
+        activeRun = null;
+        activePromise = null;
+    }
+
+    console.log(`🏁 ${trigger} run finished in ${run.durationMs}ms (${run.count} processed, ${run.errors} error(s), ${run.deferred} deferred)`);
+    return { skipped: false, run, result };
+}
+
+/**
+ * Returns the run currently holding the lock, if any
+ * @returns {Object|null}
+ */
+export function getActiveRun() {
+    return activeRun ? { ...activeRun } : null;
+}
+
+/**
+ * Returns the most recent runs, newest first
+ *
+ * @param {number} [limit=20] - Maximum number of runs to return
+ * @returns {Array<Object>}
+ */
+export function getRunHistory(limit = 20) {
+    return listMonitorRuns(limit);
+}
@@ -0,0 +1,161 @@
+import { config } from '../config/env.js';
+import { validateReferral } from '../utils/referralValidator.js';
+import { commitReferral, correctReferral, toStoredValidation } from './referralService.js';
+import {
+    saveReferralReview,
+    getReferralReview,
+    updateReferralReview,
+    transitionReferralReview,
+    setEmailOutcome,
+    OUTCOMES,
+    REVIEW_STATUSES,
+} from '../db/repository.js';
+
+/**
+ * Referral Review Service
+ * Decides whether an extraction can be committed straight to the referral store
+ * or must wait for a human, and moves reviewed items on once they are approved.
+ */
+
+/**
+ * Checks an extraction against the confidence threshold and the validator's results
+ *
+ * @param {Object} data - Extracted referral record (canonical fields + extras)
+ * @param {Object} fieldConfidence - Field name → confidence (0-1)
+ * @param {Array<Object>} [conflicts] - Fields whose values disagreed across attachments
+ * @param {Array<Object>} [invalid] - Values the validator could not fix
+ * @returns {Array<Object>} - { field, reason, confidence? } for every problem found (empty when clean)
+ */
+export function assessExtraction(data, fieldConfidence = {}, conflicts = [], invalid = []) {
+    const issues = conflicts.map(conflict => {
+        const values = conflict.values.map(v => `${JSON.stringify(v.value)} (${v.attachment})`);
+        return { field: conflict.field, reason: `conflicting values across attachments: ${values.join(' vs ')}` };
+    });
+    const threshold = config.REFERRAL_REVIEW_CONFIDENCE_THRESHOLD;
+    const { extras, ...fields } = data;
+
+    for (const [field, value] of Object.entries({ ...fields, ...extras })) {
+        if (value === null || value === undefined) continue;
+
+        const confidence = fieldConfidence[field];
+        if (typeof confidence !== 'number') {
+            issues.push({ field, reason: 'no confidence reported' });
+        } else if (confidence < threshold) {
+            issues.push({ field, reason: 'low confidence', confidence });
+        }
+    }
+
+    for (const { field, reason } of invalid) {
+        issues.push({ field, reason });
+    }
+
+    return issues;
+}
+
+/**
+ * Holds an extraction in the review queue instead of committing it
+ * Automatic validator fixes are pre-applied to the corrected data the reviewer sees.
+ *
+ * @param {Object} referral - { messageId, threadId, from, account, folder, extractedData, fieldSources, conflicts }
+ * @param {Object} fieldConfidence - Field name → confidence (0-1)
+ * @param {Array<Object>} issues - Output of assessExtraction
+ * @param {Object} [validation] - Output of validateReferral for extractedData (computed when omitted)
+ * @returns {number} - referral_reviews.id
+ */
+export function queueReferralForReview(referral, fieldConfidence, issues, validation = validateReferral(referral.extractedData)) {
+    const reviewId = saveReferralReview({
+        ...referral,
+        fieldConfidence,
+        issues,
+        validation: toStoredValidation(validation),
+        correctedData: validation.corrections.length > 0 ? validation.data : null,
+    });
+
+    console.log(`⚠️  Referral sent to review queue (id ${reviewId}): ${issues.map(i => `${i.field} - ${i.reason}`).join('; ')}`);
+    return reviewId;
+}
+
+/**
+ * Applies reviewer edits to a pending item without committing it, re-checking
+ * the result (reviewer values are reported, never auto-fixed)
+ *
+ * @param {Object} review - Pending review (from getReferralReview)
+ * @param {Object} fields - Field name → corrected value
+ * @returns {Object} - Updated review
+ */
+export function editReferralReview(review, fields) {
+    const correctedData = { ...review.data, ...fields };
+    const { invalid } = validateReferral(correctedData, { autoFix: false });
+
+    updateReferralReview(review.id, {
+        correctedData,
+        validation: { ...review.validation, invalid, validatedAt: new Date().toISOString() },
+    });
+    return getReferralReview(review.id);
+}
+
+/**
+ * Approves a pending item: stores the original AI output as a referral (with the
+ * validator's automatic fixes), then records the reviewer's corrections on it so
+ * the edit history stays intact
+ * The review is claimed (pending → approving) before anything is stored, so a
+ * concurrent approval gets null instead of storing the referral again. If storing
+ * fails the review goes back to pending.
+ *
+ * @param {Object} review - Pending review (from getReferralReview)
+ * @param {string} reviewedBy - Who approved it
+ * @param {string} [notes]
+ * @returns {Promise<Object|null>} - Updated review (referral_id set), or null when it was no longer pending
+ */
+export async function approveReferralReview(review, reviewedBy, notes) {
+    if (!transitionReferralReview(review.id, REVIEW_STATUSES.PENDING, REVIEW_STATUSES.APPROVING)) {
+        return null;
+    }
+
+    let referralId;
+    try {
+        referralId = await commitReferral({
+            messageId: review.message_id,
+            threadId: review.thread_id,
+            from: review.from_address,
+            account: review.account,
+            folder: review.folder,
+            extractedData: review.extracted_data,
+            fieldSources: review.field_sources,
+            conflicts: review.conflicts,
+        });
+
+        if (review.corrected_data) {
+            correctReferral(referralId, review.corrected_data, reviewedBy);
+        }
+    } catch (error) {
+        transitionReferralReview(review.id, REVIEW_STATUSES.APPROVING, REVIEW_STATUSES.PENDING);
+        throw error;
+    }
+
+    updateReferralReview(review.id, { status: REVIEW_STATUSES.APPROVED, reviewedBy, reviewNotes: notes, referralId });
+    setEmailOutcome(review.message_id, OUTCOMES.REFERRAL_STORED);
+
+    console.log(`✅ Review ${review.id} approved by ${reviewedBy}`);
+    return getReferralReview(review.id);
+}
+
+/**
+ * Rejects a pending item; nothing is written to the referral store
+ *
+ * @param {Object} review - Pending review (from getReferralReview)
+ * @param {string} reviewedBy - Who rejected it
+ * @param {string} [reason]
+ * @returns {Object|null} - Updated review, or null when it was no longer pending
+ */
+export function rejectReferralReview(review, reviewedBy, reason) {
+    if (!transitionReferralReview(review.id, REVIEW_STATUSES.PENDING, REVIEW_STATUSES.REJECTED)) {
+        return null;
+    }
+
+    updateReferralReview(review.id, { status: REVIEW_STATUSES.REJECTED, reviewedBy, reviewNotes: reason });
+    setEmailOutcome(review.message_id, OUTCOMES.SKIPPED);
+
+    console.log(`🚫 Review ${review.id} rejected by ${reviewedBy}`);
+    return getReferralReview(review.id);
+}
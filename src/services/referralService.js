@@ -0,0 +1,92 @@
+import { config } from '../config/env.js';
+import { inferAppointmentType } from '../config/appointmentTypes.js';
+import { logReferralToCSV } from '../utils/referralLogger.js';
+import { validateReferral } from '../utils/referralValidator.js';
+import {
+    saveReferral, updateReferral, setReferralValidation, setReferralAppointmentType, getReferral,
+} from '../db/repository.js';
+
+/**
+ * Referral Service
+ * Writes referrals to the referral store. The original AI output is stored as
+ * extracted; automatic validator fixes and human corrections are recorded on top
+ * of it as edits so the full history stays visible.
+ */
+
+// Editor name recorded on edits made by the validator's automatic fixes
+export const AUTO_FIX_EDITOR = 'auto-fix';
+
+/**
+ * Builds the stored form of a validation result
+ *
+ * @param {Object} validation - Output of validateReferral
+ * @returns {Object} - { corrections, invalid, validatedAt }
+ */
+export function toStoredValidation({ corrections, invalid }) {
+    return { corrections, invalid, validatedAt: new Date().toISOString() };
+}
+
+/**
+ * Works out the appointment type a referral asks for from its procedures and notes
+ *
+ * @param {Object} data - Referral fields
+ * @returns {string|null} - Appointment type id, or null when nothing matches
+ */
+export function getReferralAppointmentType(data) {
+    const procedures = Array.isArray(data.selectedProcedures) ? data.selectedProcedures : [data.selectedProcedures];
+    const type = inferAppointmentType([...procedures, data.notes].map(value => (value ? String(value) : null)));
+    return type ? type.id : null;
+}
+
+/**
+ * Writes a referral to the referral store and runs downstream exports
+ *
+ * @param {Object} referral - { messageId, threadId, from, account, folder, extractedData, fieldSources, conflicts }
+ * @param {Object} [validation] - Output of validateReferral for extractedData (computed when omitted)
+ * @returns {Promise<number>} - referrals.id
+ */
+export async function commitReferral(referral, validation = validateReferral(referral.extractedData)) {
+    const referralId = saveReferral({
+        ...referral,
+        validation: toStoredValidation(validation),
+        appointmentType: getReferralAppointmentType(validation.data),
+    });
+
+    if (validation.corrections.length > 0) {
+        updateReferral(referralId, validation.data, AUTO_FIX_EDITOR);
+    }
+
+    if (config.CSV_EXPORT_ENABLED) {
+        await logReferralToCSV({ ...referral, extractedData: validation.data });
+    }
+
+    console.log(`✅ Referral stored (id ${referralId})`);
+    return referralId;
+}
+
+/**
+ * Applies human corrections to a referral and re-checks it
+ * Human-entered values are never auto-fixed; anything still invalid is reported
+ * on the record. Fixes made when the referral was stored are kept in the history.
+ *
+ * @param {number} id - referrals.id
+ * @param {Object} fields - Field name → corrected value
+ * @param {string} editedBy - Who made the change
+ * @returns {Object|null} - Updated referral, or null when not found
+ */
+export function correctReferral(id, fields, editedBy) {
+    const referral = updateReferral(id, fields, editedBy);
+    if (!referral) {
+        return null;
+    }
+
+    const { invalid } = validateReferral(referral.data, { autoFix: false });
+    setReferralValidation(id, {
+        corrections: referral.validation ? referral.validation.corrections : [],
+        invalid,
+        validatedAt: new Date().toISOString(),
+    });
+    setReferralAppointmentType(id, getReferralAppointmentType(referral.data));
+
+    return getReferral(id);
+}
@@ -0,0 +1,72 @@
+import cron from 'node-cron';
+import { config } from '../config/env.js';
+import { fetchUnseenEmails } from './gmailReader.js';
+import { runMonitor } from './monitorRunner.js';
+
+/**
+ * Polling Scheduler Service
+ * Runs the fetchUnseenEmails pipeline on a fixed interval or cron expression
+ * for deployments that cannot keep an IMAP IDLE connection open.
+ * Overlap protection comes from runMonitor: a tick that lands while another
+ * run is still in progress is skipped.
+ */
+
+let cronTask = null;
+let intervalTimer = null;
+
+/**
+ * Runs one scheduled inbox check
+ */
+async function runScheduledCheck() {
+    try {
+        await runMonitor('schedule', fetchUnseenEmails);
+    } catch (error) {
+        console.error('❌ Scheduled email check failed:', error.message);
+    }
+}
+
+/**
+ * Starts the scheduler from configuration
+ * MONITOR_SCHEDULE_CRON takes precedence over MONITOR_SCHEDULE_INTERVAL_MS
+ *
+ * @returns {boolean} - true if a schedule was started
+ */
+export function startScheduler() {
+    if (cronTask || intervalTimer) {
+        return true;
+    }
+
+    if (config.MONITOR_SCHEDULE_CRON) {
+        if (!cron.validate(config.MONITOR_SCHEDULE_CRON)) {
+            console.error(`❌ Invalid MONITOR_SCHEDULE_CRON expression: "${config.MONITOR_SCHEDULE_CRON}"`);
+            return false;
+        }
+
+        cronTask = cron.schedule(config.MONITOR_SCHEDULE_CRON, runScheduledCheck);
+        console.log(`⏰ Email check scheduled with cron "${config.MONITOR_SCHEDULE_CRON}"`);
+        return true;
+    }
+
+    if (config.MONITOR_SCHEDULE_INTERVAL_MS > 0) {
+        intervalTimer = setInterval(runScheduledCheck, config.MONITOR_SCHEDULE_INTERVAL_MS);
+        console.log(`⏰ Email check scheduled every ${Math.round(config.MONITOR_SCHEDULE_INTERVAL_MS / 1000)}s`);
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Stops any running schedule
+ */
+export function stopScheduler() {
+    if (cronTask) {
+        cronTask.stop();
+        cronTask = null;
+    }
+
+    if (intervalTimer) {
+        clearInterval(intervalTimer);
+        intervalTimer = null;
+    }
+}
@@ -0,0 +1,92 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/env.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Stub LLM provider
+ * Answers from scripted fixture files instead of calling a model, so the whole
+ * email pipeline runs offline and deterministically.
+ *
+ * Each task reads <task>.json from LLM_STUB_FIXTURES_DIR (default: fixtures/llm),
+ * an array of entries tried in order; the first whose "match" fits the request wins:
+ *
+ *   [
+ *     { "match": { "subject": "referral", "attachment": "form" }, "response": "YES" },
+ *     { "response": "NO" }
+ *   ]
+ *
+ * Match keys are case-insensitive substrings: "attachment" is checked against the
+ * attachment filenames and any other key against the request input (subject, body).
+ * An entry without "match" always fits. Object and array responses are returned as JSON;
+ * for tool requests the response is returned as the tool input.
+ */
+
+const FIXTURES_DIR = config.LLM_STUB_FIXTURES_DIR || path.join(__dirname, '../../fixtures/llm');
+
+/**
+ * Whether the provider can make calls
+ * @returns {boolean}
+ */
+export function isConfigured() {
+    return fs.existsSync(FIXTURES_DIR);
+}
+
+/**
+ * Checks whether a fixture entry's match rules fit a request
+ *
+ * @param {Object} match - Key → substring
+ * @param {Object} request - { input?, attachments? }
+ * @returns {boolean}
+ */
+function matchesRequest(match, request) {
+    const input = request.input || {};
+    const filenames = (request.attachments || []).map(attachment => attachment.filename.toLowerCase());
+
+    return Object.entries(match).every(([key, pattern]) => {
+        const needle = String(pattern).toLowerCase();
+
+        if (key === 'attachment') {
+            return filenames.some(filename => filename.includes(needle));
+        }
+        return String(input[key] ?? '').toLowerCase().includes(needle);
+    });
+}
+
+/**
+ * Runs one task request against its fixture file
+ *
+ * @param {Object} request - { task, system?, prompt, input?, attachments?, tool? }
+ * @param {Object} settings - { model, temperature, maxTokens } (unused, kept for the provider interface)
+ * @returns {Promise<Object>} - { text, data, model, usage: { inputTokens, outputTokens } }
+ */
+export async function complete(request, settings) {
+    const fixtureFile = `${request.task}.json`;
+    const fixturePath = path.join(FIXTURES_DIR, fixtureFile);
+
+    if (!fs.existsSync(fixturePath)) {
+        throw new Error(`No stub fixtures for task "${request.task}" (${fixturePath})`);
+    }
+
+    const entries = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+    const index = entries.findIndex(entry => matchesRequest(entry.match || {}, request));
+
+    if (index === -1) {
+        throw new Error(`No entry in ${fixtureFile} matches this request`);
+    }
+
+    const { response } = entries[index];
+    console.log(`🧪 Stub LLM answered ${request.task} from ${fixtureFile} entry #${index + 1}`);
+
+    const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+    return {
+        text,
+        data: request.tool ? JSON.parse(text) : null,
+        model: 'stub',
+        usage: { inputTokens: 0, outputTokens: 0 },
+    };
+}
@@ -0,0 +1,139 @@
+import { config } from '../config/env.js';
+import { ARRAY_FIELDS, EXTRAS_FIELD } from '../config/referralSchema.js';
+
+/**
+ * AI input and output policy
+ * Email bodies and attachments are written by whoever sent them, so they are
+ * passed to the model as delimited data, scanned for instructions aimed at the
+ * model, and nothing the model returns is acted on until it passes these checks.
+ * Anything that fails is routed to manual review instead.
+ */
+
+// Phrases that try to steer the model rather than describe a referral or appointment
+const INJECTION_PATTERNS = [
+    {
+        pattern: /\b(ignore|disregard|forget|override)\b[^.\n]{0,40}\b(previous|prior|above|earlier|all|system|your)\b[^.\n]{0,20}\b(instructions?|prompts?|rules?|directions?)\b/i,
+        reason: 'asks the model to ignore its instructions',
+    },
+    { pattern: /\b(new|updated|real|actual)\s+instructions?\s*:/i, reason: 'supplies new instructions' },
+    { pattern: /\byou\s+are\s+(now|no\s+longer)\b/i, reason: 'tries to redefine the assistant' },
+    { pattern: /\b(system\s+prompt|developer\s+message)\b/i, reason: 'refers to the system prompt' },
+    {
+        pattern: /\b(respond|reply|answer|output|classify\s+(this|it|me)?)\s*(only\s+)?(with|as)\s*["']?(APPOINTMENT|REFERRAL|UNKNOWN|YES|NO|AVAILABILITY_REQUEST|BOOKING_CONFIRMATION|RESCHEDULE|CANCEL)\b/i,
+        reason: 'dictates the classification',
+    },
+    { pattern: /<\/?\s*(system|assistant|user|instructions?|email_[a-z]+)\s*>/i, reason: 'contains prompt markup' },
+    { pattern: /\b(record_email_triage|tool_use|tool_choice|injectionSuspected)\b/i, reason: 'refers to the model tool interface' },
+];
+
+/**
+ * Wraps untrusted text in a tag for the prompt, neutralising any copy of the
+ * tag inside the text so the content can't close the block early
+ *
+ * @param {string} tag - Tag name, e.g. "email_body"
+ * @param {string} text - Untrusted text
+ * @returns {string}
+ */
+export function wrapUntrusted(tag, text) {
+    const escaped = String(text ?? '').replace(new RegExp(`<(\\/?\\s*${tag})`, 'gi'), '&lt;$1');
+    return `<${tag}>\n${escaped}\n</${tag}>`;
+}
+
+/**
+ * Looks for text that tries to instruct the model
+ *
+ * @param {string} text - Untrusted text (email subject/body or an extracted value)
+ * @returns {Array<string>} - Reasons, empty when nothing was found
+ */
+export function detectInjection(text) {
+    if (!text) {
+        return [];
+    }
+
+    return INJECTION_PATTERNS
+        .filter(({ pattern }) => pattern.test(text))
+        .map(({ reason }) => reason);
+}
+
+/**
+ * Checks a triage result before any pipeline acts on it
+ *
+ * @param {Object} triage - Result of triageEmail
+ * @returns {Array<string>} - Policy violations, empty when the triage can be acted on
+ */
+export function checkTriagePolicy(triage) {
+    const violations = (triage.injectionReasons || []).map(reason => `suspected prompt injection: ${reason}`);
+
+    if (triage.slots.length > config.TRIAGE_MAX_SLOTS) {
+        violations.push(`requested ${triage.slots.length} slots (limit ${config.TRIAGE_MAX_SLOTS} per email)`);
+    }
+
+    return violations;
+}
+
+/**
+ * Checks one extracted value: scalars must be text, arrays only where the schema
+ * has them (tooth numbers and procedure names)
+ *
+ * @param {string} field - Field name
+ * @param {*} value - Extracted value
+ * @returns {{ value: *, problem: string|null }} - Value to keep and why it broke policy
+ */
+function checkReferralValue(field, value) {
+    if (value === null || value === undefined) {
+        return { value: null, problem: null };
+    }
+
+    if (typeof value === 'number') {
+        return { value: String(value), problem: null };
+    }
+
+    if (Array.isArray(value) && ARRAY_FIELDS.includes(field)) {
+        const itemsOk = value.every(item => typeof item === 'string' || typeof item === 'number');
+        return itemsOk ? { value, problem: null } : { value: null, problem: 'list contains values that are not text' };
+    }
+
+    if (typeof value !== 'string') {
+        return { value: null, problem: `expected text, got ${Array.isArray(value) ? 'a list' : typeof value}` };
+    }
+
+    if (value.length > config.REFERRAL_MAX_FIELD_LENGTH) {
+        return { value, problem: `longer than ${config.REFERRAL_MAX_FIELD_LENGTH} characters` };
+    }
+
+    return { value, problem: null };
+}
+
+/**
+ * Checks an extracted referral record: values that aren't text are dropped, and
+ * overlong values or text that tries to instruct the model are flagged
+ *
+ * @param {Object} data - Referral record (canonical fields + extras)
+ * @returns {{ data: Object, issues: Array<Object> }} - Cleaned record and { field, reason } review issues
+ */
+export function checkReferralPolicy(data) {
+    const issues = [];
+    const cleaned = {};
+    const extras = {};
+
+    const { [EXTRAS_FIELD]: rawExtras, ...fields } = data;
+    const entries = [
+        ...Object.entries(fields).map(([field, value]) => [field, value, cleaned]),
+        ...Object.entries(rawExtras || {}).map(([field, value]) => [field, value, extras]),
+    ];
+
+    for (const [field, raw, target] of entries) {
+        const { value, problem } = checkReferralValue(field, raw);
+        target[field] = value;
+
+        if (problem) {
+            issues.push({ field, reason: `policy: ${problem}` });
+        }
+
+        for (const reason of detectInjection(typeof value === 'string' ? value : null)) {
+            issues.push({ field, reason: `suspected prompt injection: ${reason}` });
+        }
+    }
+
+    return { data: { ...cleaned, [EXTRAS_FIELD]: extras }, issues };
+}
@@ -0,0 +1,175 @@
+import { config } from '../config/env.js';
+
+/**
+ * Clinic time
+ * Slot math happens in the clinic's timezone (CLINIC_TIMEZONE) whatever the server's
+ * TZ is. Wall-clock times are converted through Intl, so DST changes are handled.
+ *
+ * A zone is an IANA name ("Asia/Kolkata", "Europe/London") or a fixed UTC offset
+ * ("UTC+05:30"), as read from a sender's Date header.
+ */
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const formatters = new Map();
+
+/**
+ * Parses a fixed-offset zone
+ * @param {string} zone - e.g. "UTC+05:30"
+ * @returns {number|null} - Minutes east of UTC, or null for an IANA name
+ */
+function parseOffsetZone(zone) {
+    const match = String(zone).match(/^UTC([+-])(\d{2}):(\d{2})$/);
+    return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : null;
+}
+
+/**
+ * Gets a cached formatter that splits an instant into wall-clock parts in an IANA zone
+ * @param {string} zone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(zone) {
+    if (!formatters.has(zone)) {
+        try {
+            formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+            }));
+        } catch (error) {
+            throw new Error(`Unknown timezone "${zone}" (expected an IANA name such as Asia/Kolkata)`);
+        }
+    }
+    return formatters.get(zone);
+}
+
+/**
+ * Whether a zone name can be used
+ * @param {string} zone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(zone) {
+    if (!zone) {
+        return false;
+    }
+    if (parseOffsetZone(zone) !== null) {
+        return true;
+    }
+
+    try {
+        getFormatter(zone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Splits an instant into wall-clock parts in a zone
+ *
+ * @param {Date} date
+ * @param {string} [zone] - Default CLINIC_TIMEZONE
+ * @returns {Object} - { year, month, day, hours, minutes, weekday, dateKey } (dateKey as YYYY-MM-DD)
+ */
+export function getZonedParts(date, zone = config.CLINIC_TIMEZONE) {
+    let year, month, day, hours, minutes;
+
+    const offset = parseOffsetZone(zone);
+    if (offset !== null) {
+        const shifted = new Date(date.getTime() + offset * 60 * 1000);
+        [year, month, day, hours, minutes] = [shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate(),
+            shifted.getUTCHours(), shifted.getUTCMinutes()];
+    } else {
+        const parts = Object.fromEntries(getFormatter(zone).formatToParts(date).map(part => [part.type, part.value]));
+        [year, month, day, hours, minutes] = [parts.year, parts.month, parts.day, parts.hour, parts.minute].map(Number);
+    }
+
+    const dateKey = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return { year, month, day, hours, minutes, weekday: getWeekday(dateKey), dateKey };
+}
+
+/**
+ * Gets a zone's offset from UTC at an instant
+ *
+ * @param {Date} date
+ * @param {string} [zone] - Default CLINIC_TIMEZONE
+ * @returns {number} - Minutes east of UTC
+ */
+export function getOffsetMinutes(date, zone = config.CLINIC_TIMEZONE) {
+    const parts = getZonedParts(date, zone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes);
+    return Math.round((wallClock - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+}
+
+/**
+ * Converts a wall-clock time on a date in a zone to an instant
+ * A time skipped by a DST change moves forward by the change; a repeated time uses its second occurrence.
+ *
+ * @param {string} dateKey - YYYY-MM-DD
+ * @param {{ hours: number, minutes: number }} time - 24:00 is midnight at the end of the day
+ * @param {string} [zone] - Default CLINIC_TIMEZONE
+ * @returns {Date}
+ */
+export function zonedTimeToDate(dateKey, { hours, minutes }, zone = config.CLINIC_TIMEZONE) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+    // The offset at the guessed instant is right unless a DST change lies in between
+    const offset = getOffsetMinutes(new Date(wallClock), zone);
+    const corrected = getOffsetMinutes(new Date(wallClock - offset * 60 * 1000), zone);
+
+    return new Date(wallClock - corrected * 60 * 1000);
+}
+
+/**
+ * Gets the date (YYYY-MM-DD) an instant falls on in a zone
+ *
+ * @param {Date} date
+ * @param {string} [zone] - Default CLINIC_TIMEZONE
+ * @returns {string}
+ */
+export function toDateKey(date, zone = config.CLINIC_TIMEZONE) {
+    return getZonedParts(date, zone).dateKey;
+}
+
+/**
+ * Adds days to a YYYY-MM-DD date
+ *
+ * @param {string} dateKey
+ * @param {number} days - May be negative
+ * @returns {string}
+ */
+export function addDays(dateKey, days) {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Gets the weekday name of a YYYY-MM-DD date, e.g. "Monday"
+ * @param {string} dateKey
+ * @returns {string}
+ */
+export function getWeekday(dateKey) {
+    return WEEKDAYS[new Date(`${dateKey}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Reads the sender's UTC offset from an email Date header
+ * e.g. "Tue, 20 Oct 2026 10:00:00 +0100" → "UTC+01:00"
+ *
+ * @param {string} [dateHeader] - Raw Date header value
+ * @returns {string|null} - Fixed-offset zone, or null when the header has no numeric offset
+ */
+export function getTimeZoneFromDateHeader(dateHeader) {
+    const match = String(dateHeader || '').match(/([+-])(\d{2})(\d{2})\s*(?:\([^)]*\))?\s*$/);
+    if (!match || Number(match[2]) > 14 || Number(match[3]) > 59) {
+        return null;
+    }
+
+    return `UTC${match[1] === '-' && match[2] + match[3] !== '0000' ? '-' : '+'}${match[2]}:${match[3]}`;
+}
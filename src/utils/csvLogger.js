@@ -2,12 +2,13 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createObjectCsvWriter } from 'csv-writer';
+import { config } from '../config/env.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Define storage path
-const STORAGE_DIR = path.join(__dirname, '../../storage');
+const STORAGE_DIR = config.STORAGE_DIR || path.join(__dirname, '../../storage');
 const CSV_FILE_PATH = path.join(STORAGE_DIR, 'email_log.csv');
 
 /**
@@ -74,6 +75,8 @@ function sanitizeText(text) {
  * @param {string} emailData.messageId - Email Message-ID header (for reply support)
  * @param {string} emailData.body - Email body text
  * @param {Array<string>} emailData.attachments - Array of attachment filenames
+ * @param {string} emailData.account - Mailbox account id the email was read from
+ * @param {string} emailData.folder - Mailbox folder the email was read from
  */
 export async function logEmailToCSV(emailData) {
     try {
@@ -90,7 +93,9 @@ export async function logEmailToCSV(emailData) {
                 { id: 'threadId', title: 'threadId' },
                 { id: 'messageId', title: 'messageId' }, // ✅ Added for email reply support
                 { id: 'body', title: 'body' },
-                { id: 'attachments', title: 'attachments' }
+                { id: 'attachments', title: 'attachments' },
+                { id: 'account', title: 'account' }, // Appended last so older rows keep their column order
+                { id: 'folder', title: 'folder' }
             ],
             append: fileExists // Append if file exists, otherwise create new
         });
@@ -108,7 +113,9 @@ export async function logEmailToCSV(emailData) {
             threadId: emailData.threadId || '',
             messageId: emailData.messageId || '', // ✅ Store messageId with angle brackets for reply support
             body: sanitizeText(emailData.body), // Sanitize body text
-            attachments: attachmentsString
+            attachments: attachmentsString,
+            account: emailData.account || '',
+            folder: emailData.folder || ''
         };
 
         await csvWriter.writeRecords([record]);
@@ -0,0 +1,89 @@
+/**
+ * Minimal RFC 4180 CSV parser
+ * Handles quoted values containing commas, escaped quotes ("") and line breaks,
+ * which a plain split(',') corrupts.
+ */
+
+/**
+ * Parses CSV text into rows of string values
+ *
+ * @param {string} content - Raw CSV text
+ * @returns {Array<Array<string>>} - Rows (blank lines are skipped)
+ */
+export function parseCSV(content) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let inQuotes = false;
+
+    // Strip UTF-8 BOM if present
+    const text = content.charCodeAt(0) === 0xFEFF ? content.slice(1) : content;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    value += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                value += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(value);
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+
+    // Last row without trailing newline
+    if (value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+
+    return rows.filter(r => !(r.length === 1 && r[0].trim() === ''));
+}
+
+/**
+ * Parses CSV text with a header row into objects keyed by header
+ *
+ * @param {string} content - Raw CSV text
+ * @returns {{ headers: Array<string>, records: Array<Object> }}
+ */
+export function parseCSVRecords(content) {
+    const [headerRow, ...dataRows] = parseCSV(content);
+
+    if (!headerRow) {
+        return { headers: [], records: [] };
+    }
+
+    const headers = headerRow.map(h => h.trim());
+    const records = dataRows.map(values => {
+        const record = {};
+        headers.forEach((header, index) => {
+            record[header] = values[index] ?? '';
+        });
+        return record;
+    });
+
+    return { headers, records };
+}
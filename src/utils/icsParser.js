@@ -0,0 +1,117 @@
+/**
+ * Minimal iCalendar (RFC 5545) parser
+ * Reads the VEVENTs of a holiday calendar export: summary, start, end and status.
+ * Recurrence rules are returned as-is and not expanded; holiday feeds list each
+ * year's dates as separate events.
+ */
+
+/**
+ * Unescapes an iCalendar TEXT value
+ * @param {string} value
+ * @returns {string}
+ */
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Parses a DATE or DATE-TIME value
+ *
+ * @param {string} value - e.g. "20261225" or "20261225T090000Z"
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @returns {Object|null} - { date: "YYYY-MM-DD", time: { hours, minutes }|null, utc, tzid }, null when malformed
+ */
+function parseDateValue(value, params) {
+    const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) {
+        return null;
+    }
+
+    const [, year, month, day, hours, minutes, , utc] = match;
+
+    return {
+        date: `${year}-${month}-${day}`,
+        time: hours === undefined ? null : { hours: Number(hours), minutes: Number(minutes) },
+        utc: Boolean(utc),
+        tzid: params.TZID || null,
+    };
+}
+
+/**
+ * Splits one content line into name, parameters and value
+ * e.g. "DTSTART;VALUE=DATE:20261225" → { name: "DTSTART", params: { VALUE: "DATE" }, value: "20261225" }
+ *
+ * @param {string} line - Unfolded content line
+ * @returns {Object|null}
+ */
+function parseLine(line) {
+    // The value starts at the first colon outside a quoted parameter
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') {
+            inQuotes = !inQuotes;
+        } else if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+
+    if (colon === -1) {
+        return null;
+    }
+
+    const [name, ...paramParts] = line.slice(0, colon).split(';');
+    const params = {};
+    for (const part of paramParts) {
+        const [key, ...rest] = part.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    }
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parses iCalendar text into events
+ *
+ * @param {string} content - Raw .ics text
+ * @returns {Array<Object>} - { summary, start, end, rrule, status } per VEVENT (start/end from parseDateValue,
+ *   end null when the event has none); events without a valid DTSTART are skipped
+ */
+export function parseICS(content) {
+    // Unfold: a line starting with a space or tab continues the previous one
+    const lines = content.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+    const events = [];
+    let event = null;
+
+    for (const line of lines) {
+        const property = parseLine(line);
+        if (!property) {
+            continue;
+        }
+
+        if (property.name === 'BEGIN' && property.value.trim().toUpperCase() === 'VEVENT') {
+            event = { summary: '', start: null, end: null, rrule: null, status: null };
+        } else if (property.name === 'END' && property.value.trim().toUpperCase() === 'VEVENT') {
+            if (event && event.start) {
+                events.push(event);
+            }
+            event = null;
+        } else if (event) {
+            if (property.name === 'SUMMARY') {
+                event.summary = unescapeText(property.value).trim();
+            } else if (property.name === 'DTSTART') {
+                event.start = parseDateValue(property.value, property.params);
+            } else if (property.name === 'DTEND') {
+                event.end = parseDateValue(property.value, property.params);
+            } else if (property.name === 'RRULE') {
+                event.rrule = property.value.trim();
+            } else if (property.name === 'STATUS') {
+                event.status = property.value.trim().toUpperCase();
+            }
+        }
+    }
+
+    return events;
+}
@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import { getProcessingStage, listProcessingStages, saveProcessingStage } from '../db/repository.js';
+
+/**
+ * Processing Ledger
+ * Persistent record (processing_stages table) of which pipeline stages have
+ * completed for each email, keyed on Message-ID. Reprocessing an email skips
+ * completed stages and reuses their stored results, so a crash mid-pipeline
+ * never causes a double booking or a duplicate reply.
+ */
+
+/**
+ * Pipeline stages tracked in the ledger
+ */
+export const STAGES = {
+    LOGGED: 'logged',
+    CLASSIFIED: 'classified',
+    REFERRAL_EXTRACTED: 'referral_extracted',
+    EVENT_CREATED: 'event_created',
+    EVENT_MOVED: 'event_moved',
+    EVENT_CANCELLED: 'event_cancelled',
+    REPLY_SENT: 'reply_sent',
+};
+
+/**
+ * Builds the ledger key for an email
+ * Uses Message-ID, falling back to a hash of sender, date and subject
+ *
+ * @param {Object} emailData - Processed email data
+ * @returns {string}
+ */
+export function getLedgerKey(emailData) {
+    if (emailData.messageId) {
+        return emailData.messageId;
+    }
+
+    const hash = crypto.createHash('sha1')
+        .update(`${emailData.from}|${emailData.date}|${emailData.subject}`)
+        .digest('hex');
+
+    return `no-message-id:${hash}`;
+}
+
+/**
+ * Gets the ledger entry for an email
+ *
+ * @param {string} ledgerKey - Key from getLedgerKey()
+ * @returns {Object|null} - { messageId, stages: Array<{ stage, key, completedAt, result }> }
+ */
+export function getLedgerEntry(ledgerKey) {
+    const stages = listProcessingStages(ledgerKey);
+    return stages.length > 0 ? { messageId: ledgerKey, stages } : null;
+}
+
+/**
+ * Gets a completed stage record
+ *
+ * @param {string} ledgerKey - Key from getLedgerKey()
+ * @param {string} stage - One of STAGES
+ * @param {string} [key] - Sub-key for stages that happen more than once (e.g. one event per slot)
+ * @returns {Object|null} - { stage, key, completedAt, result }
+ */
+export function getCompletedStage(ledgerKey, stage, key) {
+    return getProcessingStage(ledgerKey, key ? `${stage}:${key}` : stage);
+}
+
+/**
+ * Records a stage as completed and persists the ledger immediately
+ *
+ * @param {string} ledgerKey - Key from getLedgerKey()
+ * @param {string} stage - One of STAGES
+ * @param {*} result - JSON-serializable stage result
+ * @param {string} [key] - Optional sub-key
+ */
+export function completeStage(ledgerKey, stage, result, key) {
+    saveProcessingStage(ledgerKey, key ? `${stage}:${key}` : stage, stage, key, result);
+}
+
+/**
+ * Runs a pipeline stage once per email
+ * If the stage already completed, its stored result is returned without running it again.
+ * The stage is only recorded when the function resolves; a throw leaves it pending.
+ *
+ * @param {string} ledgerKey - Key from getLedgerKey()
+ * @param {string} stage - One of STAGES
+ * @param {Function} fn - Async function performing the stage
+ * @param {Object} [options]
+ * @param {string} [options.key] - Optional sub-key
+ * @returns {Promise<*>} - Stage result (fresh or from the ledger)
+ */
+export async function runStage(ledgerKey, stage, fn, { key } = {}) {
+    const completed = getCompletedStage(ledgerKey, stage, key);
+
+    if (completed) {
+        console.log(`⏭️  Stage "${stage}${key ? `:${key}` : ''}" already completed at ${completed.completedAt}, skipping`);
+        return completed.result;
+    }
+
+    const result = await fn();
+    completeStage(ledgerKey, stage, result, key);
+    return result;
+}
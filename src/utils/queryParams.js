@@ -0,0 +1,17 @@
+/**
+ * Helpers for parsing API query params
+ */
+
+/**
+ * Parses a date query param into an ISO string
+ * Date-only values for the end of a range cover the whole day
+ *
+ * @param {string} value - Query param value
+ * @param {boolean} endOfDay - Treat YYYY-MM-DD as 23:59:59.999
+ * @returns {string|null} - ISO string, or null when invalid
+ */
+export function parseDateParam(value, endOfDay) {
+    const input = endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value;
+    const date = new Date(input);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
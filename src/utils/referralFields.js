@@ -0,0 +1,34 @@
+import { CANONICAL_FIELDS, EXTRAS_FIELD } from '../config/referralSchema.js';
+
+/**
+ * Validation for human-supplied referral field corrections
+ */
+
+/**
+ * Checks that a corrected value has a shape the extractor could have produced
+ * (string, number, null, or an array of strings/numbers)
+ *
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isValidFieldValue(value) {
+    const isScalar = v => v === null || typeof v === 'string' || typeof v === 'number';
+    return isScalar(value) || (Array.isArray(value) && value.every(v => v !== null && isScalar(v)));
+}
+
+/**
+ * Returns the names of fields that are not in the canonical schema or whose
+ * corrected values cannot be stored
+ *
+ * @param {Object} fields - Field name → corrected value
+ * @returns {Array<string>}
+ */
+export function findInvalidFields(fields) {
+    return Object.keys(fields).filter(field => {
+        if (field === EXTRAS_FIELD) {
+            const extras = fields[field];
+            return !extras || typeof extras !== 'object' || Array.isArray(extras) || !Object.values(extras).every(isValidFieldValue);
+        }
+        return !CANONICAL_FIELDS.includes(field) || !isValidFieldValue(fields[field]);
+    });
+}
@@ -2,12 +2,14 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { createObjectCsvWriter } from 'csv-writer';
+import { config } from '../config/env.js';
+import { parseCSV, parseCSVRecords } from './csvParser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Define storage path
-const STORAGE_DIR = path.join(__dirname, '../../storage');
+const STORAGE_DIR = config.STORAGE_DIR || path.join(__dirname, '../../storage');
 const REFERRALS_CSV_PATH = path.join(STORAGE_DIR, 'referrals.csv');
 
 /**
@@ -39,9 +41,9 @@ function getExistingHeaders() {
 
     try {
         const content = fs.readFileSync(REFERRALS_CSV_PATH, 'utf8');
-        const lines = content.split('\n');
-        if (lines.length > 0) {
-            return lines[0].split(',').map(h => h.trim());
+        const [headerRow] = parseCSV(content);
+        if (headerRow) {
+            return headerRow.map(h => h.trim());
         }
     } catch (error) {
         console.error('Error reading existing headers:', error.message);
@@ -52,7 +54,7 @@ function getExistingHeaders() {
 
 /**
  * Merges existing headers with new fields from extracted data
- * Maintains order: messageId, threadId, from, then alphabetically sorted extracted fields
+ * Maintains order: messageId, threadId, from, account, folder, then alphabetically sorted extracted fields
  * 
  * @param {Array<string>} existingHeaders - Current CSV headers
  * @param {Object} extractedData - New data with potential new fields
@@ -60,7 +62,7 @@ function getExistingHeaders() {
  */
 function mergeHeaders(existingHeaders, extractedData) {
     // Base required fields
-    const baseFields = ['messageId', 'threadId', 'from'];
+    const baseFields = ['messageId', 'threadId', 'from', 'account', 'folder'];
 
     // Get all fields from extracted data
     const extractedFields = Object.keys(extractedData).filter(
@@ -98,20 +100,26 @@ function mergeHeaders(existingHeaders, extractedData) {
  * @param {string} referralData.messageId - Email Message-ID
  * @param {string} referralData.threadId - Gmail thread ID
  * @param {string} referralData.from - Email sender
+ * @param {string} referralData.account - Mailbox account id the email was read from
+ * @param {string} referralData.folder - Mailbox folder the email was read from
  * @param {Object} referralData.extractedData - AI-extracted fields
  */
 export async function logReferralToCSV(referralData) {
     try {
         ensureStorageDirectory();
 
-        const { messageId, threadId, from, extractedData } = referralData;
+        const { messageId, threadId, from, account, folder, extractedData } = referralData;
+        const { extras, ...fields } = extractedData || {};
 
-        // Combine all data
+        // Combine all data (unmapped fields stay together in one JSON column)
         const fullData = {
             messageId,
             threadId,
             from,
-            ...extractedData
+            account,
+            folder,
+            ...fields,
+            extras: extras && Object.keys(extras).length > 0 ? JSON.stringify(extras) : ''
         };
 
         const fileExists = referralsCsvExists();
@@ -124,7 +132,7 @@ export async function logReferralToCSV(referralData) {
 
         if (headersChanged) {
             console.log('ℹ️  New columns detected, updating CSV structure...');
-            await rewriteCSVWithNewHeaders(existingHeaders, newHeaders);
+            await rewriteCSVWithNewHeaders(newHeaders);
         }
 
         // Create CSV writer with current headers
@@ -155,31 +163,19 @@ export async function logReferralToCSV(referralData) {
  * Rewrites the entire CSV file with new header structure
  * Preserves existing data and fills missing columns with empty strings
  * 
- * @param {Array<string>} oldHeaders - Previous headers
  * @param {Array<string>} newHeaders - New headers including added columns
  */
-async function rewriteCSVWithNewHeaders(oldHeaders, newHeaders) {
+async function rewriteCSVWithNewHeaders(newHeaders) {
     try {
-        // Read existing data
+        // Read and parse existing data (quoted values may contain commas and newlines)
         const content = fs.readFileSync(REFERRALS_CSV_PATH, 'utf8');
-        const lines = content.split('\n').filter(line => line.trim());
+        const { records: existingRecords } = parseCSVRecords(content);
 
-        if (lines.length <= 1) {
+        if (existingRecords.length === 0) {
             // Only header or empty, just update header
             return;
         }
 
-        // Parse existing records
-        const existingRecords = [];
-        for (let i = 1; i < lines.length; i++) {
-            const values = lines[i].split(',');
-            const record = {};
-            oldHeaders.forEach((header, index) => {
-                record[header] = values[index] || '';
-            });
-            existingRecords.push(record);
-        }
-
         // Create new CSV writer with new headers
         const header = newHeaders.map(h => ({ id: h, title: h }));
         const csvWriter = createObjectCsvWriter({
@@ -0,0 +1,80 @@
+/**
+ * Merges referral data extracted from several attachments (e.g. a form scanned
+ * as one image per page) into a single record.
+ *
+ * - A field found on only one attachment is taken as-is
+ * - Array fields (tooth numbers, procedures) are combined, since each page
+ *   may tick different boxes
+ * - Other fields with different non-empty values are flagged as conflicts;
+ *   the value read with the highest confidence is kept
+ */
+
+/**
+ * @param {Array<Object>} extractions - { filename, data, fieldConfidence } per referral-form attachment
+ * @returns {{ data: Object, fieldConfidence: Object, fieldSources: Object, conflicts: Array<Object> }}
+ *   fieldSources maps each field to the attachment filename(s) its value came from
+ */
+export function mergeExtractions(extractions) {
+    const data = {};
+    const fieldConfidence = {};
+    const fieldSources = {};
+    const candidates = {};
+
+    for (const { filename, data: fields, fieldConfidence: confidence = {} } of extractions) {
+        for (const [field, value] of Object.entries(fields)) {
+            if (!(field in data)) {
+                data[field] = null;
+                fieldSources[field] = [];
+            }
+
+            if (value === null || value === undefined || value === '') continue;
+
+            (candidates[field] ||= []).push({ value, attachment: filename, confidence: confidence[field] ?? null });
+        }
+    }
+
+    const conflicts = [];
+
+    for (const [field, values] of Object.entries(candidates)) {
+        if (values.every(v => Array.isArray(v.value))) {
+            data[field] = [...new Set(values.flatMap(v => v.value))];
+            fieldSources[field] = values.map(v => v.attachment);
+            fieldConfidence[field] = lowestConfidence(values);
+            continue;
+        }
+
+        const distinct = new Set(values.map(v => JSON.stringify(v.value)));
+        const best = values.reduce((a, b) => ((b.confidence ?? 0) > (a.confidence ?? 0) ? b : a));
+
+        data[field] = best.value;
+        fieldConfidence[field] = best.confidence;
+
+        if (distinct.size > 1) {
+            fieldSources[field] = [best.attachment];
+            conflicts.push({ field, chosen: best.value, values });
+        } else {
+            fieldSources[field] = values.map(v => v.attachment);
+        }
+    }
+
+    // Fields that were blank everywhere keep whatever confidence was reported for them
+    for (const field of Object.keys(data)) {
+        if (!(field in candidates)) {
+            const present = extractions.filter(e => field in e.data);
+            const reported = present.map(e => e.fieldConfidence?.[field]).filter(c => typeof c === 'number');
+            fieldConfidence[field] = reported.length > 0 ? Math.min(...reported) : null;
+            fieldSources[field] = present.map(e => e.filename);
+        }
+    }
+
+    return { data, fieldConfidence, fieldSources, conflicts };
+}
+
+/**
+ * @param {Array<Object>} values - Candidates with a confidence property
+ * @returns {number|null} - Lowest reported confidence, or null when none were reported
+ */
+function lowestConfidence(values) {
+    const reported = values.map(v => v.confidence).filter(c => typeof c === 'number');
+    return reported.length > 0 ? Math.min(...reported) : null;
+}
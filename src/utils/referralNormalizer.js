@@ -0,0 +1,154 @@
+import { CANONICAL_FIELDS, ARRAY_FIELDS, EXTRAS_FIELD, canonicalFieldName } from '../config/referralSchema.js';
+
+/**
+ * Referral Normalizer
+ * Turns extracted form labels into the canonical referral schema
+ * (see src/config/referralSchema.js).
+ */
+
+/**
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Works out the key each extracted label is stored under
+ * When several labels map to the same canonical field, the first non-empty one
+ * wins and the others keep their original label (and end up in extras); blank
+ * duplicates are dropped.
+ *
+ * @param {Object} data - Extracted fields keyed by label
+ * @returns {Object} - Label → key, or null for labels to drop
+ */
+function buildRenames(data) {
+    const renames = {};
+    const taken = new Set();
+
+    // Non-empty values get first claim on a canonical field
+    const labels = Object.keys(data).sort((a, b) => isEmpty(data[a]) - isEmpty(data[b]));
+
+    for (const label of labels) {
+        const field = canonicalFieldName(label);
+
+        if (field && !taken.has(field)) {
+            renames[label] = field;
+            taken.add(field);
+        } else if (field && isEmpty(data[label])) {
+            renames[label] = null; // blank duplicate of a field we already have
+        } else {
+            renames[label] = label;
+        }
+    }
+
+    return renames;
+}
+
+/**
+ * Re-keys an object using a label → key map, keeping the original key order
+ *
+ * @param {Object} object
+ * @param {Object} renames
+ * @returns {Object}
+ */
+function renameKeys(object, renames) {
+    const renamed = {};
+    for (const [key, value] of Object.entries(object || {})) {
+        if (renames[key] === null) continue;
+        renamed[renames[key] || key] = value;
+    }
+    return renamed;
+}
+
+/**
+ * Coerces comma-separated tooth numbers / procedures into arrays
+ *
+ * @param {*} value
+ * @returns {Array|null}
+ */
+function toArray(value) {
+    if (isEmpty(value)) return null;
+
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items
+        .map(item => (typeof item === 'string' ? item.trim() : item))
+        .filter(item => item !== '')
+        .map(item => (typeof item === 'string' && /^\d+$/.test(item) ? Number(item) : item));
+}
+
+/**
+ * Renames the labels of one extraction to canonical fields, keeping the result flat
+ * so extractions from several attachments can be merged field by field
+ *
+ * @param {Object} extraction - { data, fieldConfidence }
+ * @returns {Object} - { data, fieldConfidence } with canonical keys where a synonym matched
+ */
+export function normalizeFieldLabels({ data, fieldConfidence = {} }) {
+    const renames = buildRenames(data);
+
+    return {
+        data: renameKeys(data, renames),
+        fieldConfidence: renameKeys(fieldConfidence, renames),
+    };
+}
+
+/**
+ * Builds a canonical referral record from flat (already renamed) fields
+ * Every canonical field is present (null when not on the form); anything else goes in extras
+ *
+ * @param {Object} fields - Flat fields
+ * @returns {Object} - Canonical record with an extras bag
+ */
+export function toReferralRecord(fields) {
+    const record = {};
+    const extras = {};
+
+    for (const field of CANONICAL_FIELDS) {
+        record[field] = null;
+    }
+
+    for (const [key, value] of Object.entries(fields || {})) {
+        if (CANONICAL_FIELDS.includes(key)) {
+            record[key] = ARRAY_FIELDS.includes(key) ? toArray(value) : value;
+        } else {
+            extras[key] = value;
+        }
+    }
+
+    record[EXTRAS_FIELD] = extras;
+    return record;
+}
+
+/**
+ * Normalizes a stored referral of any age (raw form labels or an earlier canonical
+ * record) against the current synonym map. Safe to run repeatedly: labels parked in
+ * extras move into canonical fields once a synonym for them is added.
+ *
+ * @param {Object} referral
+ * @param {Object} referral.data - Extracted (or corrected) fields
+ * @param {Object} [referral.fieldConfidence] - Field → confidence
+ * @param {Object} [referral.fieldSources] - Field → attachment filename(s)
+ * @param {Array<Object>} [referral.conflicts] - { field, ... } entries
+ * @returns {Object} - { data, fieldConfidence, fieldSources, conflicts, renames }
+ */
+export function normalizeReferral({ data, fieldConfidence, fieldSources, conflicts }) {
+    const { [EXTRAS_FIELD]: extras, ...fields } = data || {};
+    const flat = { ...fields, ...(extras && typeof extras === 'object' ? extras : {}) };
+
+    // Canonical fields left empty by an earlier pass must not block a label from claiming them
+    for (const field of CANONICAL_FIELDS) {
+        if (isEmpty(flat[field])) delete flat[field];
+    }
+
+    const renames = buildRenames(flat);
+
+    return {
+        data: toReferralRecord(renameKeys(flat, renames)),
+        fieldConfidence: fieldConfidence ? renameKeys(fieldConfidence, renames) : fieldConfidence,
+        fieldSources: fieldSources ? renameKeys(fieldSources, renames) : fieldSources,
+        conflicts: conflicts ? conflicts.map(c => ({ ...c, field: renames[c.field] || c.field })) : conflicts,
+        renames,
+    };
+}
@@ -0,0 +1,185 @@
+import { config } from '../config/env.js';
+import { KNOWN_PROCEDURES, EXTRAS_FIELD } from '../config/referralSchema.js';
+
+/**
+ * Referral Validator
+ * Deterministic checks for the rules the extraction prompt asks the model to follow:
+ *   - phone numbers are digits only and a plausible length
+ *   - dates are real DD/MM/YYYY calendar dates
+ *   - reasonForReferral holds FDI tooth codes (permanent 11-48, deciduous 51-85)
+ *   - selectedProcedures come from the known procedure list
+ *
+ * OCR slips in numeric values (I, l or | for 1, O for 0) are fixed automatically.
+ * Anything else that fails is reported as invalid and left as extracted.
+ */
+
+// Valid FDI tooth numbers: permanent 11-48, deciduous 51-85
+const VALID_TOOTH_NUMBER = /^([1-4][1-8]|[5-8][1-5])$/;
+
+// Extras labels holding phone/fax numbers
+const PHONE_LABEL = /phone|mobile|fax|tel/i;
+
+const DATE_FIELDS = ['patientDateOfBirth', 'xraysDate'];
+
+/**
+ * Replaces letters commonly misread for digits
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function fixDigits(value) {
+    return value.replace(/[Il|]/g, '1').replace(/[Oo]/g, '0');
+}
+
+/**
+ * @param {string} procedure
+ * @returns {string}
+ */
+function procedureKey(procedure) {
+    return String(procedure).toLowerCase().replace(/[^a-z]/g, '');
+}
+
+/**
+ * Validates a phone number
+ *
+ * @param {*} value
+ * @returns {{ value: *, reason: string|null }} - Fixed value, and the reason it is invalid (null when valid)
+ */
+function validatePhone(value) {
+    const fixed = fixDigits(String(value));
+    const formatting = /^\+?[\d\s\-().]+$/;
+
+    if (!formatting.test(fixed)) {
+        return { value, reason: 'phone number contains letters or symbols' };
+    }
+
+    const digits = fixed.replace(/\D/g, '').length;
+    if (digits < config.REFERRAL_PHONE_MIN_DIGITS || digits > config.REFERRAL_PHONE_MAX_DIGITS) {
+        return { value: fixed, reason: `phone number has ${digits} digits (expected ${config.REFERRAL_PHONE_MIN_DIGITS}-${config.REFERRAL_PHONE_MAX_DIGITS})` };
+    }
+
+    return { value: fixed, reason: null };
+}
+
+/**
+ * Validates a DD/MM/YYYY date (also accepts - or . separators and single-digit day/month)
+ *
+ * @param {*} value
+ * @param {string} field - Field name (dates of birth can't be in the future)
+ * @returns {{ value: *, reason: string|null }}
+ */
+function validateDate(value, field) {
+    const fixed = fixDigits(String(value).trim());
+    const match = fixed.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+
+    if (!match) {
+        return { value, reason: 'date is not in DD/MM/YYYY format' };
+    }
+
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return { value, reason: 'not a real calendar date' };
+    }
+
+    if (field === 'patientDateOfBirth' && (date > new Date() || year < 1900)) {
+        return { value, reason: 'date of birth is in the future or before 1900' };
+    }
+
+    const formatted = `${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}/${year}`;
+    return { value: formatted, reason: null };
+}
+
+/**
+ * Validates FDI tooth codes
+ *
+ * @param {*} value
+ * @returns {{ value: *, reason: string|null }}
+ */
+function validateTeeth(value) {
+    if (!Array.isArray(value)) {
+        return { value, reason: 'tooth numbers must be a list' };
+    }
+
+    const fixed = value.map(tooth => {
+        const digits = fixDigits(String(tooth).trim());
+        return /^\d+$/.test(digits) ? Number(digits) : tooth;
+    });
+
+    const invalid = fixed.filter(tooth => !VALID_TOOTH_NUMBER.test(String(tooth)));
+    return {
+        value: fixed,
+        reason: invalid.length > 0 ? `invalid FDI tooth number(s): ${invalid.join(', ')}` : null,
+    };
+}
+
+/**
+ * Validates procedures against the known list, fixing case and punctuation
+ *
+ * @param {*} value
+ * @returns {{ value: *, reason: string|null }}
+ */
+function validateProcedures(value) {
+    if (!Array.isArray(value)) {
+        return { value, reason: 'procedures must be a list' };
+    }
+
+    const known = new Map(KNOWN_PROCEDURES.map(procedure => [procedureKey(procedure), procedure]));
+    const fixed = value.map(procedure => known.get(procedureKey(procedure)) || procedure);
+    const unknown = fixed.filter(procedure => !KNOWN_PROCEDURES.includes(procedure));
+
+    return {
+        value: fixed,
+        reason: unknown.length > 0 ? `unknown procedure(s): ${unknown.join(', ')}` : null,
+    };
+}
+
+/**
+ * Validates a canonical referral record
+ *
+ * @param {Object} record - Canonical referral record (see toReferralRecord)
+ * @param {Object} [options]
+ * @param {boolean} [options.autoFix=true] - Apply fixes; when false only report problems
+ * @returns {{ data: Object, corrections: Array<Object>, invalid: Array<Object> }}
+ *   data: record with fixes applied
+ *   corrections: { field, from, to } for each automatic fix
+ *   invalid: { field, value, reason } for each value that could not be fixed
+ */
+export function validateReferral(record, { autoFix = true } = {}) {
+    const data = { ...record, [EXTRAS_FIELD]: { ...(record[EXTRAS_FIELD] || {}) } };
+    const corrections = [];
+    const invalid = [];
+
+    const check = (field, value, validator, apply) => {
+        if (value === null || value === undefined || value === '') return;
+
+        const result = validator(value);
+        const changed = JSON.stringify(result.value) !== JSON.stringify(value);
+
+        if (autoFix && changed) {
+            apply(result.value);
+            corrections.push({ field, from: value, to: result.value });
+        }
+        if (result.reason) {
+            invalid.push({ field, value: autoFix ? result.value : value, reason: result.reason });
+        }
+    };
+
+    check('patientPhone', data.patientPhone, validatePhone, v => { data.patientPhone = v; });
+
+    for (const [label, value] of Object.entries(data[EXTRAS_FIELD])) {
+        if (PHONE_LABEL.test(label)) {
+            check(label, value, validatePhone, v => { data[EXTRAS_FIELD][label] = v; });
+        }
+    }
+
+    for (const field of DATE_FIELDS) {
+        check(field, data[field], v => validateDate(v, field), v => { data[field] = v; });
+    }
+
+    check('reasonForReferral', data.reasonForReferral, validateTeeth, v => { data.reasonForReferral = v; });
+    check('selectedProcedures', data.selectedProcedures, validateProcedures, v => { data.selectedProcedures = v; });
+
+    return { data, corrections, invalid };
+}
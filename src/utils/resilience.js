@@ -0,0 +1,209 @@
+import { config } from '../config/env.js';
+
+/**
+ * Resilience for external dependencies (LLM provider, Google Calendar, SMTP)
+ * Every call goes through callDependency(), which retries transient failures
+ * with jittered exponential backoff and keeps a circuit breaker per dependency.
+ * After CIRCUIT_FAILURE_THRESHOLD consecutive failed calls the circuit opens and
+ * calls fail fast for CIRCUIT_RESET_MS, then one trial call is let through.
+ *
+ * When a dependency is down the call throws DependencyUnavailableError. The
+ * pipeline lets that error through instead of falling back to a default answer,
+ * and the email is left unseen with outcome 'deferred' so a later check retries it.
+ */
+
+/**
+ * Thrown when a dependency is down (retries used up, or its circuit is open)
+ */
+export class DependencyUnavailableError extends Error {
+    /**
+     * @param {string} dependency - Dependency name, e.g. "calendar"
+     * @param {string} message
+     * @param {Error} [cause] - Last underlying error
+     */
+    constructor(dependency, message, cause) {
+        super(message, { cause });
+        this.name = 'DependencyUnavailableError';
+        this.dependency = dependency;
+    }
+}
+
+// HTTP statuses worth retrying (529 = Anthropic overloaded)
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504, 529];
+
+// Google APIs report rate limiting as 403 with one of these reasons, not as 429
+const GOOGLE_RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+// Network and SMTP connection failures from Node, googleapis and nodemailer
+const TRANSIENT_CODES = [
+    'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE',
+    'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH',
+    'ECONNECTION', 'ESOCKET', 'EDNS',
+];
+
+/**
+ * Reasons Google APIs gave for an error (googleapis puts them in errors, or in the response body)
+ *
+ * @param {Error} error
+ * @returns {Array<string>}
+ */
+function getGoogleErrorReasons(error) {
+    const errors = error.errors || error.response?.data?.error?.errors || [];
+    return Array.isArray(errors) ? errors.map(e => e?.reason).filter(Boolean) : [];
+}
+
+/**
+ * Whether an error is worth retrying
+ * Rate limits, overloads, server errors, timeouts, dropped connections and
+ * SMTP 4xx replies are transient; bad requests and auth failures are not.
+ * Calendar rate limits arrive as 403 and are recognised by their reason.
+ *
+ * @param {Error} error
+ * @param {string} [dependency] - Dependency that raised it, e.g. "calendar"
+ * @returns {boolean}
+ */
+export function isTransientError(error, dependency) {
+    if (!error) {
+        return false;
+    }
+
+    if (dependency === 'calendar' && getGoogleErrorReasons(error).some(reason => GOOGLE_RATE_LIMIT_REASONS.includes(reason))) {
+        return true;
+    }
+
+    // googleapis reports the HTTP status in code, sometimes as a string
+    const status = error.status ?? error.response?.status ?? (/^\d{3}$/.test(String(error.code)) ? error.code : null);
+    if (status !== null && status !== undefined) {
+        return TRANSIENT_STATUSES.includes(Number(status));
+    }
+
+    if (error.responseCode) {
+        return error.responseCode >= 400 && error.responseCode < 500;
+    }
+
+    if (TRANSIENT_CODES.includes(error.code) || TRANSIENT_CODES.includes(error.cause?.code)) {
+        return true;
+    }
+
+    // Connection and timeout errors raised by the Anthropic SDK carry no code
+    return ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor?.name);
+}
+
+/**
+ * Whether an error means a dependency was down
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isDependencyUnavailable(error) {
+    return error instanceof DependencyUnavailableError;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Backoff before retry n (1-based): exponential, capped, with jitter
+ *
+ * @param {number} attempt - Retry number
+ * @returns {number} - Delay in ms
+ */
+function getRetryDelay(attempt) {
+    const baseDelay = Math.min(config.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), config.RETRY_MAX_DELAY_MS);
+    return Math.round(baseDelay / 2 + Math.random() * baseDelay / 2);
+}
+
+// Dependency name → { state, failures, openedAt, lastError }
+const circuits = new Map();
+
+/**
+ * Returns the circuit for a dependency, creating it closed
+ * @param {string} dependency
+ * @returns {Object}
+ */
+function getCircuit(dependency) {
+    if (!circuits.has(dependency)) {
+        circuits.set(dependency, { state: 'closed', failures: 0, openedAt: null, lastError: null });
+    }
+    return circuits.get(dependency);
+}
+
+/**
+ * Runs a call to an external dependency with retries and circuit breaking
+ * Errors that aren't transient are thrown unchanged and don't count against the circuit.
+ *
+ * @param {string} dependency - Dependency name, e.g. "anthropic", "calendar", "smtp"
+ * @param {Function} fn - Async function making the call
+ * @param {Object} [options]
+ * @param {number} [options.attempts] - Total attempts (default RETRY_MAX_ATTEMPTS)
+ * @returns {Promise<*>} - Result of fn
+ * @throws {DependencyUnavailableError} - When the dependency is down
+ */
+export async function callDependency(dependency, fn, { attempts = config.RETRY_MAX_ATTEMPTS } = {}) {
+    const circuit = getCircuit(dependency);
+
+    if (circuit.state === 'open') {
+        const retryInMs = circuit.openedAt + config.CIRCUIT_RESET_MS - Date.now();
+        if (retryInMs > 0) {
+            throw new DependencyUnavailableError(dependency,
+                `${dependency} unavailable: circuit open after repeated failures (${circuit.lastError}), retrying in ${Math.ceil(retryInMs / 1000)}s`);
+        }
+        circuit.state = 'half_open';
+        console.log(`🔌 ${dependency} circuit half-open, trying one call`);
+    }
+
+    // A half-open circuit gets a single trial call
+    const maxAttempts = circuit.state === 'half_open' ? 1 : Math.max(attempts, 1);
+    let lastError;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        try {
+            const result = await fn();
+
+            if (circuit.state !== 'closed') {
+                console.log(`✅ ${dependency} circuit closed again`);
+            }
+            circuit.state = 'closed';
+            circuit.failures = 0;
+            circuit.openedAt = null;
+
+            return result;
+
+        } catch (error) {
+            if (!isTransientError(error, dependency)) {
+                throw error;
+            }
+
+            lastError = error;
+
+            if (attempt < maxAttempts) {
+                const delay = getRetryDelay(attempt);
+                console.log(`🔁 ${dependency} call failed (${error.message}), retry ${attempt}/${maxAttempts - 1} in ${delay}ms`);
+                await sleep(delay);
+            }
+        }
+    }
+
+    circuit.failures++;
+    circuit.lastError = lastError.message;
+
+    if (circuit.state === 'half_open' || circuit.failures >= config.CIRCUIT_FAILURE_THRESHOLD) {
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+        console.error(`🚫 ${dependency} circuit open for ${Math.round(config.CIRCUIT_RESET_MS / 1000)}s after ${circuit.failures} failed call(s)`);
+    }
+
+    throw new DependencyUnavailableError(dependency, `${dependency} unavailable: ${lastError.message}`, lastError);
+}
+
+/**
+ * Returns the state of every dependency circuit that has been used
+ * @returns {Array<Object>} - { dependency, state, failures, openedAt, lastError }
+ */
+export function getCircuitStates() {
+    return [...circuits.entries()].map(([dependency, circuit]) => ({
+        dependency,
+        state: circuit.state,
+        failures: circuit.failures,
+        openedAt: circuit.openedAt ? new Date(circuit.openedAt).toISOString() : null,
+        lastError: circuit.lastError,
+    }));
+}
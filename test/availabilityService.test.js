@@ -0,0 +1,240 @@
+import { writeStorageFile } from './helpers/offline.js';
+import { describe, test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config/env.js';
+import {
+    getHorizonDates, generateSlots, buildSlot, slotsOverlap, removeBookedSlots, getClosures, readExceptions, EXCEPTION_KINDS,
+} from '../src/services/availabilityService.js';
+
+/**
+ * Slot generation in a London clinic, with the clock fixed to Monday 23 March 2026
+ * 09:15 (GMT; British Summer Time starts on Sunday 29 March)
+ */
+
+const consultation = { id: 'consultation', label: 'Consultation', durationMinutes: 30, bufferMinutes: 0, days: null };
+const extraction = { id: 'extraction', label: 'Extraction', durationMinutes: 60, bufferMinutes: 15, days: null };
+
+const weekly = [
+    { doctor: 'Dr Rishabh', day: 'Monday', start: '9:00 AM', end: '11:00 AM' },
+    { doctor: 'Dr Rishabh', day: 'Tuesday', start: '9:00 AM', end: '1:00 PM' },
+];
+
+/**
+ * Start times as ISO strings for the slots on one date
+ */
+function startsOn(slots, date) {
+    return slots.filter(slot => slot.date === date).map(slot => slot.startTime.toISOString());
+}
+
+before(() => {
+    config.CLINIC_TIMEZONE = 'Europe/London';
+    config.SLOT_INTERVAL_MINUTES = 30;
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-23T09:15:00Z') });
+});
+
+after(() => {
+    mock.timers.reset();
+});
+
+describe('booking horizon', () => {
+    test('starts today in clinic time and runs for the given number of days', () => {
+        const dates = getHorizonDates(14);
+
+        assert.equal(dates.length, 14);
+        assert.equal(dates[0], '2026-03-23');
+        assert.equal(dates[13], '2026-04-05');
+    });
+
+    test('repeats the weekly pattern across the horizon and skips slots that have started', () => {
+        const slots = generateSlots(weekly, { days: 14, type: consultation });
+
+        // Today's 09:00 has started; 09:30 onwards is still bookable
+        assert.deepEqual(startsOn(slots, '2026-03-23'), [
+            '2026-03-23T09:30:00.000Z', '2026-03-23T10:00:00.000Z', '2026-03-23T10:30:00.000Z',
+        ]);
+        assert.equal(startsOn(slots, '2026-03-24').length, 8);
+        assert.equal(startsOn(slots, '2026-03-30').length, 4);
+        assert.equal(startsOn(slots, '2026-03-31').length, 8);
+        assert.deepEqual([...new Set(slots.map(slot => slot.day))], ['Monday', 'Tuesday']);
+    });
+
+    test('a shorter horizon offers fewer weeks', () => {
+        const slots = generateSlots(weekly, { days: 7, type: consultation });
+
+        assert.ok(slots.every(slot => slot.date <= '2026-03-29'));
+    });
+});
+
+describe('appointment types', () => {
+    test('a longer type only starts where it still ends within the session', () => {
+        const slots = generateSlots(weekly, { days: 7, type: extraction });
+
+        // Tuesday 9:00 AM - 1:00 PM: the last hour-long slot starts at 12:00
+        assert.deepEqual(startsOn(slots, '2026-03-24'), [
+            '2026-03-24T09:00:00.000Z', '2026-03-24T09:30:00.000Z', '2026-03-24T10:00:00.000Z', '2026-03-24T10:30:00.000Z',
+            '2026-03-24T11:00:00.000Z', '2026-03-24T11:30:00.000Z', '2026-03-24T12:00:00.000Z',
+        ]);
+        assert.ok(slots.every(slot => slot.type === 'extraction' && slot.bufferMinutes === 15));
+    });
+
+    test('slots are only offered on the type\'s allowed days', () => {
+        const slots = generateSlots(weekly, { days: 14, type: { ...extraction, days: ['Tuesday'] } });
+
+        assert.deepEqual([...new Set(slots.map(slot => slot.date))], ['2026-03-24', '2026-03-31']);
+    });
+
+    test('a buffer makes back-to-back slots collide', () => {
+        const at = (time, minutes, type) => {
+            const start = new Date(`2026-03-24T${time}:00Z`);
+            return buildSlot(start, new Date(start.getTime() + minutes * 60 * 1000), type);
+        };
+
+        // 9:00 - 10:00 plus 15 minutes turnover blocks until 10:15
+        assert.equal(slotsOverlap(at('09:00', 60, extraction), at('10:00', 60, extraction)), true);
+        assert.equal(slotsOverlap(at('10:00', 60, extraction), at('09:00', 60, extraction)), true);
+        assert.equal(slotsOverlap(at('09:00', 60, extraction), at('10:30', 60, extraction)), false);
+
+        // Without a buffer, slots that only touch don't collide
+        assert.equal(slotsOverlap(at('09:00', 30, consultation), at('09:30', 30, consultation)), false);
+        assert.equal(slotsOverlap(at('09:00', 30, consultation), at('09:15', 30, consultation)), true);
+    });
+
+    test('a calendar event inside a slot\'s buffer takes the slot', () => {
+        const slots = generateSlots(weekly, { days: 2, type: extraction }).filter(slot => slot.date === '2026-03-24');
+        const event = { start: '2026-03-24T11:05:00Z', end: '2026-03-24T11:30:00Z' };
+
+        const free = startsOn(removeBookedSlots(slots, [event]), '2026-03-24');
+
+        // 10:00 - 11:00 keeps 11:00 - 11:15 free for turnover, so it is taken as well
+        assert.ok(!free.includes('2026-03-24T10:00:00.000Z'));
+        assert.ok(free.includes('2026-03-24T09:30:00.000Z'));
+        assert.ok(free.includes('2026-03-24T11:30:00.000Z'));
+    });
+});
+
+describe('exceptions', () => {
+    const closed = (date, start = null, end = null, doctor = null) =>
+        ({ doctor, date, kind: EXCEPTION_KINDS.CLOSED, start, end, reason: 'Staff training' });
+    const extra = (date, start, end) =>
+        ({ doctor: 'Dr Rishabh', date, kind: EXCEPTION_KINDS.EXTRA, start, end, reason: 'Extra clinic' });
+
+    test('a day closed all day has no slots', () => {
+        const slots = generateSlots(weekly, { days: 14, type: consultation, exceptions: [closed('2026-03-24')] });
+
+        assert.deepEqual(startsOn(slots, '2026-03-24'), []);
+        assert.equal(startsOn(slots, '2026-03-31').length, 8);
+    });
+
+    test('a partial-day block removes only the slots it overlaps', () => {
+        const exceptions = [closed('2026-03-24', { hours: 10, minutes: 15 }, { hours: 11, minutes: 0 })];
+        const slots = generateSlots(weekly, { days: 7, type: consultation, exceptions });
+
+        assert.deepEqual(startsOn(slots, '2026-03-24'), [
+            '2026-03-24T09:00:00.000Z', '2026-03-24T09:30:00.000Z',
+            '2026-03-24T11:00:00.000Z', '2026-03-24T11:30:00.000Z', '2026-03-24T12:00:00.000Z', '2026-03-24T12:30:00.000Z',
+        ]);
+    });
+
+    test('an extra Saturday session adds slots on that date only', () => {
+        const exceptions = [extra('2026-03-28', { hours: 9, minutes: 0 }, { hours: 10, minutes: 30 })];
+        const slots = generateSlots(weekly, { days: 14, type: consultation, exceptions });
+
+        assert.deepEqual(startsOn(slots, '2026-03-28'), [
+            '2026-03-28T09:00:00.000Z', '2026-03-28T09:30:00.000Z', '2026-03-28T10:00:00.000Z',
+        ]);
+        assert.equal(slots.filter(slot => slot.day === 'Saturday').length, 3);
+    });
+
+    test('an extra session overlapping the weekly hours doesn\'t offer a start twice', () => {
+        const exceptions = [extra('2026-03-24', { hours: 12, minutes: 0 }, { hours: 14, minutes: 0 })];
+        const slots = generateSlots(weekly, { days: 7, type: consultation, exceptions });
+        const starts = startsOn(slots, '2026-03-24');
+
+        assert.equal(starts.length, new Set(starts).size);
+        assert.equal(starts.at(-1), '2026-03-24T13:30:00.000Z');
+    });
+
+    test('closures are listed on days the doctor would otherwise work', () => {
+        const exceptions = [
+            closed('2026-03-24'),
+            closed('2026-03-25'), // Wednesday: not a working day, nothing to explain
+            closed('2026-03-28', { hours: 9, minutes: 0 }, { hours: 9, minutes: 30 }, 'Dr Rishabh'),
+            extra('2026-03-28', { hours: 9, minutes: 0 }, { hours: 10, minutes: 30 }),
+        ];
+
+        assert.deepEqual(getClosures(weekly, exceptions, { days: 14 }), [
+            { day: 'Tuesday', date: '2026-03-24', start: null, end: null, reason: 'Staff training', clinicWide: true },
+            {
+                day: 'Saturday', date: '2026-03-28', start: { hours: 9, minutes: 0 }, end: { hours: 9, minutes: 30 },
+                reason: 'Staff training', clinicWide: false,
+            },
+        ]);
+    });
+
+    test('an all-day holiday in the ICS calendar closes the clinic on each of its days', () => {
+        writeStorageFile('holidays.ics', [
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'SUMMARY:Easter Monday',
+            'DTSTART;VALUE=DATE:20260330',
+            'DTEND;VALUE=DATE:20260331',
+            'END:VEVENT',
+            'END:VCALENDAR',
+        ].join('\r\n'));
+
+        const exceptions = readExceptions('Dr Rishabh');
+        const slots = generateSlots(weekly, { days: 14, type: consultation, exceptions });
+
+        assert.deepEqual(exceptions, [
+            { doctor: null, date: '2026-03-30', kind: EXCEPTION_KINDS.CLOSED, start: null, end: null, reason: 'Easter Monday' },
+        ]);
+        assert.deepEqual(startsOn(slots, '2026-03-30'), []);
+        assert.equal(startsOn(slots, '2026-03-31').length, 8);
+    });
+
+    test('exceptions CSV rows apply to their doctor or, with no doctor, to everyone', () => {
+        writeStorageFile('holidays.ics', '');
+        writeStorageFile('availability_exceptions.csv', [
+            'doctor,from,to,kind,start,end,reason',
+            'Dr Rishabh,2026-03-24,2026-03-25,closed,,,Conference',
+            'Dr Priya Mehta,2026-03-26,,closed,,,Leave',
+            ',2026-03-27,,closed,9:00 AM,10:00 AM,Fire drill',
+            'Dr Rishabh,2026-13-01,,closed,,,Not a date',
+        ].join('\n'));
+
+        const exceptions = readExceptions('Dr Rishabh');
+
+        assert.deepEqual(exceptions.map(exception => [exception.date, exception.reason]), [
+            ['2026-03-24', 'Conference'], ['2026-03-25', 'Conference'], ['2026-03-27', 'Fire drill'],
+        ]);
+        assert.deepEqual(exceptions[2].start, { hours: 9, minutes: 0 });
+    });
+});
+
+describe('clinic timezone', () => {
+    test('the same wall-clock hours move an hour earlier in UTC once summer time starts', () => {
+        const slots = generateSlots(weekly, { days: 14, type: consultation });
+
+        assert.equal(startsOn(slots, '2026-03-24')[0], '2026-03-24T09:00:00.000Z');
+        assert.equal(startsOn(slots, '2026-03-31')[0], '2026-03-31T08:00:00.000Z');
+        assert.match(slots.find(slot => slot.date === '2026-03-31').label, /09:00 AM to 09:30 AM/);
+    });
+
+    test('a session on the day the clocks go forward only offers the hours that exist', () => {
+        // 12:30 AM GMT to 3:00 AM BST is an hour and a half
+        const exceptions = [{
+            doctor: null, date: '2026-03-29', kind: EXCEPTION_KINDS.EXTRA,
+            start: { hours: 0, minutes: 30 }, end: { hours: 3, minutes: 0 }, reason: null,
+        }];
+        const slots = generateSlots([], { days: 14, type: consultation, exceptions });
+
+        assert.deepEqual(startsOn(slots, '2026-03-29'), [
+            '2026-03-29T00:30:00.000Z', '2026-03-29T01:00:00.000Z', '2026-03-29T01:30:00.000Z',
+        ]);
+        assert.deepEqual(slots.map(slot => slot.label), [
+            'Sunday 29/3/2026 — 12:30 AM to 02:00 AM',
+            'Sunday 29/3/2026 — 02:00 AM to 02:30 AM',
+            'Sunday 29/3/2026 — 02:30 AM to 03:00 AM',
+        ]);
+    });
+});
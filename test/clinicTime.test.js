@@ -0,0 +1,69 @@
+import './helpers/offline.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getZonedParts, getOffsetMinutes, zonedTimeToDate, toDateKey, addDays, getWeekday, isValidTimeZone, getTimeZoneFromDateHeader,
+} from '../src/utils/clinicTime.js';
+
+const at = (hours, minutes = 0) => ({ hours, minutes });
+
+test('wall-clock times convert with the offset in force on that date', () => {
+    assert.equal(zonedTimeToDate('2026-03-27', at(9), 'Europe/London').toISOString(), '2026-03-27T09:00:00.000Z');
+    assert.equal(zonedTimeToDate('2026-03-30', at(9), 'Europe/London').toISOString(), '2026-03-30T08:00:00.000Z');
+    assert.equal(zonedTimeToDate('2026-10-20', at(9, 30), 'Asia/Kolkata').toISOString(), '2026-10-20T04:00:00.000Z');
+    assert.equal(zonedTimeToDate('2026-03-08', at(9), 'America/New_York').toISOString(), '2026-03-08T13:00:00.000Z');
+});
+
+test('a time skipped when the clocks go forward moves forward by the change', () => {
+    // 1:30 AM doesn't exist in London on 29 March 2026; it becomes 2:30 AM BST
+    const date = zonedTimeToDate('2026-03-29', at(1, 30), 'Europe/London');
+
+    assert.equal(date.toISOString(), '2026-03-29T01:30:00.000Z');
+    assert.deepEqual([getZonedParts(date, 'Europe/London').hours, getZonedParts(date, 'Europe/London').minutes], [2, 30]);
+});
+
+test('a time repeated when the clocks go back uses its second occurrence', () => {
+    // 1:30 AM happens twice in London on 25 October 2026: 00:30Z (BST), then 01:30Z (GMT)
+    assert.equal(zonedTimeToDate('2026-10-25', at(1, 30), 'Europe/London').toISOString(), '2026-10-25T01:30:00.000Z');
+    assert.equal(zonedTimeToDate('2026-10-25', at(3), 'Europe/London').toISOString(), '2026-10-25T03:00:00.000Z');
+});
+
+test('24:00 is midnight at the end of the day', () => {
+    assert.equal(zonedTimeToDate('2026-10-20', at(24), 'Europe/London').toISOString(), '2026-10-20T23:00:00.000Z');
+});
+
+test('instants split into clinic date and time, whatever the server timezone', () => {
+    const parts = getZonedParts(new Date('2026-10-20T20:00:00Z'), 'Asia/Kolkata');
+
+    assert.deepEqual(parts, { year: 2026, month: 10, day: 21, hours: 1, minutes: 30, weekday: 'Wednesday', dateKey: '2026-10-21' });
+    assert.equal(toDateKey(new Date('2026-10-20T20:00:00Z'), 'America/Los_Angeles'), '2026-10-20');
+    assert.equal(getOffsetMinutes(new Date('2026-07-01T12:00:00Z'), 'Europe/London'), 60);
+    assert.equal(getOffsetMinutes(new Date('2026-12-01T12:00:00Z'), 'Europe/London'), 0);
+});
+
+test('fixed UTC offsets work like IANA zones', () => {
+    assert.equal(zonedTimeToDate('2026-10-20', at(9), 'UTC+05:30').toISOString(), '2026-10-20T03:30:00.000Z');
+    assert.equal(getZonedParts(new Date('2026-10-20T03:00:00Z'), 'UTC-07:00').dateKey, '2026-10-19');
+    assert.equal(getOffsetMinutes(new Date(), 'UTC-07:00'), -420);
+});
+
+test('date keys add days across month ends and know their weekday', () => {
+    assert.equal(addDays('2026-10-31', 1), '2026-11-01');
+    assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+    assert.equal(getWeekday('2026-10-25'), 'Sunday');
+});
+
+test('zone names are validated', () => {
+    assert.equal(isValidTimeZone('Europe/London'), true);
+    assert.equal(isValidTimeZone('UTC+01:00'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+    assert.equal(isValidTimeZone(''), false);
+});
+
+test('the sender\'s zone is read from the Date header offset', () => {
+    assert.equal(getTimeZoneFromDateHeader('Tue, 20 Oct 2026 10:00:00 +0100'), 'UTC+01:00');
+    assert.equal(getTimeZoneFromDateHeader('Tue, 20 Oct 2026 10:00:00 -0700 (PDT)'), 'UTC-07:00');
+    assert.equal(getTimeZoneFromDateHeader('Tue, 20 Oct 2026 10:00:00 -0000'), 'UTC+00:00');
+    assert.equal(getTimeZoneFromDateHeader('Tue, 20 Oct 2026 10:00:00 GMT'), null);
+    assert.equal(getTimeZoneFromDateHeader(undefined), null);
+});
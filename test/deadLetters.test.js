@@ -0,0 +1,88 @@
+import { writeStorageFile, outbox, transport, FakeMailbox, account, inbox, buildEmail } from './helpers/offline.js';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { processUnseenMessages } from '../src/services/gmailReader.js';
+import { replayDeadLetter } from '../src/services/deadLetterService.js';
+import { getDb } from '../src/db/database.js';
+import { findDeadLetter, DEAD_LETTER_STATUSES, OUTCOMES } from '../src/db/repository.js';
+
+/**
+ * A failure that isn't a dependency outage leaves the email unseen, is recorded as a
+ * dead letter and retried until DEAD_LETTER_MAX_ATTEMPTS (3), then waits for a replay
+ */
+
+writeStorageFile('availability.csv', 'doctor,day,start,end\nDr Rishabh,Monday,9:00 AM,1:00 PM\n');
+
+// SMTP rejecting the login is not transient, so it isn't treated as an outage
+const authError = Object.assign(new Error('Invalid login'), { responseCode: 535 });
+
+let mailbox;
+
+beforeEach(() => {
+    mailbox = new FakeMailbox();
+    outbox.length = 0;
+    transport.error = null;
+});
+
+function getEmailOutcome(messageId) {
+    return getDb().prepare('SELECT outcome FROM emails WHERE message_id = ?').get(messageId)?.outcome;
+}
+
+async function deliverAvailabilityRequest(messageId) {
+    const uid = mailbox.deliver(await buildEmail({ subject: 'Appointment', text: 'Which times are available?', messageId }));
+    return { uid, messageRef: { account: account.id, folder: inbox.path, uidValidity: String(mailbox.mailbox.uidValidity), uid } };
+}
+
+test('a failing email stays unseen and is dead-lettered after the maximum attempts', async () => {
+    const { uid, messageRef } = await deliverAvailabilityRequest('<fails-1@example.com>');
+    transport.error = authError;
+
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        const result = await processUnseenMessages(mailbox, account, inbox);
+
+        assert.equal(result.errorCount, 1);
+        assert.equal(mailbox.isSeen(uid), false);
+        assert.equal(findDeadLetter(messageRef).attempts, attempt);
+    }
+
+    const deadLetter = findDeadLetter(messageRef);
+    assert.equal(deadLetter.status, DEAD_LETTER_STATUSES.DEAD);
+    assert.equal(deadLetter.stage, 'appointment_pipeline');
+    assert.equal(getEmailOutcome('<fails-1@example.com>'), OUTCOMES.FAILED);
+
+    // A dead message is skipped, not retried
+    const skipped = await processUnseenMessages(mailbox, account, inbox);
+    assert.equal(skipped.errorCount, 0);
+    assert.equal(findDeadLetter(messageRef).attempts, 3);
+
+    // A replay that fails again counts as an attempt and keeps the message dead
+    const failedReplay = await replayDeadLetter(deadLetter);
+    assert.equal(failedReplay.result, 'failed');
+    assert.equal(failedReplay.deadLetter.status, DEAD_LETTER_STATUSES.DEAD);
+    assert.equal(failedReplay.deadLetter.attempts, 4);
+
+    // Once the cause is fixed the replay goes through and the next check marks it seen
+    transport.error = null;
+    const replay = await replayDeadLetter(deadLetter);
+    assert.equal(replay.result, 'replayed');
+    assert.equal(replay.outcome, OUTCOMES.AVAILABILITY_SENT);
+    assert.equal(outbox.length, 1);
+
+    await processUnseenMessages(mailbox, account, inbox);
+    assert.ok(mailbox.isSeen(uid));
+});
+
+test('an email that fails once and then succeeds resolves its dead letter', async () => {
+    const { uid, messageRef } = await deliverAvailabilityRequest('<fails-2@example.com>');
+
+    transport.error = authError;
+    await processUnseenMessages(mailbox, account, inbox);
+    assert.equal(findDeadLetter(messageRef).status, DEAD_LETTER_STATUSES.RETRYING);
+
+    transport.error = null;
+    const result = await processUnseenMessages(mailbox, account, inbox);
+
+    assert.equal(result.successCount, 1);
+    assert.ok(mailbox.isSeen(uid));
+    assert.equal(findDeadLetter(messageRef).status, DEAD_LETTER_STATUSES.RESOLVED);
+});
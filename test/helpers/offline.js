@@ -0,0 +1,251 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import MailComposer from 'nodemailer/lib/mail-composer/index.js';
+import { ImapFlow } from 'imapflow';
+import { google } from 'googleapis';
+
+/**
+ * Offline test environment
+ * Import this before any src module: it points the config at a temporary
+ * storage directory and database, answers AI calls from fixtures/llm through the
+ * stub provider, and replaces Google Calendar, SMTP and IMAP with in-memory fakes.
+ * node --test runs each test file in its own process, so every file gets a fresh
+ * database.
+ */
+
+export const STORAGE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'email-monitor-test-'));
+
+Object.assign(process.env, {
+    LLM_PROVIDER: 'stub',
+    STORAGE_DIR,
+    DATABASE_PATH: path.join(STORAGE_DIR, 'monitor.db'),
+    CSV_EXPORT_ENABLED: 'false',
+    EMAIL_USER: 'clinic@example.com',
+    EMAIL_APP_PASSWORD: 'test-password',
+    GOOGLE_CLIENT_ID: 'test-client',
+    GOOGLE_CLIENT_SECRET: 'test-secret',
+    GOOGLE_REFRESH_TOKEN: 'test-token',
+    DOCTOR_NAME: 'Dr Rishabh',
+    CLINIC_TIMEZONE: 'Asia/Kolkata',
+    RETRY_MAX_ATTEMPTS: '1',
+    // Keep local config files (mailboxes.json, doctors.json, ...) out of the tests
+    MAILBOXES_CONFIG_PATH: path.join(STORAGE_DIR, 'mailboxes.json'),
+    DOCTORS_CONFIG_PATH: path.join(STORAGE_DIR, 'doctors.json'),
+    APPOINTMENT_TYPES_PATH: path.join(STORAGE_DIR, 'appointmentTypes.json'),
+    LLM_TASKS_CONFIG_PATH: path.join(STORAGE_DIR, 'llmTasks.json'),
+    LLM_PRICING_PATH: path.join(STORAGE_DIR, 'llmPricing.json'),
+    REFERRAL_SYNONYMS_PATH: path.join(STORAGE_DIR, 'referralSynonyms.json'),
+    HOLIDAY_CALENDAR_PATH: path.join(STORAGE_DIR, 'holidays.ics'),
+});
+delete process.env.ANTHROPIC_API_KEY;
+
+// The pipeline logs every step; set TEST_LOGS=true to see it
+if (process.env.TEST_LOGS !== 'true') {
+    console.log = () => {};
+    console.error = () => {};
+}
+
+process.on('exit', () => fs.rmSync(STORAGE_DIR, { recursive: true, force: true }));
+
+/**
+ * Writes a file into the temporary storage directory
+ * @param {string} filename - e.g. "availability.csv"
+ * @param {string} content
+ */
+export function writeStorageFile(filename, content) {
+    fs.writeFileSync(path.join(STORAGE_DIR, filename), content);
+}
+
+// ─── Google Calendar ─────────────────────────────────────────────────
+
+/**
+ * In-memory calendar: calendarId → Map(eventId → event)
+ */
+export const calendar = {
+    events: new Map(),
+
+    list(calendarId = 'primary') {
+        return [...(this.events.get(calendarId) || new Map()).values()];
+    },
+
+    reset() {
+        this.events.clear();
+    },
+};
+
+function getCalendarEvents(calendarId) {
+    if (!calendar.events.has(calendarId)) {
+        calendar.events.set(calendarId, new Map());
+    }
+    return calendar.events.get(calendarId);
+}
+
+function notFound() {
+    return Object.assign(new Error('Not Found'), { code: 404 });
+}
+
+google.calendar = () => ({
+    events: {
+        async list({ calendarId, timeMin, timeMax }) {
+            const items = [...getCalendarEvents(calendarId).values()]
+                .filter(event => event.start.dateTime < timeMax && event.end.dateTime > timeMin)
+                .sort((a, b) => a.start.dateTime.localeCompare(b.start.dateTime));
+            return { data: { items } };
+        },
+
+        async get({ calendarId, eventId }) {
+            const event = getCalendarEvents(calendarId).get(eventId);
+            if (!event) {
+                throw notFound();
+            }
+            return { data: event };
+        },
+
+        async insert({ calendarId, requestBody }) {
+            const events = getCalendarEvents(calendarId);
+            if (events.has(requestBody.id)) {
+                throw Object.assign(new Error('Conflict'), { code: 409 });
+            }
+            const event = { ...requestBody, id: requestBody.id || `event${events.size + 1}` };
+            events.set(event.id, event);
+            return { data: event };
+        },
+
+        async patch({ calendarId, eventId, requestBody }) {
+            const events = getCalendarEvents(calendarId);
+            if (!events.has(eventId)) {
+                throw notFound();
+            }
+            const event = { ...events.get(eventId), ...requestBody };
+            events.set(eventId, event);
+            return { data: event };
+        },
+
+        async delete({ calendarId, eventId }) {
+            if (!getCalendarEvents(calendarId).delete(eventId)) {
+                throw notFound();
+            }
+            return { data: null };
+        },
+    },
+});
+
+// ─── SMTP ────────────────────────────────────────────────────────────
+
+/**
+ * Emails "sent" through the fake transport
+ */
+export const outbox = [];
+
+/**
+ * Set error to make every send fail with it
+ */
+export const transport = { error: null };
+
+nodemailer.createTransport = () => ({
+    async sendMail(mailOptions) {
+        if (transport.error) {
+            throw transport.error;
+        }
+        const messageId = `<sent-${outbox.length + 1}@clinic.example.com>`;
+        outbox.push({ ...mailOptions, messageId });
+        return { messageId };
+    },
+    async verify() {
+        return true;
+    },
+});
+
+// ─── IMAP ────────────────────────────────────────────────────────────
+
+// gmailSender marks sent mail as read on its own connection; there is nothing to mark offline
+Object.assign(ImapFlow.prototype, {
+    async connect() {},
+    async mailboxOpen() {},
+    async search() {
+        return [];
+    },
+    async messageFlagsAdd() {
+        return true;
+    },
+    async logout() {},
+});
+
+let nextUidValidity = 1;
+
+/**
+ * Fake IMAP client for processUnseenMessages, holding one folder in memory
+ * Every instance gets its own UIDVALIDITY, so UIDs never clash across tests.
+ */
+export class FakeMailbox {
+    constructor() {
+        this.messages = new Map();
+        this.nextUid = 1;
+        this.mailbox = { path: 'INBOX', uidValidity: BigInt(nextUidValidity++) };
+        this.usable = true;
+    }
+
+    /**
+     * Delivers a raw message
+     * @param {Buffer} source
+     * @returns {number} - UID
+     */
+    deliver(source) {
+        const uid = this.nextUid++;
+        this.messages.set(uid, { uid, source, flags: new Set() });
+        return uid;
+    }
+
+    isSeen(uid) {
+        return this.messages.get(uid).flags.has('\\Seen');
+    }
+
+    async search({ seen }) {
+        return [...this.messages.values()]
+            .filter(message => message.flags.has('\\Seen') === seen)
+            .map(message => message.uid);
+    }
+
+    async fetchOne(uid) {
+        const message = this.messages.get(uid);
+        return { uid, source: message.source, flags: new Set(message.flags) };
+    }
+
+    async messageFlagsAdd(uid, flags) {
+        for (const id of [].concat(uid)) {
+            flags.forEach(flag => this.messages.get(id).flags.add(flag));
+        }
+        return true;
+    }
+}
+
+/**
+ * Mailbox account and folder as getMailboxAccounts() builds them from EMAIL_USER
+ */
+export const account = {
+    id: 'default',
+    user: 'clinic@example.com',
+    password: 'test-password',
+    imapHost: 'imap.example.com',
+    imapPort: 993,
+    smtpHost: 'smtp.example.com',
+    smtpPort: 465,
+    sentFolder: '[Gmail]/Sent Mail',
+    replyFrom: 'clinic@example.com',
+    pipeline: 'auto',
+    folders: [{ path: 'INBOX', pipeline: 'auto' }],
+};
+
+export const inbox = account.folders[0];
+
+/**
+ * Builds a raw RFC 822 email
+ *
+ * @param {Object} options - Nodemailer message options (from, subject, text, messageId, inReplyTo, attachments, ...)
+ * @returns {Promise<Buffer>}
+ */
+export function buildEmail({ from = 'Jane Patient <jane@example.com>', to = account.user, ...options }) {
+    return new MailComposer({ from, to, date: new Date(), ...options }).compile().build();
+}
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseICS } from '../src/utils/icsParser.js';
+
+const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+test('an all-day VALUE=DATE holiday has dates and no times', () => {
+    const [event] = parseICS(calendar(
+        'BEGIN:VEVENT',
+        'SUMMARY:Christmas Day',
+        'DTSTART;VALUE=DATE:20261225',
+        'DTEND;VALUE=DATE:20261226',
+        'END:VEVENT',
+    ));
+
+    assert.deepEqual(event, {
+        summary: 'Christmas Day',
+        start: { date: '2026-12-25', time: null, utc: false, tzid: null },
+        end: { date: '2026-12-26', time: null, utc: false, tzid: null },
+        rrule: null,
+        status: null,
+    });
+});
+
+test('timed events keep their UTC flag or TZID', () => {
+    const events = parseICS(calendar(
+        'BEGIN:VEVENT',
+        'SUMMARY:Half day',
+        'DTSTART;TZID=Europe/London:20261224T130000',
+        'DTEND;TZID=Europe/London:20261224T170000',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:Maintenance',
+        'DTSTART:20261201T080000Z',
+        'END:VEVENT',
+    ));
+
+    assert.deepEqual(events[0].start, { date: '2026-12-24', time: { hours: 13, minutes: 0 }, utc: false, tzid: 'Europe/London' });
+    assert.deepEqual(events[1].start, { date: '2026-12-01', time: { hours: 8, minutes: 0 }, utc: true, tzid: null });
+    assert.equal(events[1].end, null);
+});
+
+test('folded lines are joined and escaped text is unescaped', () => {
+    const [event] = parseICS(calendar(
+        'BEGIN:VEVENT',
+        'SUMMARY:Clinic closed\\, staff',
+        '  training',
+        'DTSTART;VALUE=DATE:20261102',
+        'RRULE:FREQ=YEARLY',
+        'STATUS:cancelled',
+        'END:VEVENT',
+    ));
+
+    assert.equal(event.summary, 'Clinic closed, staff training');
+    assert.equal(event.rrule, 'FREQ=YEARLY');
+    assert.equal(event.status, 'CANCELLED');
+});
+
+test('events without a valid DTSTART are skipped', () => {
+    const events = parseICS(calendar(
+        'BEGIN:VEVENT',
+        'SUMMARY:No start',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:Bad start',
+        'DTSTART:2026-12-25',
+        'END:VEVENT',
+    ));
+
+    assert.deepEqual(events, []);
+});
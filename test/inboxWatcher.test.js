@@ -0,0 +1,69 @@
+import { writeStorageFile, outbox, transport, FakeMailbox, buildEmail } from './helpers/offline.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import { ImapFlow } from 'imapflow';
+import { config } from '../src/config/env.js';
+import { startInboxWatcher, stopInboxWatcher } from '../src/services/inboxWatcher.js';
+
+/**
+ * An email deferred while SMTP is down is retried by the IDLE watcher on its own,
+ * without new mail arriving to wake it
+ */
+
+writeStorageFile('availability.csv', 'doctor,day,start,end\nDr Rishabh,Monday,9:00 AM,1:00 PM\n');
+
+const mailbox = new FakeMailbox();
+
+// Watcher connections open the inbox on the fake mailbox; gmailSender's sent-folder connection stays a no-op
+Object.assign(ImapFlow.prototype, {
+    async connect() {
+        this.usable = true;
+    },
+    async mailboxOpen(path) {
+        if (path === 'INBOX') {
+            this.fake = mailbox;
+            this.mailbox = mailbox.mailbox;
+        }
+    },
+    async search(query) {
+        return this.fake ? this.fake.search(query) : [];
+    },
+    async fetchOne(uid, query, options) {
+        return this.fake.fetchOne(uid, query, options);
+    },
+    async messageFlagsAdd(uid, flags, options) {
+        return this.fake ? this.fake.messageFlagsAdd(uid, flags, options) : true;
+    },
+    async logout() {
+        this.usable = false;
+    },
+});
+
+after(() => stopInboxWatcher());
+
+/**
+ * Waits until check() is true, failing after a second
+ */
+async function waitFor(check) {
+    for (let waited = 0; !check(); waited += 20) {
+        assert.ok(waited < 1000, 'timed out waiting for the watcher');
+        await sleep(20);
+    }
+}
+
+test('a deferred email is checked again once the circuit reset time has passed', async () => {
+    config.CIRCUIT_RESET_MS = 100;
+    const uid = mailbox.deliver(await buildEmail({ subject: 'Appointment', text: 'Which times are available?' }));
+    transport.error = Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' });
+
+    await startInboxWatcher();
+
+    assert.equal(mailbox.isSeen(uid), false);
+    assert.equal(outbox.length, 0);
+
+    transport.error = null;
+    await waitFor(() => mailbox.isSeen(uid));
+
+    assert.equal(outbox.length, 1);
+});
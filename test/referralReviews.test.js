@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import { STORAGE_DIR } from './helpers/offline.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config/env.js';
+import { getDb } from '../src/db/database.js';
+import { getReferralReview, REVIEW_STATUSES } from '../src/db/repository.js';
+import { queueReferralForReview, approveReferralReview, rejectReferralReview } from '../src/services/referralReviewService.js';
+
+/**
+ * A review is claimed before its referral is stored, so approving it twice
+ * (two reviewers, or a retried request) stores one referral
+ */
+
+function queueReview(messageId) {
+    const id = queueReferralForReview({
+        messageId,
+        from: 'alan@harbourdental.example',
+        account: 'default',
+        folder: 'INBOX',
+        extractedData: { patientName: 'John Sample' },
+    }, { patientName: 0.4 }, [{ field: 'patientName', reason: 'low confidence', confidence: 0.4 }]);
+
+    return getReferralReview(id);
+}
+
+function countReferrals(messageId) {
+    return getDb().prepare('SELECT COUNT(*) AS count FROM referrals WHERE message_id = ?').get(messageId).count;
+}
+
+test('two concurrent approvals store the referral once', async () => {
+    const review = queueReview('<review-1@harbourdental.example>');
+
+    const [first, second] = await Promise.all([
+        approveReferralReview(review, 'Dr Rishabh'),
+        approveReferralReview(review, 'Reception'),
+    ]);
+
+    assert.equal(first.status, REVIEW_STATUSES.APPROVED);
+    assert.equal(first.reviewed_by, 'Dr Rishabh');
+    assert.equal(second, null);
+    assert.equal(countReferrals('<review-1@harbourdental.example>'), 1);
+
+    // Nor can it be rejected once approved
+    assert.equal(rejectReferralReview(review, 'Reception'), null);
+    assert.equal(getReferralReview(review.id).status, REVIEW_STATUSES.APPROVED);
+});
+
+test('an approval that fails puts the review back in the queue', async () => {
+    const messageId = '<review-2@harbourdental.example>';
+    const review = queueReview(messageId);
+
+    // The CSV export runs after the referral is saved; a directory in its place makes it throw
+    const referralsCsv = path.join(STORAGE_DIR, 'referrals.csv');
+    config.CSV_EXPORT_ENABLED = true;
+    fs.mkdirSync(referralsCsv);
+
+    try {
+        await assert.rejects(approveReferralReview(review, 'Dr Rishabh'));
+        assert.equal(getReferralReview(review.id).status, REVIEW_STATUSES.PENDING);
+
+        fs.rmdirSync(referralsCsv);
+        const approved = await approveReferralReview(review, 'Dr Rishabh');
+
+        assert.equal(approved.status, REVIEW_STATUSES.APPROVED);
+        assert.equal(countReferrals(messageId), 1);
+    } finally {
+        config.CSV_EXPORT_ENABLED = false;
+    }
+});
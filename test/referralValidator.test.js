@@ -0,0 +1,135 @@
+import './helpers/offline.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateReferral } from '../src/utils/referralValidator.js';
+
+/**
+ * Problems validateReferral reports for one field of an otherwise empty record
+ */
+function invalidFor(field, value) {
+    return validateReferral({ [field]: value }).invalid.filter(entry => entry.field === field);
+}
+
+test('FDI tooth numbers: permanent 11-48 and deciduous 51-85 pass, anything else is reported', () => {
+    for (const tooth of [11, 18, 28, 41, 48, 51, 55, 81, 85]) {
+        assert.deepEqual(invalidFor('reasonForReferral', [tooth]), [], `${tooth} should pass`);
+    }
+
+    for (const tooth of [10, 19, 49, 50, 56, 86, 91, 9, 111]) {
+        const [entry] = invalidFor('reasonForReferral', [tooth]);
+        assert.equal(entry?.reason, `invalid FDI tooth number(s): ${tooth}`, `${tooth} should be rejected`);
+    }
+});
+
+test('tooth numbers read as text are fixed and turned into numbers', () => {
+    const cases = [
+        [['1l', '2I'], [11, 21]],
+        [['4|'], [41]],
+        [[' 36 '], [36]],
+    ];
+
+    for (const [teeth, expected] of cases) {
+        const { data, corrections, invalid } = validateReferral({ reasonForReferral: teeth });
+
+        assert.deepEqual(data.reasonForReferral, expected);
+        assert.deepEqual(corrections, [{ field: 'reasonForReferral', from: teeth, to: expected }]);
+        assert.deepEqual(invalid, []);
+    }
+});
+
+test('phone numbers: letters misread for digits are fixed', () => {
+    const cases = [
+        ['04I2 345 678', '0412 345 678'],
+        ['04l2345678', '0412345678'],
+        ['O412 345 678', '0412 345 678'],
+        ['+61 4|2 345 678', '+61 412 345 678'],
+    ];
+
+    for (const [phone, expected] of cases) {
+        const { data, corrections, invalid } = validateReferral({ patientPhone: phone });
+
+        assert.equal(data.patientPhone, expected);
+        assert.deepEqual(corrections, [{ field: 'patientPhone', from: phone, to: expected }]);
+        assert.deepEqual(invalid, []);
+    }
+});
+
+test('phone numbers: 8 to 15 digits pass, shorter, longer or lettered numbers are reported', () => {
+    const cases = [
+        ['1234 5678', null],
+        ['(02) 9876 5432', null],
+        ['+44 20 7946 0958 12', null],
+        ['1234 567', 'phone number has 7 digits (expected 8-15)'],
+        ['1234 5678 9012 3456', 'phone number has 16 digits (expected 8-15)'],
+        ['0412 ABC 678', 'phone number contains letters or symbols'],
+        ['0412#345678', 'phone number contains letters or symbols'],
+    ];
+
+    for (const [phone, reason] of cases) {
+        assert.deepEqual(invalidFor('patientPhone', phone).map(entry => entry.reason), reason ? [reason] : [], phone);
+    }
+});
+
+test('phone numbers under extras labels are checked too', () => {
+    const { data, invalid } = validateReferral({ extras: { 'Practice Fax': '02 98I6 5432', 'Practice Phone': '123' } });
+
+    assert.equal(data.extras['Practice Fax'], '02 9816 5432');
+    assert.deepEqual(invalid.map(entry => entry.field), ['Practice Phone']);
+});
+
+test('dates: real DD/MM/YYYY dates pass and are padded, anything else is reported', () => {
+    const cases = [
+        ['02/07/1979', '02/07/1979', null],
+        ['2/7/1979', '02/07/1979', null],
+        ['02-07-1979', '02/07/1979', null],
+        ['29.02.2024', '29/02/2024', null],
+        ['O2/O7/l979', '02/07/1979', null],
+        ['31/02/1980', '31/02/1980', 'not a real calendar date'],
+        ['29/02/2025', '29/02/2025', 'not a real calendar date'],
+        ['31/04/1980', '31/04/1980', 'not a real calendar date'],
+        ['12/13/1980', '12/13/1980', 'not a real calendar date'],
+        ['1980-07-02', '1980-07-02', 'date is not in DD/MM/YYYY format'],
+        ['July 2, 1980', 'July 2, 1980', 'date is not in DD/MM/YYYY format'],
+    ];
+
+    for (const [date, expected, reason] of cases) {
+        const { data, invalid } = validateReferral({ xraysDate: date });
+
+        assert.equal(data.xraysDate, expected, date);
+        assert.deepEqual(invalid.map(entry => entry.reason), reason ? [reason] : [], date);
+    }
+});
+
+test('a date of birth can\'t be in the future or before 1900', () => {
+    for (const date of ['01/01/2999', '31/12/1899']) {
+        assert.deepEqual(invalidFor('patientDateOfBirth', date).map(entry => entry.reason), ['date of birth is in the future or before 1900'], date);
+    }
+
+    // Only dates of birth: X-rays can be dated any time
+    assert.deepEqual(invalidFor('xraysDate', '01/01/2999'), []);
+    assert.deepEqual(invalidFor('patientDateOfBirth', '01/01/1900'), []);
+});
+
+test('procedures are matched to the known list whatever their case and punctuation', () => {
+    const { data, invalid } = validateReferral({ selectedProcedures: ['bone-grafting', 'DENTAL IMPLANTS', 'Teeth Whitening'] });
+
+    assert.deepEqual(data.selectedProcedures, ['Bone Grafting', 'Dental Implants', 'Teeth Whitening']);
+    assert.deepEqual(invalid.map(entry => entry.reason), ['unknown procedure(s): Teeth Whitening']);
+});
+
+test('without autoFix problems are reported and nothing is changed', () => {
+    const record = { patientPhone: '04I2 345 678', reasonForReferral: [19, 36], patientDateOfBirth: '2/7/1979' };
+    const { data, corrections, invalid } = validateReferral(record, { autoFix: false });
+
+    assert.equal(data.patientPhone, '04I2 345 678');
+    assert.equal(data.patientDateOfBirth, '2/7/1979');
+    assert.deepEqual(corrections, []);
+    assert.deepEqual(invalid, [{ field: 'reasonForReferral', value: [19, 36], reason: 'invalid FDI tooth number(s): 19' }]);
+});
+
+test('empty values are not checked', () => {
+    const { corrections, invalid } = validateReferral({ patientPhone: '', patientDateOfBirth: null, reasonForReferral: undefined });
+
+    assert.deepEqual(corrections, []);
+    assert.deepEqual(invalid, []);
+});
@@ -0,0 +1,54 @@
+import './helpers/offline.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isTransientError, callDependency, DependencyUnavailableError } from '../src/utils/resilience.js';
+
+/**
+ * A googleapis error as the Calendar API returns it
+ */
+function googleError(code, reason) {
+    const errors = [{ domain: 'usageLimits', reason, message: reason }];
+    return Object.assign(new Error(reason), { code, errors, response: { status: code, data: { error: { code, errors } } } });
+}
+
+test('transient and permanent errors are told apart', () => {
+    const cases = [
+        [Object.assign(new Error('Too Many Requests'), { status: 429 }), true],
+        [Object.assign(new Error('Overloaded'), { status: 529 }), true],
+        [Object.assign(new Error('Bad Request'), { status: 400 }), false],
+        [Object.assign(new Error('Service Unavailable'), { code: '503' }), true],
+        [Object.assign(new Error('Connection reset'), { code: 'ECONNRESET' }), true],
+        [Object.assign(new Error('Mailbox busy'), { responseCode: 451 }), true],
+        [Object.assign(new Error('Invalid login'), { responseCode: 535 }), false],
+        [new Error('Something else'), false],
+    ];
+
+    for (const [error, transient] of cases) {
+        assert.equal(isTransientError(error), transient, error.message);
+    }
+});
+
+test('Calendar rate limiting reported as 403 is transient, other 403s are not', () => {
+    assert.equal(isTransientError(googleError(403, 'rateLimitExceeded'), 'calendar'), true);
+    assert.equal(isTransientError(googleError(403, 'userRateLimitExceeded'), 'calendar'), true);
+    assert.equal(isTransientError(googleError(403, 'forbidden'), 'calendar'), false);
+    assert.equal(isTransientError(googleError(403, 'dailyLimitExceeded'), 'calendar'), false);
+
+    // Only the body carries the reasons on some googleapis errors
+    const bodyOnly = googleError(403, 'rateLimitExceeded');
+    delete bodyOnly.errors;
+    assert.equal(isTransientError(bodyOnly, 'calendar'), true);
+
+    // The reason is a Google API convention; other dependencies' 403s stay permanent
+    assert.equal(isTransientError(googleError(403, 'rateLimitExceeded'), 'smtp'), false);
+});
+
+test('a rate-limited Calendar call reports the dependency as unavailable', async () => {
+    await assert.rejects(
+        callDependency('calendar', async () => { throw googleError(403, 'userRateLimitExceeded'); }),
+        error => error instanceof DependencyUnavailableError && error.dependency === 'calendar'
+    );
+
+    const forbidden = googleError(403, 'forbidden');
+    await assert.rejects(callDependency('calendar', async () => { throw forbidden; }), error => error === forbidden);
+});